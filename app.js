@@ -12,6 +12,14 @@
             PricingModule.initialize();
         }
 
+        if (typeof DateRangeModule !== 'undefined' && typeof DateRangeModule.initialize === 'function') {
+            DateRangeModule.initialize();
+        }
+
+        if (typeof CallsFilterModule !== 'undefined' && typeof CallsFilterModule.initialize === 'function') {
+            CallsFilterModule.initialize();
+        }
+
         AuthModule.initialize();
 
         if (AppConfig.DEV_MODE && AppConfig.DEV_MODE.BYPASS_LOGIN) {
@@ -21,9 +29,22 @@
         }
     }
 
+    // Nothing is initialized until the environment configuration is known to be valid.
+    function startApplication() {
+        ConfigLoader.load().then(function (configResult) {
+            if (!configResult.ok) {
+                ConfigLoader.renderConfigurationError(configResult.errors);
+                return;
+            }
+
+            ConfigLoader.renderDevModeBanner(configResult.activeBypasses);
+            initializeApplication();
+        });
+    }
+
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initializeApplication);
+        document.addEventListener('DOMContentLoaded', startApplication);
     } else {
-        initializeApplication();
+        startApplication();
     }
 })();
@@ -0,0 +1,449 @@
+/**
+ * Runtime configuration loader.
+ * Merges the per-environment `config/config.json` over the defaults in `constants.js`,
+ * validates the result against CONFIG_SCHEMA and switches off the DEV_MODE bypass
+ * flags unless the page is served from localhost. Pages call `load()` before
+ * initializing anything, so a bad deployment fails at startup with the list of problems.
+ *
+ * @file ConfigLoader.js
+ */
+
+/**
+ * @typedef {'url'|'optional-url'|'string'|'non-empty-string'|'boolean'|'positive-number'|'positive-integer'|'non-negative-integer'|'object'|'array'} ConfigFieldType
+ */
+
+/**
+ * @typedef {{ [key: string]: ConfigFieldType|ConfigSchema }} ConfigSchema
+ */
+
+/**
+ * @typedef {Object} ConfigLoadResult
+ * @property {boolean} ok - True when the configuration is valid and the app can start.
+ * @property {string[]} errors - Problems found, one sentence each.
+ * @property {string[]} activeBypasses - DEV_MODE flags in effect (always empty outside localhost).
+ */
+
+var ConfigLoader = (function () {
+    'use strict';
+
+    var CONFIG_URL = 'config/config.json';
+    var LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+    /** @type {ConfigSchema} */
+    var CONFIG_SCHEMA = {
+        API_ENDPOINTS: {
+            AUTHENTICATION: 'url',
+            TWILIO_STATS: 'url',
+            TWILIO_CONVERSATIONS: 'url',
+            RETELL_CALLS: 'url',
+            REQUEST_PASSWORD_RESET: 'optional-url',
+            CONFIRM_PASSWORD_RESET: 'optional-url',
+            REFRESH_TOKEN: 'optional-url',
+            VERIFY_MFA: 'optional-url',
+            PLANS_CATALOG: 'optional-url',
+            UPGRADE_REQUEST: 'optional-url'
+        },
+        RETELL_AGENT_ID: 'string',
+        SECURITY: {
+            MAX_LOGIN_ATTEMPTS: 'positive-integer',
+            LOCKOUT_DURATION_MINUTES: 'positive-number',
+            MAX_LOCKOUT_DURATION_MINUTES: 'positive-number',
+            LOCKOUT_HISTORY_HOURS: 'positive-number',
+            MAX_RECOVERY_REQUESTS: 'positive-integer',
+            SESSION_DURATION_MINUTES: 'positive-number',
+            TOKEN_REFRESH_LEAD_SECONDS: 'positive-number',
+            IDLE_TIMEOUT_MINUTES: 'positive-number',
+            IDLE_WARNING_SECONDS: 'positive-number',
+            REMEMBER_DEVICE_ENABLED: 'boolean',
+            REMEMBER_DEVICE_DAYS: 'positive-number'
+        },
+        ACCESS_CONTROL: {
+            DEFAULT_ROLE: 'non-empty-string',
+            ROLE_PERMISSIONS: 'object'
+        },
+        VALIDATION: {
+            USERNAME_MIN_LENGTH: 'positive-integer',
+            USERNAME_MAX_LENGTH: 'positive-integer',
+            PASSWORD_MIN_LENGTH: 'positive-integer'
+        },
+        NETWORK: {
+            REQUEST_TIMEOUT_MS: 'positive-number',
+            GET_RETRIES: 'non-negative-integer',
+            RETRY_BASE_DELAY_MS: 'positive-number',
+            RETRY_MAX_DELAY_MS: 'positive-number',
+            CACHE_TTL_MS: 'non-negative-integer',
+            CACHE_STALE_MS: 'non-negative-integer'
+        },
+        CALLS_TABLE: {
+            PAGE_SIZE: 'positive-integer',
+            ROW_HEIGHT_PX: 'positive-integer',
+            OVERSCAN_ROWS: 'non-negative-integer'
+        },
+        STORAGE_KEYS: {
+            SESSION: 'non-empty-string',
+            LOGIN_ATTEMPTS: 'non-empty-string',
+            RECOVERY_ATTEMPTS: 'non-empty-string',
+            LOGOUT_NOTICE: 'non-empty-string',
+            REMEMBERED_SESSION: 'non-empty-string',
+            UPGRADE_REQUEST: 'non-empty-string'
+        },
+        BILLING: {
+            CURRENT_PLAN_KEY: 'non-empty-string',
+            RECOMMENDED_PLAN_KEY: 'non-empty-string',
+            WHATSAPP_BASE_URL: 'url',
+            WHATSAPP_NUMBER: 'string',
+            CURRENCY: 'non-empty-string',
+            FORECAST_TREND_DAYS: 'positive-integer',
+            CYCLE_ANCHOR_DAY: 'positive-integer',
+            CYCLE_HISTORY_COUNT: 'non-negative-integer',
+            PLANS: 'array'
+        },
+        DEV_MODE: {
+            BYPASS_LOGIN: 'boolean',
+            BYPASS_VALIDATION: 'boolean'
+        }
+    };
+
+    /** @type {Promise<ConfigLoadResult>|null} */
+    var pendingLoad = null;
+
+    /**
+     * Loads and validates the configuration once; later calls share the same result.
+     *
+     * @returns {Promise<ConfigLoadResult>}
+     */
+    function load() {
+        if (pendingLoad === null) {
+            pendingLoad = performLoad();
+        }
+
+        return pendingLoad;
+    }
+
+    /**
+     * @returns {Promise<ConfigLoadResult>}
+     */
+    async function performLoad() {
+        /** @type {string[]} */
+        var errors = [];
+        var overrides = await fetchOverrides(errors);
+
+        if (overrides !== null) {
+            mergeOverrides(/** @type {any} */ (AppConfig), overrides, CONFIG_SCHEMA, '', errors);
+        }
+
+        validateSection(/** @type {any} */ (AppConfig), CONFIG_SCHEMA, '', errors);
+        validateReferences(errors);
+
+        var activeBypasses = applyDevModeGuard();
+
+        errors.forEach(function (message) {
+            console.error('ConfigLoader: ' + message);
+        });
+
+        return {
+            ok: errors.length === 0,
+            errors: errors,
+            activeBypasses: activeBypasses
+        };
+    }
+
+    /**
+     * Reads `config/config.json`. A missing file means the defaults in constants.js apply;
+     * any other failure is a configuration error.
+     *
+     * @param {string[]} errors - Collected error messages.
+     * @returns {Promise<Object|null>} Parsed overrides, or null when there are none.
+     */
+    async function fetchOverrides(errors) {
+        // Pages opened from disk cannot fetch, and have no environment to configure
+        if (window.location.protocol === 'file:') {
+            return null;
+        }
+
+        try {
+            var response = await fetch(CONFIG_URL, { cache: 'no-store' });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (!response.ok) {
+                errors.push(CONFIG_URL + ' could not be loaded (HTTP ' + response.status + ').');
+                return null;
+            }
+
+            var overrides = JSON.parse(await response.text());
+            if (!isPlainObject(overrides)) {
+                errors.push(CONFIG_URL + ' must contain a JSON object.');
+                return null;
+            }
+
+            return overrides;
+        } catch (loadError) {
+            errors.push(CONFIG_URL + ' could not be read: ' + (loadError instanceof Error ? loadError.message : String(loadError)));
+            return null;
+        }
+    }
+
+    /**
+     * Copies the overrides into the configuration. Keys that are not in the schema are
+     * reported instead of ignored, so a typo does not silently keep the default value.
+     *
+     * @param {{ [key: string]: any }} target - Configuration section being overridden.
+     * @param {{ [key: string]: any }} overrides - Values from config.json for that section.
+     * @param {ConfigSchema} schema - Schema of the section.
+     * @param {string} path - Dotted path of the section, for error messages.
+     * @param {string[]} errors - Collected error messages.
+     */
+    function mergeOverrides(target, overrides, schema, path, errors) {
+        Object.keys(overrides).forEach(function (key) {
+            var fieldPath = path + key;
+            var fieldSchema = schema[key];
+
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                errors.push(fieldPath + ' is not a known configuration key.');
+                return;
+            }
+
+            if (typeof fieldSchema === 'object') {
+                if (!isPlainObject(overrides[key])) {
+                    errors.push(fieldPath + ' must be an object.');
+                    return;
+                }
+
+                if (!isPlainObject(target[key])) {
+                    target[key] = {};
+                }
+
+                mergeOverrides(target[key], overrides[key], fieldSchema, fieldPath + '.', errors);
+                return;
+            }
+
+            target[key] = overrides[key];
+        });
+    }
+
+    /**
+     * @param {{ [key: string]: any }} section - Configuration section.
+     * @param {ConfigSchema} schema - Schema of the section.
+     * @param {string} path - Dotted path of the section, for error messages.
+     * @param {string[]} errors - Collected error messages.
+     */
+    function validateSection(section, schema, path, errors) {
+        Object.keys(schema).forEach(function (key) {
+            var fieldPath = path + key;
+            var fieldSchema = schema[key];
+            var value = section[key];
+
+            if (typeof fieldSchema === 'object') {
+                if (!isPlainObject(value)) {
+                    errors.push(fieldPath + ' is missing.');
+                    return;
+                }
+
+                validateSection(value, fieldSchema, fieldPath + '.', errors);
+                return;
+            }
+
+            var problem = describeInvalidValue(value, fieldSchema);
+            if (problem !== null) {
+                errors.push(fieldPath + ' ' + problem + '.');
+            }
+        });
+    }
+
+    /**
+     * @param {any} value - Configured value.
+     * @param {ConfigFieldType} type - Expected type.
+     * @returns {string|null} What is wrong with the value, or null if it is valid.
+     */
+    function describeInvalidValue(value, type) {
+        switch (type) {
+            case 'url':
+                if (typeof value !== 'string' || value.trim() === '') {
+                    return 'must be set to the endpoint URL';
+                }
+                return describeInvalidUrl(value);
+            case 'optional-url':
+                if (value === '') {
+                    return null;
+                }
+                if (typeof value !== 'string') {
+                    return 'must be a URL or an empty string';
+                }
+                return describeInvalidUrl(value);
+            case 'string':
+                return typeof value === 'string' ? null : 'must be a string';
+            case 'non-empty-string':
+                return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'positive-number':
+                return typeof value === 'number' && isFinite(value) && value > 0 ? null : 'must be a number greater than 0';
+            case 'positive-integer':
+                return Number.isInteger(value) && value > 0 ? null : 'must be a whole number greater than 0';
+            case 'non-negative-integer':
+                return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number, 0 or greater';
+            case 'object':
+                return isPlainObject(value) ? null : 'must be an object';
+            case 'array':
+                return Array.isArray(value) ? null : 'must be a list';
+            default:
+                return 'has an unknown schema type "' + type + '"';
+        }
+    }
+
+    /**
+     * Endpoints are absolute http(s) URLs or paths on the same origin. A page served
+     * over https cannot call http endpoints, so those are rejected here too.
+     *
+     * @param {string} value - Configured URL.
+     * @returns {string|null} What is wrong with the URL, or null if it is valid.
+     */
+    function describeInvalidUrl(value) {
+        if (value.charAt(0) === '/' && value.charAt(1) !== '/') {
+            return null;
+        }
+
+        var parsedUrl;
+        try {
+            parsedUrl = new URL(value);
+        } catch (parseError) {
+            return 'is not a valid URL ("' + value + '")';
+        }
+
+        if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+            return 'must use http or https ("' + value + '")';
+        }
+
+        if (parsedUrl.protocol === 'http:' && window.location.protocol === 'https:') {
+            return 'uses http on a page served over https ("' + value + '")';
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks values that refer to other parts of the configuration.
+     *
+     * @param {string[]} errors - Collected error messages.
+     */
+    function validateReferences(errors) {
+        var accessControl = AppConfig.ACCESS_CONTROL;
+        if (isPlainObject(accessControl) && isPlainObject(accessControl.ROLE_PERMISSIONS) &&
+            !Object.prototype.hasOwnProperty.call(accessControl.ROLE_PERMISSIONS, accessControl.DEFAULT_ROLE)) {
+            errors.push('ACCESS_CONTROL.DEFAULT_ROLE "' + accessControl.DEFAULT_ROLE + '" is not defined in ROLE_PERMISSIONS.');
+        }
+
+        var billing = AppConfig.BILLING;
+        if (isPlainObject(billing) && Array.isArray(billing.PLANS)) {
+            var planKeys = billing.PLANS.map(function (plan) {
+                return plan && plan.key;
+            });
+
+            ['CURRENT_PLAN_KEY', 'RECOMMENDED_PLAN_KEY'].forEach(function (key) {
+                var planKey = /** @type {any} */ (billing)[key];
+                if (planKeys.indexOf(planKey) === -1) {
+                    errors.push('BILLING.' + key + ' "' + planKey + '" is not one of the BILLING.PLANS keys.');
+                }
+            });
+        }
+
+        if (isPlainObject(billing) && billing.CYCLE_ANCHOR_DAY > 31) {
+            errors.push('BILLING.CYCLE_ANCHOR_DAY must be a day of the month (1-31), got ' + billing.CYCLE_ANCHOR_DAY + '.');
+        }
+    }
+
+    /**
+     * Turns every bypass flag off when the page is not served from localhost.
+     *
+     * @returns {string[]} Names of the bypass flags left active.
+     */
+    function applyDevModeGuard() {
+        var devMode = /** @type {{ [flag: string]: any }} */ (AppConfig.DEV_MODE || {});
+        var enabledFlags = Object.keys(devMode).filter(function (flag) {
+            return devMode[flag] === true;
+        });
+
+        if (enabledFlags.length > 0 && !isLocalHost()) {
+            enabledFlags.forEach(function (flag) {
+                devMode[flag] = false;
+            });
+            console.warn('ConfigLoader: DEV_MODE ' + enabledFlags.join(', ') + ' ignored outside localhost.');
+            return [];
+        }
+
+        return enabledFlags;
+    }
+
+    /**
+     * @returns {boolean} True when the page is served from this machine.
+     */
+    function isLocalHost() {
+        return LOCAL_HOSTNAMES.indexOf(window.location.hostname) !== -1;
+    }
+
+    /**
+     * @param {any} value
+     * @returns {boolean}
+     */
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Replaces the page with the list of configuration problems. Used when `load()`
+     * fails, before any module has been initialized.
+     *
+     * @param {string[]} errors - Problems reported by `load()`.
+     */
+    function renderConfigurationError(errors) {
+        var panel = document.createElement('div');
+        panel.className = 'config-error';
+        panel.setAttribute('role', 'alert');
+
+        var title = document.createElement('h1');
+        title.textContent = 'Configuracion no valida';
+
+        var description = document.createElement('p');
+        description.textContent = 'El panel no puede arrancar hasta que se corrijan estos valores de configuracion:';
+
+        var list = document.createElement('ul');
+        errors.forEach(function (message) {
+            var item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+
+        panel.appendChild(title);
+        panel.appendChild(description);
+        panel.appendChild(list);
+
+        document.body.replaceChildren(panel);
+    }
+
+    /**
+     * Shows a fixed banner while any DEV_MODE bypass is active.
+     *
+     * @param {string[]} activeBypasses - Flags reported by `load()`.
+     */
+    function renderDevModeBanner(activeBypasses) {
+        if (activeBypasses.length === 0) {
+            return;
+        }
+
+        var banner = document.createElement('div');
+        banner.className = 'dev-mode-banner';
+        banner.setAttribute('role', 'status');
+        banner.textContent = 'Modo desarrollo: ' + activeBypasses.join(', ') + ' activo. Solo se aplica en localhost.';
+
+        document.body.prepend(banner);
+    }
+
+    return {
+        load: load,
+        renderConfigurationError: renderConfigurationError,
+        renderDevModeBanner: renderDevModeBanner
+    };
+})();
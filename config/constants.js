@@ -1,5 +1,7 @@
 ﻿/**
  * Centralized application configuration.
+ * These are the defaults; each environment overrides them in `config/config.json`,
+ * which ConfigLoader merges and validates at startup.
  *
  * @file constants.js
  */
@@ -12,15 +14,47 @@ var AppConfig = {
         TWILIO_CONVERSATIONS: 'https://dashboard-api-4813.twil.io/get-conversations',
         RETELL_CALLS: 'https://dashboard-api-4813.twil.io/get-retell-calls',
         REQUEST_PASSWORD_RESET: '',
-        CONFIRM_PASSWORD_RESET: ''
+        CONFIRM_PASSWORD_RESET: '',
+        // Leave empty when the login webhook does not issue refresh tokens.
+        REFRESH_TOKEN: '',
+        // Second login step for accounts with two-factor authentication.
+        VERIFY_MFA: '',
+        // Plan catalog; leave empty to use BILLING.PLANS.
+        PLANS_CATALOG: '',
+        // Receives upgrade requests from the pricing modal; leave empty to upgrade through WhatsApp only.
+        UPGRADE_REQUEST: ''
     },
 
     RETELL_AGENT_ID: 'agent_1c27d89a3b88972d6ef93738f1',
 
     SECURITY: {
         MAX_LOGIN_ATTEMPTS: 5,
+        // First lockout; each repeated lockout doubles it, up to MAX_LOCKOUT_DURATION_MINUTES.
         LOCKOUT_DURATION_MINUTES: 15,
-        SESSION_DURATION_MINUTES: 60
+        MAX_LOCKOUT_DURATION_MINUTES: 1440,
+        LOCKOUT_HISTORY_HOURS: 24,
+        MAX_RECOVERY_REQUESTS: 3,
+        SESSION_DURATION_MINUTES: 60,
+        TOKEN_REFRESH_LEAD_SECONDS: 120,
+        // Inactivity before the session is closed; the countdown dialog covers the last IDLE_WARNING_SECONDS.
+        IDLE_TIMEOUT_MINUTES: 15,
+        IDLE_WARNING_SECONDS: 60,
+        // "Recordar este dispositivo" keeps the refresh token in localStorage, where any script running
+        // on the page (an XSS) can read it and keep renewing sessions for REMEMBER_DEVICE_DAYS.
+        // Off unless a deployment opts in; it also needs refresh tokens. The access token is never persisted.
+        REMEMBER_DEVICE_ENABLED: false,
+        REMEMBER_DEVICE_DAYS: 30
+    },
+
+    ACCESS_CONTROL: {
+        // Applied when the login response has no role or an unknown one.
+        DEFAULT_ROLE: 'viewer',
+        /** @type {{ [role: string]: Permission[] }} */
+        ROLE_PERMISSIONS: {
+            owner: ['recordings.play', 'transcripts.view', 'phones.view_full', 'calls.export', 'billing.upgrade'],
+            manager: ['recordings.play', 'transcripts.view', 'phones.view_full', 'calls.export'],
+            viewer: ['transcripts.view']
+        }
     },
 
     VALIDATION: {
@@ -29,17 +63,51 @@ var AppConfig = {
         PASSWORD_MIN_LENGTH: 4
     },
 
+    NETWORK: {
+        REQUEST_TIMEOUT_MS: 15000,
+        // Extra attempts for GET requests after network errors, timeouts or 5xx responses.
+        GET_RETRIES: 2,
+        RETRY_BASE_DELAY_MS: 500,
+        RETRY_MAX_DELAY_MS: 4000,
+        // GET responses are reused while fresh, then served stale for a while as they refresh in the background.
+        CACHE_TTL_MS: 30000,
+        CACHE_STALE_MS: 120000
+    },
+
+    CALLS_TABLE: {
+        // Calls requested per page when the endpoint supports pagination cursors.
+        PAGE_SIZE: 200,
+        // Must match the rendered row height; the virtualized body relies on it.
+        ROW_HEIGHT_PX: 57,
+        OVERSCAN_ROWS: 8
+    },
+
     STORAGE_KEYS: {
         SESSION: 'dashboard_session',
-        LOGIN_ATTEMPTS: 'login_attempts'
+        LOGIN_ATTEMPTS: 'login_attempts',
+        RECOVERY_ATTEMPTS: 'recovery_attempts',
+        LOGOUT_NOTICE: 'dashboard_logout_notice',
+        REMEMBERED_SESSION: 'dashboard_remembered_session',
+        UPGRADE_REQUEST: 'dashboard_upgrade_request'
     },
 
     BILLING: {
+        // Only used when neither the login nor the stats response include the account plan.
         CURRENT_PLAN_KEY: 'starter',
         RECOMMENDED_PLAN_KEY: 'professional',
         WHATSAPP_BASE_URL: 'https://wa.me/',
         // Use country code + number, no plus sign. Example: 34600111222
         WHATSAPP_NUMBER: '34600111222',
+        // Currency of overageRatePerMinute, shown in the overage cost estimate.
+        CURRENCY: 'EUR',
+        // The usage forecast projects the daily rate of the last N days to the end of the cycle.
+        FORECAST_TREND_DAYS: 7,
+        // Day of the month each billing cycle starts on (1-31; shorter months start on their
+        // last day). Only used when the account plan does not include its cycle dates.
+        CYCLE_ANCHOR_DAY: 1,
+        // Previous cycles listed in the usage history.
+        CYCLE_HISTORY_COUNT: 3,
+        // Fallback catalog when PLANS_CATALOG is not set or cannot be loaded.
         /** @type {PlanDefinition[]} */
         PLANS: [
             {
@@ -48,6 +116,7 @@ var AppConfig = {
                 priceLabel: '595€',
                 periodLabel: '/mes',
                 minutesIncluded: 1000,
+                overageRatePerMinute: 0.65,
                 features: [
                     '1.000 min incluidos',
                     '1 Agente',
@@ -61,6 +130,7 @@ var AppConfig = {
                 priceLabel: '1.495€',
                 periodLabel: '/mes',
                 minutesIncluded: 3000,
+                overageRatePerMinute: 0.55,
                 features: [
                     '3.000 min incluidos',
                     '2 Agentes',
@@ -74,6 +144,7 @@ var AppConfig = {
                 priceLabel: '2.495€',
                 periodLabel: '/mes',
                 minutesIncluded: 5000,
+                overageRatePerMinute: 0.50,
                 features: [
                     '5.000 min incluidos',
                     'CRM + WhatsApp',
@@ -87,6 +158,7 @@ var AppConfig = {
                 priceLabel: '4.500€',
                 periodLabel: '/mes',
                 minutesIncluded: 10000,
+                overageRatePerMinute: 0.45,
                 features: [
                     '10.000 min incluidos',
                     'Agentes ilimitados',
@@ -98,8 +170,9 @@ var AppConfig = {
     },
 
     DEV_MODE: {
-        // Local development helper. Disable in production.
-        BYPASS_LOGIN: true,
-        BYPASS_VALIDATION: true
+        // Local development helpers, enabled from config/config.json. ConfigLoader
+        // ignores them unless the page is served from localhost.
+        BYPASS_LOGIN: false,
+        BYPASS_VALIDATION: false
     }
 };
@@ -0,0 +1,526 @@
+/**
+ * Local mock of the login webhook and the data endpoints, for testing the token
+ * flow offline. It serves the dashboard from the repository root and answers
+ * `config/config.json` itself so the app talks to the mock endpoints.
+ *
+ * Usage: node dev/mock-auth-server.js, then open http://127.0.0.1:8787
+ * and sign in with demo / demo1234 (owner), gestor / demo1234 (manager) or
+ * lector / demo1234 (viewer) to check the role-based permissions.
+ * seguro / demo1234 has two-factor authentication: add the TOTP secret
+ * JBSWY3DPEHPK3PXP to an authenticator app, read the current code from
+ * GET /mock/mfa/code, or use a recovery code (ABCD-EFGH-2345, JKLM-NPQR-6789).
+ *
+ * Environment:
+ *   PORT                      Port to listen on (default 8787). Only loopback is bound:
+ *                             the mock serves the repository and accepts known passwords.
+ *   MOCK_ACCESS_TTL_SECONDS   Access token lifetime (default 60, short on purpose).
+ *   MOCK_REFRESH_TTL_SECONDS  Refresh token lifetime (default 3600).
+ *
+ * GET /mock/revoke revokes every refresh token, so the next renewal fails and
+ * the app has to log out cleanly.
+ *
+ * @file mock-auth-server.js
+ */
+
+'use strict';
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+var PORT = Number(process.env.PORT) || 8787;
+var HOST = '127.0.0.1';
+var ACCESS_TTL_SECONDS = Number(process.env.MOCK_ACCESS_TTL_SECONDS) || 60;
+var REFRESH_TTL_SECONDS = Number(process.env.MOCK_REFRESH_TTL_SECONDS) || 3600;
+var ROOT_DIR = path.resolve(__dirname, '..');
+
+var USERS = {
+    demo: { password: 'demo1234', role: 'owner', plan: 'starter' },
+    gestor: { password: 'demo1234', role: 'manager', plan: 'professional' },
+    lector: { password: 'demo1234', role: 'viewer', plan: 'professional' },
+    seguro: {
+        password: 'demo1234',
+        role: 'owner',
+        plan: 'business',
+        totpSecret: 'JBSWY3DPEHPK3PXP',
+        recoveryCodes: ['ABCD-EFGH-2345', 'JKLM-NPQR-6789']
+    }
+};
+
+// Served by GET /mock/plans; prices are numbers so the client formats them.
+var PLAN_CATALOG = [
+    { key: 'starter', name: 'Starter', price: 595, currency: 'EUR', minutes_included: 1000, overage_rate_per_minute: 0.65, features: ['1.000 min incluidos', '1 Agente', 'Soporte email'] },
+    { key: 'professional', name: 'Professional', price: 1495, currency: 'EUR', minutes_included: 3000, overage_rate_per_minute: 0.55, features: ['3.000 min incluidos', '2 Agentes', 'Soporte prioritario'] },
+    { key: 'business', name: 'Business', price: 2495, currency: 'EUR', minutes_included: 5000, overage_rate_per_minute: 0.5, features: ['5.000 min incluidos', 'CRM + WhatsApp', 'Soporte directo'] }
+];
+
+// Server-side lockout, answered with 429 and Retry-After like a real backend should.
+var MAX_FAILED_LOGINS = 5;
+var LOGIN_LOCKOUT_SECONDS = 60;
+var MFA_CHALLENGE_TTL_SECONDS = 300;
+var MFA_MAX_ATTEMPTS = 5;
+var TOTP_STEP_SECONDS = 30;
+
+var CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// Served as config/config.json, in place of any local one.
+var MOCK_CONFIG = {
+    API_ENDPOINTS: {
+        AUTHENTICATION: '/mock/login',
+        REFRESH_TOKEN: '/mock/refresh',
+        VERIFY_MFA: '/mock/mfa/verify',
+        PLANS_CATALOG: '/mock/plans',
+        UPGRADE_REQUEST: '/mock/upgrade-request',
+        TWILIO_STATS: '/mock/stats',
+        TWILIO_CONVERSATIONS: '/mock/conversations',
+        RETELL_CALLS: '/mock/calls'
+    },
+    RETELL_AGENT_ID: '',
+    // Opted in so "Recordar este dispositivo" can be tested against the mock refresh endpoint.
+    SECURITY: {
+        REMEMBER_DEVICE_ENABLED: true
+    },
+    // The mock exists to exercise the real login, so the local bypass must be off.
+    DEV_MODE: {
+        BYPASS_LOGIN: false
+    }
+};
+
+/** @type {{ [token: string]: { username: string, expiresAt: number } }} */
+var accessTokens = {};
+/** @type {{ [token: string]: { username: string, expiresAt: number } }} */
+var refreshTokens = {};
+/** @type {{ [token: string]: { username: string, expiresAt: number, attempts: number } }} */
+var mfaChallenges = {};
+/** @type {{ [username: string]: { count: number, lockedUntil: number } }} */
+var failedLogins = {};
+
+// About three months of calls, so the usage card has previous cycles to list.
+var sampleCalls = buildSampleCalls(240);
+var sampleConversations = buildSampleConversations(12);
+/** @type {Object[]} */
+var upgradeRequests = [];
+
+var routes = {
+    'POST /mock/login': handleLogin,
+    'POST /mock/refresh': handleRefresh,
+    'POST /mock/mfa/verify': handleVerifyMfa,
+    'GET /mock/mfa/code': handleCurrentMfaCode,
+    'GET /mock/revoke': handleRevoke,
+    'GET /mock/plans': handlePlans,
+    'POST /mock/upgrade-request': requireToken(handleUpgradeRequest),
+    'GET /mock/stats': requireToken(handleStats),
+    'GET /mock/calls': requireToken(handleCalls),
+    'GET /mock/conversations': requireToken(handleConversations)
+};
+
+http.createServer(function (req, res) {
+    var url = new URL(req.url || '/', 'http://' + HOST + ':' + PORT);
+    var route = routes[req.method + ' ' + url.pathname];
+
+    if (route) {
+        readJsonBody(req, function (body) {
+            route(req, res, url, body);
+        });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        serveStaticFile(url.pathname, res);
+        return;
+    }
+
+    sendJson(res, 404, { status: 'error', message: 'Not found' });
+}).listen(PORT, HOST, function () {
+    console.log('Mock auth server on http://' + HOST + ':' + PORT + ' (access token TTL ' + ACCESS_TTL_SECONDS + 's)');
+});
+
+function handleLogin(req, res, url, body) {
+    var username = String(body.usuario || body.username || '');
+    var password = String(body.clave || body.password || '');
+
+    var failures = failedLogins[username] || { count: 0, lockedUntil: 0 };
+    if (failures.lockedUntil > Date.now()) {
+        var retryAfterSeconds = Math.ceil((failures.lockedUntil - Date.now()) / 1000);
+        sendJson(res, 429, { status: 'error', message: 'Demasiados intentos', retry_after: retryAfterSeconds }, { 'Retry-After': String(retryAfterSeconds) });
+        return;
+    }
+
+    if (!USERS[username] || USERS[username].password !== password) {
+        failures.count++;
+        if (failures.count >= MAX_FAILED_LOGINS) {
+            failures = { count: 0, lockedUntil: Date.now() + LOGIN_LOCKOUT_SECONDS * 1000 };
+        }
+        failedLogins[username] = failures;
+        sendJson(res, 401, { status: 'error', message: 'Credenciales incorrectas' });
+        return;
+    }
+
+    delete failedLogins[username];
+
+    if (USERS[username].totpSecret) {
+        var mfaToken = crypto.randomBytes(24).toString('hex');
+        mfaChallenges[mfaToken] = { username: username, expiresAt: Date.now() + MFA_CHALLENGE_TTL_SECONDS * 1000, attempts: 0 };
+        sendJson(res, 200, { status: 'mfa_required', mfa_token: mfaToken, mfa_expires_in: MFA_CHALLENGE_TTL_SECONDS });
+        return;
+    }
+
+    sendJson(res, 200, issueSessionResponse(username));
+}
+
+function handleVerifyMfa(req, res, url, body) {
+    var mfaToken = String(body.mfaToken || body.mfa_token || '');
+    var challenge = mfaChallenges[mfaToken];
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+        delete mfaChallenges[mfaToken];
+        sendJson(res, 401, { status: 'error', message: 'La verificacion ha caducado. Vuelve a iniciar sesion.' });
+        return;
+    }
+
+    var user = USERS[challenge.username];
+    var code = String(body.code || '');
+    var isValid = body.method === 'recovery' ? useRecoveryCode(user, code) : verifyTotp(user.totpSecret, code);
+
+    if (!isValid) {
+        // Like a real backend, a challenge only survives a few wrong codes.
+        challenge.attempts++;
+        if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+            delete mfaChallenges[mfaToken];
+        }
+        sendJson(res, 401, { status: 'error', message: 'Codigo de verificacion incorrecto' });
+        return;
+    }
+
+    delete mfaChallenges[mfaToken];
+    sendJson(res, 200, issueSessionResponse(challenge.username));
+}
+
+function handleCurrentMfaCode(req, res) {
+    var step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    sendJson(res, 200, { username: 'seguro', code: generateTotp(USERS.seguro.totpSecret, step) });
+}
+
+function handleRefresh(req, res, url, body) {
+    var refreshToken = String(body.refreshToken || body.refresh_token || '');
+    var entry = refreshTokens[refreshToken];
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        sendJson(res, 401, { status: 'error', message: 'Refresh token invalido o caducado' });
+        return;
+    }
+
+    // Rotation: every refresh token is single-use.
+    delete refreshTokens[refreshToken];
+    sendJson(res, 200, issueTokens(entry.username));
+}
+
+function handleRevoke(req, res) {
+    refreshTokens = {};
+    sendJson(res, 200, { status: 'success', message: 'Refresh tokens revocados' });
+}
+
+function handleStats(req, res, url, body, session) {
+    var inbound = sampleCalls.filter(function (call) { return call.direction === 'inbound'; }).length;
+    var totalMs = sampleCalls.reduce(function (sum, call) { return sum + call.duration_ms; }, 0);
+
+    sendJson(res, 200, {
+        whatsappConversaciones: sampleConversations.length,
+        calls: {
+            inbound: inbound,
+            outbound: sampleCalls.length - inbound,
+            minutes: Math.round(totalMs / 600) / 100
+        },
+        account: buildAccountPlan(session.username)
+    });
+}
+
+function handlePlans(req, res) {
+    sendJson(res, 200, { plans: PLAN_CATALOG });
+}
+
+/**
+ * Records the request and logs it, so the payload can be checked from the terminal.
+ */
+function handleUpgradeRequest(req, res, url, body, session) {
+    if (!body.target_plan || !body.target_plan.key) {
+        sendJson(res, 400, { status: 'error', message: 'Falta el plan solicitado' });
+        return;
+    }
+
+    var requestId = 'upg_' + (upgradeRequests.length + 1);
+    upgradeRequests.push(Object.assign({ id: requestId, session_user: session.username }, body));
+    console.log('Upgrade request ' + requestId + ': ' + JSON.stringify(body));
+
+    sendJson(res, 200, { success: true, request_id: requestId });
+}
+
+/**
+ * Plan of the user with the calendar month as billing cycle. Every plan started two
+ * months ago, so the oldest cycle in the usage history comes from the previous plan:
+ * its included minutes are sent in cycle_history.
+ */
+function buildAccountPlan(username) {
+    var now = new Date();
+
+    return {
+        plan: {
+            key: USERS[username].plan,
+            cycle_start: new Date(now.getFullYear(), now.getMonth(), 1).toISOString(),
+            cycle_end: new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59).toISOString(),
+            started_at: new Date(now.getFullYear(), now.getMonth() - 2, 1).toISOString(),
+            cycle_history: [
+                { cycle_start: new Date(now.getFullYear(), now.getMonth() - 3, 1).toISOString(), minutes_included: 100 }
+            ]
+        }
+    };
+}
+
+function handleCalls(req, res, url) {
+    var limit = Number(url.searchParams.get('limit')) || sampleCalls.length;
+    var offset = Number(url.searchParams.get('pagination_key')) || 0;
+    var page = sampleCalls.slice(offset, offset + limit);
+    var hasMore = offset + limit < sampleCalls.length;
+
+    sendJson(res, 200, {
+        data: page,
+        has_more: hasMore,
+        next_pagination_key: hasMore ? String(offset + limit) : null
+    });
+}
+
+function handleConversations(req, res) {
+    sendJson(res, 200, {
+        success: true,
+        totalConversations: sampleConversations.length,
+        conversations: sampleConversations
+    });
+}
+
+/**
+ * Wraps a handler so it answers 401 unless the request carries a live access token.
+ */
+function requireToken(handler) {
+    return function (req, res, url, body) {
+        var header = String(req.headers.authorization || '');
+        var token = header.indexOf('Bearer ') === 0 ? header.slice(7) : '';
+        var entry = accessTokens[token];
+
+        if (!entry || entry.expiresAt < Date.now()) {
+            sendJson(res, 401, { status: 'error', message: 'Token invalido o caducado' });
+            return;
+        }
+
+        handler(req, res, url, body, entry);
+    };
+}
+
+function issueSessionResponse(username) {
+    var response = issueTokens(username);
+    response.role = USERS[username].role;
+    response.account = buildAccountPlan(username);
+    return response;
+}
+
+function issueTokens(username) {
+    var accessToken = crypto.randomBytes(24).toString('hex');
+    var refreshToken = crypto.randomBytes(24).toString('hex');
+
+    accessTokens[accessToken] = { username: username, expiresAt: Date.now() + ACCESS_TTL_SECONDS * 1000 };
+    refreshTokens[refreshToken] = { username: username, expiresAt: Date.now() + REFRESH_TTL_SECONDS * 1000 };
+
+    return {
+        status: 'success',
+        token: accessToken,
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TTL_SECONDS
+    };
+}
+
+/**
+ * Accepts the code of the current 30-second step and its neighbours, to allow for clock drift.
+ */
+function verifyTotp(secret, code) {
+    var step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (var drift = -1; drift <= 1; drift++) {
+        if (generateTotp(secret, step + drift) === code) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * RFC 6238 TOTP (HMAC-SHA1, 6 digits) for a base32 secret.
+ */
+function generateTotp(secret, step) {
+    var counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step >>> 0, 4);
+
+    var hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+    var offset = hmac[hmac.length - 1] & 0xf;
+    var binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 1000000).padStart(6, '0');
+}
+
+function decodeBase32(text) {
+    var alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    var bits = '';
+    var bytes = [];
+
+    text.replace(/=+$/, '').toUpperCase().split('').forEach(function (character) {
+        bits += alphabet.indexOf(character).toString(2).padStart(5, '0');
+    });
+
+    for (var i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Recovery codes are single-use and compared without dashes or case.
+ */
+function useRecoveryCode(user, code) {
+    var normalize = function (value) { return value.replace(/[\s-]/g, '').toUpperCase(); };
+    var index = user.recoveryCodes.map(normalize).indexOf(normalize(code));
+
+    if (index === -1) {
+        return false;
+    }
+
+    user.recoveryCodes.splice(index, 1);
+    return true;
+}
+
+function serveStaticFile(pathname, res) {
+    var relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    var filePath = path.resolve(ROOT_DIR, relativePath);
+
+    if (filePath.indexOf(ROOT_DIR + path.sep) !== 0) {
+        sendJson(res, 403, { status: 'error', message: 'Forbidden' });
+        return;
+    }
+
+    if (relativePath === 'config/config.json') {
+        sendJson(res, 200, MOCK_CONFIG);
+        return;
+    }
+
+    fs.readFile(filePath, function (error, content) {
+        if (error) {
+            sendJson(res, 404, { status: 'error', message: 'Not found' });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(content);
+    });
+}
+
+function readJsonBody(req, callback) {
+    var chunks = [];
+
+    req.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+
+    req.on('end', function () {
+        var text = Buffer.concat(chunks).toString('utf8');
+        try {
+            callback(text ? JSON.parse(text) : {});
+        } catch (parseError) {
+            callback({});
+        }
+    });
+}
+
+function sendJson(res, statusCode, payload, extraHeaders) {
+    res.writeHead(statusCode, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    }, extraHeaders));
+    res.end(JSON.stringify(payload));
+}
+
+function buildSampleCalls(count) {
+    var calls = [];
+    var now = Date.now();
+
+    for (var i = 0; i < count; i++) {
+        var startTimestamp = now - i * 9 * 60 * 60 * 1000;
+        var durationMs = 30000 + (i * 37000) % 400000;
+
+        calls.push({
+            call_id: 'mock_call_' + i,
+            agent_id: 'agent_mock',
+            start_timestamp: startTimestamp,
+            duration_ms: durationMs,
+            direction: i % 3 === 0 ? 'outbound' : 'inbound',
+            from_number: '+3460011' + String(1000 + i),
+            call_status: i % 7 === 0 ? 'no-answer' : 'ended',
+            transcript: 'Agent: Hola, gracias por llamar. En que puedo ayudarte?\nUser: Queria consultar el estado de mi pedido.\nAgent: Claro, ahora mismo lo reviso.',
+            // Every other call carries Retell word timings, like real calls with transcript_object
+            transcript_object: i % 2 === 0 ? buildSampleTranscriptObject() : undefined
+        });
+    }
+
+    return calls;
+}
+
+function buildSampleTranscriptObject() {
+    var utterances = [
+        { role: 'agent', content: 'Hola, gracias por llamar. En que puedo ayudarte?' },
+        { role: 'user', content: 'Queria consultar el estado de mi pedido.' },
+        { role: 'agent', content: 'Claro, ahora mismo lo reviso.' }
+    ];
+    var time = 0.5;
+
+    return utterances.map(function (utterance) {
+        var words = utterance.content.split(' ').map(function (word) {
+            var timedWord = { word: word, start: time, end: time + 0.35 };
+            time += 0.4;
+            return timedWord;
+        });
+
+        time += 0.8;
+        return { role: utterance.role, content: utterance.content, words: words };
+    });
+}
+
+function buildSampleConversations(count) {
+    var conversations = [];
+    var now = Date.now();
+
+    for (var i = 0; i < count; i++) {
+        var lastDate = new Date(now - i * 26 * 60 * 60 * 1000);
+
+        conversations.push({
+            phoneNumber: '+3461122' + String(2000 + i),
+            lastMessageDate: lastDate.toISOString(),
+            messages: [
+                { sid: 'SM' + i + 'a', direction: 'inbound', body: 'Hola, tengo una duda sobre mi reserva.', date: new Date(lastDate.getTime() - 60000).toISOString(), status: 'received' },
+                { sid: 'SM' + i + 'b', direction: 'outbound', body: 'Hola! Dime el numero de reserva y lo miro.', date: lastDate.toISOString(), status: 'delivered' }
+            ]
+        });
+    }
+
+    return conversations;
+}
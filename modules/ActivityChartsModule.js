@@ -0,0 +1,233 @@
+/**
+ * Activity charts module.
+ * Aggregates calls and WhatsApp conversations into daily or hourly series for the Resumen tab.
+ *
+ * @file ActivityChartsModule.js
+ */
+
+var ActivityChartsModule = (function () {
+    'use strict';
+
+    /** @type {'daily'|'hourly'} */
+    var currentGranularity = 'daily';
+    /** @type {CallData[]} */
+    var chartCalls = [];
+    /** @type {Conversation[]} */
+    var chartConversations = [];
+    /** @type {boolean} */
+    var eventsAttached = false;
+
+    var MAX_DAILY_BUCKETS = 90;
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    var SERIES_COLORS = {
+        inbound: '#3b82f6',
+        outbound: '#f59e0b',
+        whatsapp: '#10b981',
+        minutes: '#8b5cf6'
+    };
+
+    attachGlobalEvents();
+
+    function attachGlobalEvents() {
+        if (eventsAttached) {
+            return;
+        }
+
+        eventsAttached = true;
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            var granularityButton = target.closest('[data-chart-granularity]');
+            if (granularityButton === null) {
+                return;
+            }
+
+            var granularity = granularityButton.getAttribute('data-chart-granularity');
+            if (granularity !== 'daily' && granularity !== 'hourly') {
+                return;
+            }
+
+            currentGranularity = granularity;
+            updateGranularityButtons();
+            renderCharts();
+        });
+    }
+
+    /**
+     * @param {CallData[]} calls
+     * @param {Conversation[]} conversations
+     */
+    function render(calls, conversations) {
+        chartCalls = calls || [];
+        chartConversations = conversations || [];
+        renderCharts();
+    }
+
+    function renderCharts() {
+        var buckets = currentGranularity === 'hourly' ? buildHourlyBuckets() : buildDailyBuckets();
+
+        chartCalls.forEach(function (call) {
+            var bucketIndex = buckets.resolveIndex(CallsModule.resolveCallDate(call));
+            if (bucketIndex === -1) {
+                return;
+            }
+
+            if (call.direction === 'outbound') {
+                buckets.outbound[bucketIndex]++;
+            } else {
+                buckets.inbound[bucketIndex]++;
+            }
+
+            buckets.minutes[bucketIndex] += CallsModule.resolveCallDurationMs(call) / 60000;
+        });
+
+        chartConversations.forEach(function (conversation) {
+            var conversationDate = WhatsappModule.resolveConversationStartDate(conversation);
+            if (conversationDate === null || !DateRangeModule.isDateInRange(conversationDate)) {
+                return;
+            }
+
+            var bucketIndex = buckets.resolveIndex(conversationDate);
+            if (bucketIndex !== -1) {
+                buckets.whatsapp[bucketIndex]++;
+            }
+        });
+
+        SvgChart.render(document.getElementById('chart-activity'), {
+            type: currentGranularity === 'hourly' ? 'bar' : 'line',
+            labels: buckets.labels,
+            ariaLabel: 'Llamadas y conversaciones de WhatsApp',
+            series: [
+                { name: 'Entrantes', color: SERIES_COLORS.inbound, values: buckets.inbound },
+                { name: 'Salientes', color: SERIES_COLORS.outbound, values: buckets.outbound },
+                { name: 'WhatsApp', color: SERIES_COLORS.whatsapp, values: buckets.whatsapp }
+            ]
+        });
+
+        SvgChart.render(document.getElementById('chart-minutes'), {
+            type: currentGranularity === 'hourly' ? 'bar' : 'line',
+            labels: buckets.labels,
+            ariaLabel: 'Minutos consumidos',
+            valueFormatter: function (value) {
+                return DashboardModule.formatMinutesToReadable(value);
+            },
+            series: [
+                { name: 'Minutos', color: SERIES_COLORS.minutes, values: buckets.minutes }
+            ]
+        });
+    }
+
+    /**
+     * One bucket per day in the active range, or up to the last 90 days when no range is selected.
+     *
+     * @returns {{ labels: string[], inbound: number[], outbound: number[], whatsapp: number[], minutes: number[], resolveIndex: (date: Date) => number }}
+     */
+    function buildDailyBuckets() {
+        var range = DateRangeModule.getRange();
+        var today = new Date();
+        var lastDay = range.to !== null ? startOfDay(range.to) : startOfDay(today);
+        var firstDay = range.from !== null ? startOfDay(range.from) : findEarliestActivityDay(lastDay);
+
+        var dayCount = Math.round((lastDay.getTime() - firstDay.getTime()) / DAY_MS) + 1;
+        dayCount = Math.min(Math.max(dayCount, 1), MAX_DAILY_BUCKETS);
+        firstDay = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() - (dayCount - 1));
+
+        var labels = [];
+        for (var i = 0; i < dayCount; i++) {
+            var day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+            labels.push(day.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' }));
+        }
+
+        return createBuckets(labels, function (date) {
+            var index = Math.round((startOfDay(date).getTime() - firstDay.getTime()) / DAY_MS);
+            return index >= 0 && index < dayCount ? index : -1;
+        });
+    }
+
+    /**
+     * One bucket per hour of the day, aggregated across the active range.
+     *
+     * @returns {{ labels: string[], inbound: number[], outbound: number[], whatsapp: number[], minutes: number[], resolveIndex: (date: Date) => number }}
+     */
+    function buildHourlyBuckets() {
+        var labels = [];
+        for (var hour = 0; hour < 24; hour++) {
+            labels.push((hour < 10 ? '0' : '') + hour + 'h');
+        }
+
+        return createBuckets(labels, function (date) {
+            return date.getHours();
+        });
+    }
+
+    /**
+     * @param {string[]} labels
+     * @param {(date: Date) => number} resolveIndex
+     * @returns {{ labels: string[], inbound: number[], outbound: number[], whatsapp: number[], minutes: number[], resolveIndex: (date: Date) => number }}
+     */
+    function createBuckets(labels, resolveIndex) {
+        return {
+            labels: labels,
+            inbound: createZeroArray(labels.length),
+            outbound: createZeroArray(labels.length),
+            whatsapp: createZeroArray(labels.length),
+            minutes: createZeroArray(labels.length),
+            resolveIndex: resolveIndex
+        };
+    }
+
+    /**
+     * @param {Date} lastDay
+     * @returns {Date}
+     */
+    function findEarliestActivityDay(lastDay) {
+        var earliestTimestamp = lastDay.getTime();
+
+        chartCalls.forEach(function (call) {
+            var timestamp = CallsModule.resolveCallDate(call).getTime();
+            if (timestamp < earliestTimestamp) {
+                earliestTimestamp = timestamp;
+            }
+        });
+
+        return startOfDay(new Date(earliestTimestamp));
+    }
+
+    function updateGranularityButtons() {
+        var buttons = document.querySelectorAll('[data-chart-granularity]');
+        buttons.forEach(function (button) {
+            var isActive = button.getAttribute('data-chart-granularity') === currentGranularity;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {Date}
+     */
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * @param {number} length
+     * @returns {number[]}
+     */
+    function createZeroArray(length) {
+        var values = [];
+        for (var i = 0; i < length; i++) {
+            values.push(0);
+        }
+        return values;
+    }
+
+    return {
+        render: render
+    };
+})();
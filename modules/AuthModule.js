@@ -1,6 +1,6 @@
 ﻿/**
  * Authentication and view flow module.
- * Handles login, logout, and password recovery request modal.
+ * Handles login (with the optional two-factor step), logout, and password recovery request modal.
  *
  * @file AuthModule.js
  */
@@ -28,23 +28,120 @@ var AuthModule = (function () {
     /** @type {HTMLElement|null} */
     var recoveryMessageContainer = document.getElementById('recovery-message');
 
+    /** @type {HTMLElement|null} */
+    var rememberDeviceOption = document.getElementById('remember-device-option');
+
+    /** @type {HTMLFormElement|null} */
+    var mfaFormElement = /** @type {HTMLFormElement|null} */ (document.getElementById('mfa-form'));
+
+    /**
+     * Second login step waiting for a code; null while on the password step.
+     * @type {{ challenge: MfaChallenge, rememberDevice: boolean, method: MfaMethod }|null}
+     */
+    var pendingMfa = null;
+
+    // How long a new tab waits for an authenticated tab to share its session.
+    var SESSION_REQUEST_TIMEOUT_MS = 300;
+
+    // Both limiters are created in initialize(): their limits and storage keys come from
+    // AppConfig, which ConfigLoader only finishes overriding with config.json after the scripts load.
+    /** @type {RateLimiterController} */
+    var loginLimiter;
+    /** @type {RateLimiterController} */
+    var recoveryLimiter;
+
     /** @type {boolean} */
     var eventsAttached = false;
+    // Set once the page is reloading to the login view, so late 401s do not close it again.
+    /** @type {boolean} */
+    var isSessionClosing = false;
 
     function initialize() {
+        createRateLimiters();
         attachEventListeners();
 
         if (typeof TabsModule !== 'undefined' && typeof TabsModule.initialize === 'function') {
             TabsModule.initialize();
         }
 
+        // Remembering the device needs refresh tokens (the access token is never persisted)
+        // and an explicit opt-in from the deployment, see SECURITY.REMEMBER_DEVICE_ENABLED.
+        if (rememberDeviceOption !== null) {
+            rememberDeviceOption.classList.toggle('is-hidden',
+                !AppConfig.SECURITY.REMEMBER_DEVICE_ENABLED || !AppConfig.API_ENDPOINTS.REFRESH_TOKEN);
+        }
+
         if (SessionManager.isSessionValid()) {
-            displayDashboardView();
-            DashboardModule.loadDashboardData();
+            enterDashboard();
             return;
         }
 
         displayLoginView();
+        showLogoutNotice();
+        restoreSession();
+    }
+
+    /**
+     * Reuses the session of another open tab, or the one remembered on this device.
+     */
+    async function restoreSession() {
+        var sharedSession = await SessionBus.requestSession(SESSION_REQUEST_TIMEOUT_MS);
+        if (SessionManager.isSessionValid()) {
+            return;
+        }
+
+        if (sharedSession !== null && SessionManager.adoptSession(sharedSession)) {
+            enterDashboard();
+            return;
+        }
+
+        if (await TokenRefreshService.restoreRememberedSession()) {
+            enterDashboard();
+        }
+    }
+
+    function enterDashboard() {
+        hideMfaStep();
+        DomHelper.hideErrorMessage(loginErrorContainer);
+        PermissionService.applyToDocument();
+        TokenRefreshService.start();
+        IdleTimeoutModule.start();
+        displayDashboardView();
+        DashboardModule.loadDashboardData();
+        TabsModule.loadActiveTab();
+    }
+
+    function createRateLimiters() {
+        if (loginLimiter) {
+            return;
+        }
+
+        // Counted per username, so one user's typos never lock out another user of the browser.
+        loginLimiter = RateLimiter.create({
+            storageKey: AppConfig.STORAGE_KEYS.LOGIN_ATTEMPTS,
+            maxAttempts: AppConfig.SECURITY.MAX_LOGIN_ATTEMPTS,
+            lockoutMinutes: AppConfig.SECURITY.LOCKOUT_DURATION_MINUTES
+        });
+
+        // Every recovery email sent counts, whether or not the user exists.
+        recoveryLimiter = RateLimiter.create({
+            storageKey: AppConfig.STORAGE_KEYS.RECOVERY_ATTEMPTS,
+            maxAttempts: AppConfig.SECURITY.MAX_RECOVERY_REQUESTS,
+            lockoutMinutes: AppConfig.SECURITY.LOCKOUT_DURATION_MINUTES
+        });
+    }
+
+    /**
+     * Shows the reason for an automatic logout that reloaded the page (e.g. inactivity).
+     */
+    function showLogoutNotice() {
+        var noticeMessage = sessionStorage.getItem(AppConfig.STORAGE_KEYS.LOGOUT_NOTICE);
+        if (noticeMessage === null) {
+            return;
+        }
+
+        sessionStorage.removeItem(AppConfig.STORAGE_KEYS.LOGOUT_NOTICE);
+        DomHelper.showErrorMessage(loginErrorContainer, noticeMessage);
     }
 
     function attachEventListeners() {
@@ -54,10 +151,37 @@ var AuthModule = (function () {
 
         eventsAttached = true;
 
+        SessionBus.subscribe('login', handleRemoteLogin);
+        SessionBus.subscribe('logout', function () {
+            if (SessionManager.getSession() !== null) {
+                closeSession('Se cerro la sesion desde otra pestana.');
+            }
+        });
+
         if (loginFormElement !== null) {
             loginFormElement.addEventListener('submit', handleLoginFormSubmit);
         }
 
+        if (mfaFormElement !== null) {
+            mfaFormElement.addEventListener('submit', handleMfaFormSubmit);
+            mfaFormElement.addEventListener('click', function (event) {
+                var target = event.target;
+                if (!(target instanceof Element)) {
+                    return;
+                }
+
+                if (target.closest('[data-action="toggle-mfa-method"]')) {
+                    setMfaMethod(pendingMfa !== null && pendingMfa.method === 'totp' ? 'recovery' : 'totp');
+                    return;
+                }
+
+                if (target.closest('[data-action="cancel-mfa"]')) {
+                    DomHelper.hideErrorMessage(loginErrorContainer);
+                    hideMfaStep();
+                }
+            });
+        }
+
         if (forgotPasswordLink !== null) {
             forgotPasswordLink.addEventListener('click', handleForgotPasswordClick);
         }
@@ -87,15 +211,6 @@ var AuthModule = (function () {
 
         DomHelper.hideErrorMessage(loginErrorContainer);
 
-        var lockoutStatus = RateLimiter.checkLockoutStatus();
-        if (lockoutStatus.isLocked) {
-            DomHelper.showErrorMessage(
-                loginErrorContainer,
-                'Demasiados intentos fallidos. Espera ' + lockoutStatus.remainingMinutes + ' minutos antes de intentar de nuevo.'
-            );
-            return;
-        }
-
         var usernameInput = DomHelper.getInputValue('username');
         var passwordInput = DomHelper.getInputValue('password');
         var validationResult = InputValidator.validateLoginCredentials(usernameInput, passwordInput);
@@ -105,48 +220,241 @@ var AuthModule = (function () {
             return;
         }
 
+        var lockoutStatus = loginLimiter.checkLockoutStatus(validationResult.sanitizedUsername);
+        if (lockoutStatus.isLocked) {
+            showLockoutMessage(lockoutStatus);
+            return;
+        }
+
         var authResult = await AuthenticationService.authenticate(
             validationResult.sanitizedUsername,
             validationResult.sanitizedPassword
         );
 
+        /** @type {HTMLInputElement|null} */
+        var rememberDeviceInput = /** @type {HTMLInputElement|null} */ (document.getElementById('remember-device'));
+        var rememberDevice = rememberDeviceInput !== null && rememberDeviceInput.checked;
+
+        if (authResult.success) {
+            handleSuccessfulLogin(authResult, rememberDevice);
+            return;
+        }
+
+        // The password was right; attempts are only reset once the code is verified too.
+        if (authResult.mfaChallenge) {
+            showMfaStep(authResult.mfaChallenge, rememberDevice);
+            return;
+        }
+
+        handleFailedLogin(authResult, validationResult.sanitizedUsername);
+    }
+
+    /**
+     * @param {Event} submitEvent
+     */
+    async function handleMfaFormSubmit(submitEvent) {
+        submitEvent.preventDefault();
+
+        var mfaStep = pendingMfa;
+        if (mfaStep === null) {
+            return;
+        }
+
+        DomHelper.hideErrorMessage(loginErrorContainer);
+
+        // Code attempts share the password lockout, so the code cannot be brute-forced either.
+        var lockoutStatus = loginLimiter.checkLockoutStatus(mfaStep.challenge.username);
+        if (lockoutStatus.isLocked) {
+            hideMfaStep();
+            showLockoutMessage(lockoutStatus);
+            return;
+        }
+
+        if (Date.now() >= mfaStep.challenge.expiresAt) {
+            hideMfaStep();
+            DomHelper.showErrorMessage(loginErrorContainer, 'La verificacion ha caducado. Vuelve a introducir tu contrasena.');
+            return;
+        }
+
+        var validationResult = InputValidator.validateMfaCode(DomHelper.getInputValue('mfa-code'), mfaStep.method);
+        if (!validationResult.isValid) {
+            DomHelper.showErrorMessage(loginErrorContainer, validationResult.errors.join(' '));
+            return;
+        }
+
+        var authResult = await AuthenticationService.verifyMfaCode(
+            mfaStep.challenge,
+            validationResult.sanitizedCode,
+            mfaStep.method
+        );
+
+        // The user went back to the password step while the code was being checked.
+        if (pendingMfa !== mfaStep) {
+            return;
+        }
+
         if (authResult.success) {
-            handleSuccessfulLogin(authResult);
+            hideMfaStep();
+            handleSuccessfulLogin(authResult, mfaStep.rememberDevice);
+            return;
+        }
+
+        handleFailedLogin(authResult, mfaStep.challenge.username);
+
+        if (loginLimiter.checkLockoutStatus(mfaStep.challenge.username).isLocked) {
+            hideMfaStep();
+            return;
+        }
+
+        resetMfaCodeInput();
+    }
+
+    /**
+     * @param {MfaChallenge} mfaChallenge
+     * @param {boolean} rememberDevice
+     */
+    function showMfaStep(mfaChallenge, rememberDevice) {
+        pendingMfa = {
+            challenge: mfaChallenge,
+            rememberDevice: rememberDevice,
+            method: 'totp'
+        };
+
+        DomHelper.hideElement(loginFormElement);
+        DomHelper.hideElement(forgotPasswordLink);
+        if (mfaFormElement !== null) {
+            mfaFormElement.classList.remove('is-hidden');
+        }
+
+        setMfaMethod('totp');
+    }
+
+    /**
+     * Drops the pending challenge and goes back to the password step.
+     */
+    function hideMfaStep() {
+        pendingMfa = null;
+
+        if (mfaFormElement !== null) {
+            mfaFormElement.classList.add('is-hidden');
+        }
+        DomHelper.showElement(loginFormElement, 'block');
+        DomHelper.showElement(forgotPasswordLink, 'inline-block');
+
+        /** @type {HTMLInputElement|null} */
+        var codeInput = /** @type {HTMLInputElement|null} */ (document.getElementById('mfa-code'));
+        if (codeInput !== null) {
+            codeInput.value = '';
+        }
+    }
+
+    /**
+     * @param {MfaMethod} method
+     */
+    function setMfaMethod(method) {
+        if (pendingMfa === null || mfaFormElement === null) {
             return;
         }
 
-        handleFailedLogin(authResult);
+        pendingMfa.method = method;
+
+        mfaFormElement.querySelectorAll('[data-mfa-method]').forEach(function (element) {
+            element.classList.toggle('is-hidden', element.getAttribute('data-mfa-method') !== method);
+        });
+
+        /** @type {HTMLInputElement|null} */
+        var codeInput = /** @type {HTMLInputElement|null} */ (document.getElementById('mfa-code'));
+        if (codeInput !== null) {
+            var isRecovery = method === 'recovery';
+            codeInput.inputMode = isRecovery ? 'text' : 'numeric';
+            codeInput.autocomplete = isRecovery ? 'off' : 'one-time-code';
+            codeInput.maxLength = isRecovery ? 24 : 7;
+            codeInput.setAttribute('aria-describedby', 'mfa-instructions-' + method);
+        }
+
+        resetMfaCodeInput();
+    }
+
+    function resetMfaCodeInput() {
+        /** @type {HTMLInputElement|null} */
+        var codeInput = /** @type {HTMLInputElement|null} */ (document.getElementById('mfa-code'));
+        if (codeInput !== null) {
+            codeInput.value = '';
+            codeInput.focus();
+        }
+    }
+
+    /**
+     * @param {LockoutStatus} lockoutStatus
+     */
+    function showLockoutMessage(lockoutStatus) {
+        DomHelper.showErrorMessage(loginErrorContainer, RateLimiter.describeLockout(lockoutStatus));
     }
 
     /**
-     * @param {{ success: boolean, userData?: UserData }} authResult
+     * @param {AuthResult} authResult
+     * @param {boolean} rememberDevice
      */
-    function handleSuccessfulLogin(authResult) {
-        RateLimiter.resetAttempts();
+    function handleSuccessfulLogin(authResult, rememberDevice) {
+        ApiClient.invalidateCache();
 
         if (authResult.userData) {
-            SessionManager.createSession(authResult.userData);
+            loginLimiter.resetAttempts(authResult.userData.username);
+            SessionManager.createSession(authResult.userData, authResult.tokens || null, rememberDevice);
+            SessionBus.publish('login', SessionManager.getSession());
         }
 
-        displayDashboardView();
-        DashboardModule.loadDashboardData();
+        enterDashboard();
     }
 
     /**
-     * @param {{ success: boolean, message?: string }} authResult
+     * Another tab signed in: follow it, reloading if it is a different user.
+     *
+     * @param {SessionBusMessage} message
      */
-    function handleFailedLogin(authResult) {
-        RateLimiter.recordFailedAttempt();
+    function handleRemoteLogin(message) {
+        var currentUsername = SessionManager.isSessionValid() ? SessionManager.getCurrentUsername() : null;
 
-        var remainingAttempts = RateLimiter.getRemainingAttempts();
-        var errorMessage = authResult.message || 'Credenciales incorrectas.';
+        if (!SessionManager.adoptSession(message.sessionData)) {
+            return;
+        }
 
-        if (remainingAttempts > 0) {
-            errorMessage += ' Intentos restantes: ' + remainingAttempts + '.';
+        if (currentUsername === null) {
+            enterDashboard();
+        } else if (currentUsername !== SessionManager.getCurrentUsername()) {
+            window.location.reload();
         } else {
-            errorMessage = 'Cuenta bloqueada temporalmente por demasiados intentos fallidos.';
+            TokenRefreshService.start();
         }
+    }
 
+    /**
+     * Only answers that reject the credentials or the code count towards the lockout;
+     * network and server failures just show their message.
+     *
+     * @param {AuthResult} authResult
+     * @param {string} username
+     */
+    function handleFailedLogin(authResult, username) {
+        var errorMessage = authResult.message || 'Credenciales incorrectas.';
+
+        if (authResult.retryAfterSeconds) {
+            showLockoutMessage(loginLimiter.lockFor(username, authResult.retryAfterSeconds * 1000));
+            return;
+        }
+
+        if (!authResult.isRejected) {
+            DomHelper.showErrorMessage(loginErrorContainer, errorMessage);
+            return;
+        }
+
+        var lockoutStatus = loginLimiter.recordAttempt(username);
+        if (lockoutStatus.isLocked) {
+            showLockoutMessage(lockoutStatus);
+            return;
+        }
+
+        errorMessage += ' Intentos restantes: ' + loginLimiter.getRemainingAttempts(username) + '.';
         DomHelper.showErrorMessage(loginErrorContainer, errorMessage);
     }
 
@@ -162,6 +470,7 @@ var AuthModule = (function () {
 
         if (typeof PricingModule !== 'undefined' && typeof PricingModule.renderPlansCta === 'function') {
             PricingModule.renderPlansCta();
+            PricingModule.loadPlanCatalog();
         }
     }
 
@@ -172,13 +481,51 @@ var AuthModule = (function () {
         DomHelper.hideElement(dashboardViewElement);
         DomHelper.showElement(loginViewElement, 'flex');
         hideRecoveryModal();
+        hideMfaStep();
+    }
+
+    /**
+     * Ends the session in every open tab and reloads the page so no dashboard data stays in memory.
+     *
+     * @param {string} [noticeMessage] - Shown on the login view after the reload.
+     */
+    function logout(noticeMessage) {
+        SessionBus.publish('logout');
+        closeSession(noticeMessage);
     }
 
-    function logout() {
+    /**
+     * @param {string} [noticeMessage]
+     */
+    function closeSession(noticeMessage) {
+        if (isSessionClosing) {
+            return;
+        }
+
+        isSessionClosing = true;
+        TokenRefreshService.stop();
+        IdleTimeoutModule.stop();
         SessionManager.destroySession();
+
+        if (noticeMessage) {
+            sessionStorage.setItem(AppConfig.STORAGE_KEYS.LOGOUT_NOTICE, noticeMessage);
+        }
+
         window.location.reload();
     }
 
+    /**
+     * Called when an API answers 401: logs out every tab like `logout`, so the reload clears the
+     * previous user's data. Several requests can fail at once; only the first one logs out.
+     */
+    function handleUnauthorized() {
+        if (isSessionClosing) {
+            return;
+        }
+
+        logout('Tu sesion ha caducado. Inicia sesion de nuevo.');
+    }
+
     /**
      * @param {Event} clickEvent
      */
@@ -211,6 +558,12 @@ var AuthModule = (function () {
             return;
         }
 
+        var lockoutStatus = recoveryLimiter.checkLockoutStatus(username);
+        if (lockoutStatus.isLocked) {
+            showRecoveryMessage(RateLimiter.describeLockout(lockoutStatus), 'error');
+            return;
+        }
+
         if (forgotPasswordForm === null) {
             return;
         }
@@ -225,13 +578,21 @@ var AuthModule = (function () {
         submitButton.disabled = true;
         submitButton.innerHTML = '<span class="loading-spinner"></span> Enviando...';
 
+        // Counted on submit: every request may send an email, whatever the response turns out to be.
+        recoveryLimiter.recordAttempt(username);
+
         try {
-            var response = await ApiClient.post(requestEndpoint, {
+            var result = await ApiClient.post(requestEndpoint, {
                 username: username,
                 resetBaseUrl: buildResetBaseUrl()
             });
 
-            if (isSuccessfulResponse(response)) {
+            if (!result.ok && result.error.retryAfterSeconds) {
+                showRecoveryMessage(RateLimiter.describeLockout(recoveryLimiter.lockFor(username, result.error.retryAfterSeconds * 1000)), 'error');
+                return;
+            }
+
+            if (result.ok && isSuccessfulResponse(result.data)) {
                 showRecoveryMessage(
                     'Se envio un email con instrucciones para restablecer tu contrasena. Revisa tu bandeja de entrada.',
                     'success'
@@ -239,12 +600,7 @@ var AuthModule = (function () {
                 usernameInput.value = '';
                 window.setTimeout(hideRecoveryModal, 5000);
             } else {
-                showRecoveryMessage(
-                    response && response.message
-                        ? response.message
-                        : 'No se pudo procesar la solicitud. Verifica el usuario e intenta de nuevo.',
-                    'error'
-                );
+                showRecoveryMessage(getRecoveryErrorMessage(result), 'error');
             }
         } catch (error) {
             console.error('Password recovery request failed:', error);
@@ -255,6 +611,20 @@ var AuthModule = (function () {
         }
     }
 
+    /**
+     * @param {ApiResult<any>} result
+     * @returns {string}
+     */
+    function getRecoveryErrorMessage(result) {
+        if (!result.ok) {
+            return result.error.message;
+        }
+
+        return result.data && result.data.message
+            ? result.data.message
+            : 'No se pudo procesar la solicitud. Verifica el usuario e intenta de nuevo.';
+    }
+
     function buildResetBaseUrl() {
         var resetPath = window.location.pathname.replace(/[^/]*$/, 'reset-password.html');
         return window.location.origin + resetPath;
@@ -326,6 +696,7 @@ var AuthModule = (function () {
         initialize: initialize,
         logout: logout,
         displayDashboardView: displayDashboardView,
-        displayLoginView: displayLoginView
+        displayLoginView: displayLoginView,
+        handleUnauthorized: handleUnauthorized
     };
 })();
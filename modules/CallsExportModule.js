@@ -0,0 +1,109 @@
+/**
+ * Calls export module.
+ * Downloads the calls currently shown in the Llamadas table as CSV or XLSX,
+ * using the same field resolution as the table so exports match the screen.
+ * Exports need `calls.export` and leave out whatever the user's role cannot see.
+ *
+ * @file CallsExportModule.js
+ */
+
+var CallsExportModule = (function () {
+    'use strict';
+
+    /** @type {boolean} */
+    var eventsAttached = false;
+
+    var EXPORT_HEADERS = ['Fecha', 'Hora', 'Telefono', 'Duracion', 'Estado', 'Grabacion', 'Transcripcion'];
+
+    attachGlobalEvents();
+
+    function attachGlobalEvents() {
+        if (eventsAttached) {
+            return;
+        }
+
+        eventsAttached = true;
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            var exportButton = target.closest('[data-action="export-calls"]');
+            if (exportButton === null) {
+                return;
+            }
+
+            var exportFormat = exportButton.getAttribute('data-export-format');
+            if ((exportFormat === 'csv' || exportFormat === 'xlsx') && PermissionService.can('calls.export')) {
+                exportVisibleCalls(exportFormat);
+            }
+        });
+    }
+
+    /**
+     * @param {'csv'|'xlsx'} exportFormat
+     */
+    function exportVisibleCalls(exportFormat) {
+        var calls = CallsModule.getVisibleCalls();
+        if (calls.length === 0) {
+            return;
+        }
+
+        var rows = calls.map(buildExportRow);
+        var fileName = 'llamadas_' + formatFileDate(new Date());
+
+        if (exportFormat === 'xlsx') {
+            SpreadsheetExporter.downloadXlsx(fileName, 'Llamadas', EXPORT_HEADERS, rows);
+        } else {
+            SpreadsheetExporter.downloadCsv(fileName, EXPORT_HEADERS, rows);
+        }
+    }
+
+    /**
+     * @param {CallData} call
+     * @returns {string[]}
+     */
+    function buildExportRow(call) {
+        var callDate = CallsModule.resolveCallDate(call);
+        var includeTranscript = CallsModule.hasTranscript(call) && PermissionService.can('transcripts.view');
+
+        return [
+            callDate.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+            callDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' }),
+            PermissionService.formatPhoneNumber(CallsModule.resolveCallPhone(call)),
+            CallsModule.resolveCallDuration(call),
+            CallsModule.getCallStatusLabel(CallsModule.resolveCallStatus(call)),
+            PermissionService.can('recordings.play') ? call.recording_url || '' : '',
+            includeTranscript ? TranscriptFormatter.toPlainText(CallsModule.resolveCallTranscript(call)) : ''
+        ];
+    }
+
+    /**
+     * Enables the export buttons only when there is something to download.
+     *
+     * @param {number} callCount
+     */
+    function updateAvailability(callCount) {
+        var buttons = document.querySelectorAll('[data-action="export-calls"]');
+        buttons.forEach(function (button) {
+            button.toggleAttribute('disabled', callCount === 0);
+        });
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatFileDate(date) {
+        var month = date.getMonth() + 1;
+        var day = date.getDate();
+
+        return date.getFullYear() + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
+    }
+
+    return {
+        updateAvailability: updateAvailability
+    };
+})();
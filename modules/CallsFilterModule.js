@@ -0,0 +1,414 @@
+/**
+ * Calls toolbar module.
+ * Handles search, status and duration filters, and column sorting for the calls table.
+ * The active state is mirrored in the page URL so filtered views can be shared.
+ *
+ * @file CallsFilterModule.js
+ */
+
+/**
+ * @typedef {'date'|'phone'|'duration'|'status'} CallsSortKey
+ */
+
+/**
+ * @typedef {Object} CallsFilterState
+ * @property {string} query
+ * @property {string} status
+ * @property {number|null} minDurationSeconds
+ * @property {number|null} maxDurationSeconds
+ * @property {CallsSortKey|null} sortKey
+ * @property {'asc'|'desc'} sortDirection
+ */
+
+var CallsFilterModule = (function () {
+    'use strict';
+
+    /** @type {HTMLInputElement|null} */
+    var searchInput = /** @type {HTMLInputElement|null} */ (document.getElementById('calls-search'));
+    /** @type {HTMLSelectElement|null} */
+    var statusSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('calls-status-filter'));
+    /** @type {HTMLInputElement|null} */
+    var minDurationInput = /** @type {HTMLInputElement|null} */ (document.getElementById('calls-min-duration'));
+    /** @type {HTMLInputElement|null} */
+    var maxDurationInput = /** @type {HTMLInputElement|null} */ (document.getElementById('calls-max-duration'));
+
+    /** @type {boolean} */
+    var hasInitialized = false;
+    /** @type {number|null} */
+    var inputDebounceTimer = null;
+
+    /** @type {CallsFilterState} */
+    var filterState = createDefaultState();
+
+    var SORT_KEYS = ['date', 'phone', 'duration', 'status'];
+    var STATUS_FILTERS = ['completed', 'missed', 'failed', 'in-progress'];
+    var INPUT_DEBOUNCE_MS = 250;
+
+    var URL_PARAMS = {
+        query: 'q',
+        status: 'status',
+        minDuration: 'min_dur',
+        maxDuration: 'max_dur',
+        sortKey: 'sort',
+        sortDirection: 'dir'
+    };
+
+    function initialize() {
+        if (hasInitialized) {
+            return;
+        }
+
+        hasInitialized = true;
+
+        filterState = readStateFromUrl();
+        syncControlsWithState();
+
+        [searchInput, minDurationInput, maxDurationInput].forEach(function (inputElement) {
+            if (inputElement !== null) {
+                inputElement.addEventListener('input', handleControlInput);
+            }
+        });
+
+        if (statusSelect !== null) {
+            statusSelect.addEventListener('change', handleControlChange);
+        }
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            var sortHeader = target.closest('th[data-sort-key]');
+            if (sortHeader !== null) {
+                toggleSort(sortHeader.getAttribute('data-sort-key') || '');
+                return;
+            }
+
+            if (target.closest('[data-action="reset-calls-filters"]') !== null) {
+                resetFilters();
+            }
+        });
+
+        document.addEventListener('keydown', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element) || (event.key !== 'Enter' && event.key !== ' ')) {
+                return;
+            }
+
+            var sortHeader = target.closest('th[data-sort-key]');
+            if (sortHeader !== null) {
+                event.preventDefault();
+                toggleSort(sortHeader.getAttribute('data-sort-key') || '');
+            }
+        });
+    }
+
+    /**
+     * @returns {CallsFilterState}
+     */
+    function createDefaultState() {
+        return {
+            query: '',
+            status: '',
+            minDurationSeconds: null,
+            maxDurationSeconds: null,
+            sortKey: null,
+            sortDirection: 'desc'
+        };
+    }
+
+    function handleControlInput() {
+        if (inputDebounceTimer !== null) {
+            window.clearTimeout(inputDebounceTimer);
+        }
+
+        inputDebounceTimer = window.setTimeout(function () {
+            inputDebounceTimer = null;
+            handleControlChange();
+        }, INPUT_DEBOUNCE_MS);
+    }
+
+    function handleControlChange() {
+        filterState.query = searchInput !== null ? searchInput.value.trim() : '';
+        filterState.status = statusSelect !== null && STATUS_FILTERS.indexOf(statusSelect.value) !== -1
+            ? statusSelect.value
+            : '';
+        filterState.minDurationSeconds = parseDurationInput(minDurationInput);
+        filterState.maxDurationSeconds = parseDurationInput(maxDurationInput);
+
+        applyStateChange();
+    }
+
+    /**
+     * @param {string} sortKey
+     */
+    function toggleSort(sortKey) {
+        if (SORT_KEYS.indexOf(sortKey) === -1) {
+            return;
+        }
+
+        if (filterState.sortKey === sortKey) {
+            filterState.sortDirection = filterState.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            filterState.sortKey = /** @type {CallsSortKey} */ (sortKey);
+            filterState.sortDirection = sortKey === 'phone' || sortKey === 'status' ? 'asc' : 'desc';
+        }
+
+        applyStateChange();
+    }
+
+    function resetFilters() {
+        filterState = createDefaultState();
+        syncControlsWithState();
+        applyStateChange();
+    }
+
+    function applyStateChange() {
+        writeStateToUrl();
+        updateSortIndicators();
+        CallsModule.refreshCallsTable();
+    }
+
+    /**
+     * @param {CallData[]} calls
+     * @returns {CallData[]}
+     */
+    function apply(calls) {
+        var normalizedQuery = filterState.query.toLowerCase();
+        var phoneQuery = normalizedQuery.replace(/[^0-9+]/g, '');
+
+        var filteredCalls = calls.filter(function (call) {
+            if (filterState.status !== '' &&
+                CallsModule.getCallStatusClass(CallsModule.resolveCallStatus(call)) !== filterState.status) {
+                return false;
+            }
+
+            var durationSeconds = CallsModule.resolveCallDurationMs(call) / 1000;
+            if (filterState.minDurationSeconds !== null && durationSeconds < filterState.minDurationSeconds) {
+                return false;
+            }
+
+            if (filterState.maxDurationSeconds !== null && durationSeconds > filterState.maxDurationSeconds) {
+                return false;
+            }
+
+            if (normalizedQuery === '') {
+                return true;
+            }
+
+            // Search what the user can see, so a masked number cannot be guessed digit by digit.
+            var phone = PermissionService.formatPhoneNumber(CallsModule.resolveCallPhone(call));
+            if (phone.toLowerCase().indexOf(normalizedQuery) !== -1) {
+                return true;
+            }
+
+            if (phoneQuery.length >= 3 && phone.replace(/[^0-9+]/g, '').indexOf(phoneQuery) !== -1) {
+                return true;
+            }
+
+            return PermissionService.can('transcripts.view') &&
+                getSearchableTranscript(call).indexOf(normalizedQuery) !== -1;
+        });
+
+        if (filterState.sortKey === null) {
+            return filteredCalls;
+        }
+
+        var sortKey = filterState.sortKey;
+        var directionFactor = filterState.sortDirection === 'asc' ? 1 : -1;
+
+        return filteredCalls.sort(function (first, second) {
+            var firstValue = getSortValue(first, sortKey);
+            var secondValue = getSortValue(second, sortKey);
+
+            if (firstValue < secondValue) {
+                return -1 * directionFactor;
+            }
+
+            if (firstValue > secondValue) {
+                return directionFactor;
+            }
+
+            return 0;
+        });
+    }
+
+    /**
+     * @param {CallData} call
+     * @param {CallsSortKey} sortKey
+     * @returns {number|string}
+     */
+    function getSortValue(call, sortKey) {
+        // Sorted as displayed, so the order cannot reveal the digits a masked number hides.
+        if (sortKey === 'phone') {
+            return PermissionService.formatPhoneNumber(CallsModule.resolveCallPhone(call));
+        }
+
+        if (sortKey === 'duration') {
+            return CallsModule.resolveCallDurationMs(call);
+        }
+
+        if (sortKey === 'status') {
+            return CallsModule.getCallStatusLabel(CallsModule.resolveCallStatus(call)).toLowerCase();
+        }
+
+        return CallsModule.resolveCallDate(call).getTime();
+    }
+
+    /**
+     * @param {CallData} call
+     * @returns {string}
+     */
+    function getSearchableTranscript(call) {
+        // Structured transcripts are searched as the text shown in the modal, not as raw JSON keys and timings.
+        return TranscriptFormatter.toPlainText(CallsModule.resolveCallTranscript(call)).toLowerCase();
+    }
+
+    /**
+     * @param {number} visibleCount
+     * @param {number} totalCount - Calls loaded so far.
+     * @param {boolean} [hasMoreCalls] - The server has calls that are not loaded yet.
+     */
+    function updateResultCount(visibleCount, totalCount, hasMoreCalls) {
+        var text = visibleCount === totalCount
+            ? totalCount + (totalCount === 1 ? ' llamada' : ' llamadas')
+            : 'Mostrando ' + visibleCount + ' de ' + totalCount + ' llamadas';
+
+        // Search, filters and sort run in the browser, so with more pages pending they only cover what is loaded.
+        if (hasMoreCalls) {
+            var scope = describeActiveScope();
+            text += scope !== ''
+                ? ' (' + scope + ' sobre las ' + totalCount + ' cargadas)'
+                : ' cargadas (puede haber mas)';
+        }
+
+        DomHelper.setTextContent('calls-result-count', text);
+    }
+
+    /**
+     * @returns {string} 'filtrado', 'ordenado', both, or empty when nothing is applied.
+     */
+    function describeActiveScope() {
+        var isFiltered = filterState.query !== '' || filterState.status !== '' ||
+            filterState.minDurationSeconds !== null || filterState.maxDurationSeconds !== null;
+        var isSorted = filterState.sortKey !== null;
+
+        if (isFiltered && isSorted) {
+            return 'filtrado y ordenado';
+        }
+
+        return isFiltered ? 'filtrado' : (isSorted ? 'ordenado' : '');
+    }
+
+    function updateSortIndicators() {
+        var headers = document.querySelectorAll('th[data-sort-key]');
+        headers.forEach(function (header) {
+            var isSorted = header.getAttribute('data-sort-key') === filterState.sortKey;
+            var ariaSort = isSorted ? (filterState.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none';
+
+            header.setAttribute('aria-sort', ariaSort);
+            header.classList.toggle('sorted-asc', isSorted && filterState.sortDirection === 'asc');
+            header.classList.toggle('sorted-desc', isSorted && filterState.sortDirection === 'desc');
+        });
+    }
+
+    function syncControlsWithState() {
+        if (searchInput !== null) {
+            searchInput.value = filterState.query;
+        }
+
+        if (statusSelect !== null) {
+            statusSelect.value = filterState.status;
+        }
+
+        if (minDurationInput !== null) {
+            minDurationInput.value = filterState.minDurationSeconds !== null ? String(filterState.minDurationSeconds) : '';
+        }
+
+        if (maxDurationInput !== null) {
+            maxDurationInput.value = filterState.maxDurationSeconds !== null ? String(filterState.maxDurationSeconds) : '';
+        }
+
+        updateSortIndicators();
+    }
+
+    /**
+     * @returns {CallsFilterState}
+     */
+    function readStateFromUrl() {
+        var state = createDefaultState();
+        var params = new URLSearchParams(window.location.search);
+
+        state.query = params.get(URL_PARAMS.query) || '';
+
+        var status = params.get(URL_PARAMS.status) || '';
+        state.status = STATUS_FILTERS.indexOf(status) !== -1 ? status : '';
+
+        state.minDurationSeconds = parseDurationValue(params.get(URL_PARAMS.minDuration));
+        state.maxDurationSeconds = parseDurationValue(params.get(URL_PARAMS.maxDuration));
+
+        var sortKey = params.get(URL_PARAMS.sortKey) || '';
+        if (SORT_KEYS.indexOf(sortKey) !== -1) {
+            state.sortKey = /** @type {CallsSortKey} */ (sortKey);
+            state.sortDirection = params.get(URL_PARAMS.sortDirection) === 'asc' ? 'asc' : 'desc';
+        }
+
+        return state;
+    }
+
+    function writeStateToUrl() {
+        var params = new URLSearchParams(window.location.search);
+
+        setOrDeleteParam(params, URL_PARAMS.query, filterState.query);
+        setOrDeleteParam(params, URL_PARAMS.status, filterState.status);
+        setOrDeleteParam(params, URL_PARAMS.minDuration, filterState.minDurationSeconds !== null ? String(filterState.minDurationSeconds) : '');
+        setOrDeleteParam(params, URL_PARAMS.maxDuration, filterState.maxDurationSeconds !== null ? String(filterState.maxDurationSeconds) : '');
+        setOrDeleteParam(params, URL_PARAMS.sortKey, filterState.sortKey || '');
+        setOrDeleteParam(params, URL_PARAMS.sortDirection, filterState.sortKey !== null ? filterState.sortDirection : '');
+
+        var queryString = params.toString();
+        var newUrl = window.location.pathname + (queryString ? '?' + queryString : '') + window.location.hash;
+        window.history.replaceState(null, '', newUrl);
+    }
+
+    /**
+     * @param {URLSearchParams} params
+     * @param {string} name
+     * @param {string} value
+     */
+    function setOrDeleteParam(params, name, value) {
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    }
+
+    /**
+     * @param {HTMLInputElement|null} inputElement
+     * @returns {number|null}
+     */
+    function parseDurationInput(inputElement) {
+        return inputElement !== null ? parseDurationValue(inputElement.value) : null;
+    }
+
+    /**
+     * @param {string|null} rawValue
+     * @returns {number|null}
+     */
+    function parseDurationValue(rawValue) {
+        if (rawValue === null || rawValue.trim() === '') {
+            return null;
+        }
+
+        var parsedValue = parseFloat(rawValue);
+        return isNaN(parsedValue) || parsedValue < 0 ? null : parsedValue;
+    }
+
+    return {
+        initialize: initialize,
+        apply: apply,
+        updateResultCount: updateResultCount
+    };
+})();
@@ -1,6 +1,7 @@
 ﻿/**
  * Calls history module.
- * Loads and renders calls table and transcript modal.
+ * Loads the call history page by page and renders it through a virtualized table body,
+ * with a shared audio player and the transcript modal.
  *
  * @file CallsModule.js
  */
@@ -18,10 +19,26 @@
  * @property {number} [duration_ms]
  * @property {number} [duration]
  * @property {number} [call_duration]
+ * @property {'inbound'|'outbound'} [direction]
  * @property {string} [status]
  * @property {string} [call_status]
  * @property {string} [recording_url]
  * @property {string} [transcript]
+ * @property {Array<any>} [transcript_object] - Retell utterances with word-level timing.
+ * @property {Array<any>} [transcript_with_tool_calls] - Retell utterances interleaved with tool invocations and results.
+ */
+
+/**
+ * @typedef {Object} CallsLoad
+ * @property {CallData[]} calls - Calls of the configured agent, in server order.
+ * @property {boolean} isComplete - False when the server has more calls in the range than were loaded.
+ */
+
+/**
+ * @typedef {Object} SharedCallsLoad
+ * @property {DateRange} range
+ * @property {Promise<ApiResult<CallsLoad>>} promise
+ * @property {number} startedAt - Timestamp (ms) of the request.
  */
 
 var CallsModule = (function () {
@@ -29,11 +46,31 @@ var CallsModule = (function () {
 
     /** @type {CallData[]} */
     var loadedCalls = [];
-    /** @type {Array<string>} */
-    var formattedTranscripts = [];
+    /** @type {CallData[]} */
+    var visibleCalls = [];
+    /** @type {string|null} */
+    var nextPaginationKey = null;
+    /** @type {boolean} */
+    var isPageTruncated = false;
+    /** @type {SharedCallsLoad|null} */
+    var sharedCallsLoad = null;
+    /** @type {boolean} */
+    var isLoadingMore = false;
+    /** @type {number} */
+    var historyRequestId = 0;
+    /** @type {VirtualRowsController|null} */
+    var virtualRows = null;
+    /** @type {HTMLAudioElement|null} */
+    var sharedAudioElement = null;
+    /** @type {string} */
+    var playingRecordingUrl = '';
     /** @type {boolean} */
     var eventsAttached = false;
 
+    var TABLE_COLUMN_COUNT = 7;
+    // Shared by first page and "load more" so a reload aborts any pending page.
+    var CALLS_REQUEST_KEY = 'calls-history';
+
     attachGlobalEvents();
 
     function attachGlobalEvents() {
@@ -58,6 +95,22 @@ var CallsModule = (function () {
                 return;
             }
 
+            var playButton = target.closest('[data-action="play-call-recording"][data-call-index]');
+            if (playButton !== null) {
+                playRecording(parseInt(playButton.getAttribute('data-call-index') || '-1', 10));
+                return;
+            }
+
+            if (target.closest('[data-action="close-calls-audio-player"]') !== null) {
+                closeAudioPlayer();
+                return;
+            }
+
+            if (target.closest('[data-action="load-more-calls"]') !== null) {
+                loadMoreCalls();
+                return;
+            }
+
             var closeButton = target.closest('[data-action="close-transcript-modal"]');
             if (closeButton !== null) {
                 closeTranscriptModal();
@@ -83,57 +136,429 @@ var CallsModule = (function () {
             return;
         }
 
+        var requestId = ++historyRequestId;
+
+        resetVirtualRows();
+        resetTableScroll();
+        loadedCalls = [];
+        visibleCalls = [];
+        nextPaginationKey = null;
+        isPageTruncated = false;
+        isLoadingMore = false;
+        updateLoadMoreButton();
+        updatePaginationError('');
+        updateExportAvailability();
+
         tableBody.innerHTML = '<tr><td colspan="7" class="calls-loading">' +
             '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" ' +
             'stroke="currentColor" stroke-width="2" class="spin"><path d="M21 12a9 9 0 1 1-6.219-8.56"></path></svg>' +
             'Cargando llamadas...</td></tr>';
 
-        ApiClient.get(AppConfig.API_ENDPOINTS.RETELL_CALLS)
-            .then(function (response) {
-                var parsedResponse = response;
-                if (typeof parsedResponse === 'string') {
-                    try {
-                        parsedResponse = JSON.parse(parsedResponse);
-                    } catch (parseError) {
-                        renderCallsTable([]);
-                        return;
-                    }
-                }
+        // The dashboard usually has every call of the range already (or on its way): reuse it
+        // instead of downloading the same calls again.
+        var reusableLoad = findReusableCallsLoad(DateRangeModule.getRange());
+        if (reusableLoad === null) {
+            loadFirstPage(requestId);
+            return;
+        }
+
+        reusableLoad.then(function (result) {
+            if (requestId !== historyRequestId) {
+                return;
+            }
 
-                /** @type {CallData[]} */
-                var allCalls = [];
-                if (parsedResponse && Array.isArray(parsedResponse.data)) {
-                    allCalls = parsedResponse.data;
-                } else if (Array.isArray(parsedResponse)) {
-                    allCalls = parsedResponse;
+            if (!result.ok || !result.data.isComplete) {
+                loadFirstPage(requestId);
+                return;
+            }
+
+            loadedCalls = filterCallsByDateRange(result.data.calls);
+            updateLoadMoreButton();
+            refreshCallsTable();
+        });
+    }
+
+    /**
+     * @param {number} requestId
+     */
+    function loadFirstPage(requestId) {
+        ApiClient.get(buildCallsPageUrl(null), { requestKey: CALLS_REQUEST_KEY })
+            .then(function (result) {
+                // A newer load (range change, refresh) already replaced this one.
+                if (requestId !== historyRequestId) {
+                    return;
                 }
 
-                if (AppConfig.RETELL_AGENT_ID) {
-                    loadedCalls = allCalls.filter(function (
-                        /** @type {CallData} */ call
-                    ) {
-                        return call.agent_id === AppConfig.RETELL_AGENT_ID;
-                    });
-                } else {
-                    loadedCalls = allCalls;
+                if (!result.ok) {
+                    handleHistoryError(result.error);
+                    return;
                 }
 
-                renderCallsTable(loadedCalls);
+                loadedCalls = filterCallsByDateRange(extractCalls(result.data));
+                nextPaginationKey = extractPaginationKey(result.data);
+                isPageTruncated = isTruncatedWithoutCursor(result.data);
+                updateLoadMoreButton();
+                refreshCallsTable();
             })
             .catch(function (error) {
                 console.error('Error cargando historial de llamadas:', error);
-                if (tableBody === null) {
+                if (requestId === historyRequestId) {
+                    renderHistoryError('Error al procesar las llamadas. Intenta de nuevo.');
+                }
+            });
+    }
+
+    /**
+     * @param {ApiError} error
+     */
+    function handleHistoryError(error) {
+        if (error.kind === 'aborted') {
+            return;
+        }
+
+        renderHistoryError('Error al cargar las llamadas: ' + error.message);
+
+        if (error.kind === 'unauthorized') {
+            AuthModule.handleUnauthorized();
+        }
+    }
+
+    /**
+     * @param {string} message
+     */
+    function renderHistoryError(message) {
+        var tableBody = document.getElementById('calls-table-body');
+        if (tableBody === null) {
+            return;
+        }
+
+        resetVirtualRows();
+        tableBody.innerHTML = '<tr><td colspan="7" class="calls-table-empty">' +
+            '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" ' +
+            'stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle>' +
+            '<line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>' +
+            '<p>' + TranscriptFormatter.escapeHtml(message) + '</p></td></tr>';
+    }
+
+    /**
+     * Appends the next server page to the loaded calls, keeping the scroll position.
+     */
+    function loadMoreCalls() {
+        if (nextPaginationKey === null || isLoadingMore) {
+            return;
+        }
+
+        var requestId = historyRequestId;
+        isLoadingMore = true;
+        updateLoadMoreButton();
+        updatePaginationError('');
+
+        ApiClient.get(buildCallsPageUrl(nextPaginationKey), { requestKey: CALLS_REQUEST_KEY })
+            .then(function (result) {
+                if (requestId !== historyRequestId) {
+                    return;
+                }
+
+                // The cursor is kept on failure so the button retries the same page.
+                if (!result.ok) {
+                    if (result.error.kind === 'unauthorized') {
+                        AuthModule.handleUnauthorized();
+                    } else if (result.error.kind !== 'aborted') {
+                        updatePaginationError('No se pudieron cargar mas llamadas: ' + result.error.message);
+                    }
+                    return;
+                }
+
+                loadedCalls = loadedCalls.concat(filterCallsByDateRange(extractCalls(result.data)));
+                nextPaginationKey = extractPaginationKey(result.data);
+                isPageTruncated = isTruncatedWithoutCursor(result.data);
+                refreshCallsTable();
+            })
+            .catch(function (error) {
+                console.error('Error cargando mas llamadas:', error);
+            })
+            .then(function () {
+                if (requestId !== historyRequestId) {
                     return;
                 }
-                tableBody.innerHTML = '<tr><td colspan="7" class="calls-table-empty">' +
-                    '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" ' +
-                    'stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle>' +
-                    '<line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>' +
-                    '<p>Error al cargar las llamadas. Intenta de nuevo.</p></td></tr>';
+
+                isLoadingMore = false;
+                updateLoadMoreButton();
+            });
+    }
+
+    /**
+     * Loads the first page of calls of a range for the dashboard, like the calls tab does.
+     * The calls tab reuses the result while it is fresh and covers its own range, so both
+     * views download the calls once.
+     *
+     * @param {DateRange} range
+     * @param {string} requestKey
+     * @returns {Promise<ApiResult<CallsLoad>>}
+     */
+    function loadCallsInRange(range, requestKey) {
+        /** @type {Promise<ApiResult<CallsLoad>>} */
+        var promise = ApiClient.get(buildCallsPageUrl(null, range), { requestKey: requestKey })
+            .then(function (result) {
+                if (!result.ok) {
+                    return result;
+                }
+
+                return {
+                    ok: true,
+                    status: result.status,
+                    data: {
+                        calls: extractCalls(result.data),
+                        isComplete: extractPaginationKey(result.data) === null && !isTruncatedWithoutCursor(result.data)
+                    }
+                };
+            });
+
+        sharedCallsLoad = { range: range, promise: promise, startedAt: Date.now() };
+        return promise;
+    }
+
+    /**
+     * Loads every call of a bounded window, following the pagination cursor: cycle usage
+     * needs all of them, not the first page. Retell lists calls newest first, so paging
+     * stops at the first page that reaches past `range.from`, even on endpoints that
+     * ignore the `from`/`to` params and would otherwise page through the whole history.
+     *
+     * @param {DateRange} range - Must have `from`; an unbounded range only loads the first page.
+     * @param {string} requestKey
+     * @returns {Promise<ApiResult<CallsLoad>>}
+     */
+    async function loadCallsInWindow(range, requestKey) {
+        /** @type {CallData[]} */
+        var calls = [];
+        /** @type {string|null} */
+        var paginationKey = null;
+        /** @type {string[]} */
+        var usedPaginationKeys = [];
+        // Without a start every page reaches past it, so only the first one is loaded.
+        var windowStartTime = range.from !== null ? range.from.getTime() : Infinity;
+
+        while (true) {
+            /** @type {ApiResult<any>} */
+            var result = await ApiClient.get(buildCallsPageUrl(paginationKey, range), { requestKey: requestKey });
+            if (!result.ok) {
+                return result;
+            }
+
+            var pageCalls = readPageCalls(result.data);
+            calls = calls.concat(filterByAgent(pageCalls));
+            paginationKey = extractPaginationKey(result.data);
+
+            if (paginationKey === null) {
+                return { ok: true, status: result.status, data: { calls: calls, isComplete: !isTruncatedWithoutCursor(result.data) } };
+            }
+
+            var reachesWindowStart = pageCalls.some(function (call) {
+                return resolveCallDate(call).getTime() < windowStartTime;
             });
+            if (reachesWindowStart) {
+                return { ok: true, status: result.status, data: { calls: calls, isComplete: range.from !== null } };
+            }
+
+            // A server that hands back a cursor it already gave would never end the loop.
+            if (usedPaginationKeys.indexOf(paginationKey) !== -1) {
+                console.warn('CallsModule.loadCallsInWindow: repeated pagination key, stopping at ' + calls.length + ' calls');
+                return { ok: true, status: result.status, data: { calls: calls, isComplete: false } };
+            }
+
+            usedPaginationKeys.push(paginationKey);
+        }
+    }
+
+    /**
+     * @param {DateRange} range
+     * @returns {Promise<ApiResult<CallsLoad>>|null} The dashboard load, when it is recent and covers `range`.
+     */
+    function findReusableCallsLoad(range) {
+        if (sharedCallsLoad === null || Date.now() - sharedCallsLoad.startedAt > AppConfig.NETWORK.CACHE_TTL_MS) {
+            return null;
+        }
+
+        var loadedRange = sharedCallsLoad.range;
+        if (loadedRange.from === null || loadedRange.to === null) {
+            return sharedCallsLoad.promise;
+        }
+
+        var coversRange = range.from !== null && range.to !== null &&
+            loadedRange.from <= range.from && loadedRange.to >= range.to;
+
+        return coversRange ? sharedCallsLoad.promise : null;
+    }
+
+    /**
+     * Builds the calls URL for one page. `limit` and `pagination_key` follow the Retell
+     * list-calls cursor; endpoints without cursor support ignore them and return everything.
+     * Every calls request goes through here so identical ranges share the ApiClient cache.
+     *
+     * @param {string|null} paginationKey - Cursor returned by the previous page, or null for the first one.
+     * @param {DateRange} [explicitRange] - Range to request instead of the active one.
+     * @returns {string}
+     */
+    function buildCallsPageUrl(paginationKey, explicitRange) {
+        var url = DateRangeModule.appendRangeToUrl(AppConfig.API_ENDPOINTS.RETELL_CALLS, explicitRange);
+        var separator = url.indexOf('?') === -1 ? '?' : '&';
+
+        url += separator + 'limit=' + AppConfig.CALLS_TABLE.PAGE_SIZE;
+
+        if (paginationKey !== null) {
+            url += '&pagination_key=' + encodeURIComponent(paginationKey);
+        }
+
+        return url;
+    }
+
+    /**
+     * @param {any} response
+     * @returns {any}
+     */
+    function parseCallsResponse(response) {
+        if (typeof response !== 'string') {
+            return response;
+        }
+
+        try {
+            return JSON.parse(response);
+        } catch (parseError) {
+            return null;
+        }
     }
 
     /**
+     * Reads the cursor for the next page. Plain array payloads have no cursor.
+     *
+     * @param {any} response
+     * @returns {string|null}
+     */
+    function extractPaginationKey(response) {
+        var parsedResponse = parseCallsResponse(response);
+        if (!parsedResponse || Array.isArray(parsedResponse) || parsedResponse.has_more === false) {
+            return null;
+        }
+
+        var paginationKey = parsedResponse.next_pagination_key || parsedResponse.pagination_key;
+        return typeof paginationKey === 'string' && paginationKey !== '' ? paginationKey : null;
+    }
+
+    /**
+     * A page without cursor that holds exactly `limit` calls was probably cut by the server:
+     * endpoints that ignore `limit` return more, complete ranges usually return fewer.
+     *
+     * @param {any} response
+     * @returns {boolean}
+     */
+    function isTruncatedWithoutCursor(response) {
+        var parsedResponse = parseCallsResponse(response);
+        if (!parsedResponse || parsedResponse.has_more === false || extractPaginationKey(parsedResponse) !== null) {
+            return false;
+        }
+
+        var pageCalls = Array.isArray(parsedResponse) ? parsedResponse : parsedResponse.data;
+        return Array.isArray(pageCalls) && pageCalls.length === AppConfig.CALLS_TABLE.PAGE_SIZE;
+    }
+
+    /**
+     * @param {string} message - Empty hides the pagination error.
+     */
+    function updatePaginationError(message) {
+        var errorElement = document.getElementById('calls-pagination-error');
+        if (errorElement === null) {
+            return;
+        }
+
+        errorElement.textContent = message;
+        errorElement.classList.toggle('is-hidden', message === '');
+    }
+
+    function updateLoadMoreButton() {
+        var loadMoreButton = document.getElementById('calls-load-more');
+        if (loadMoreButton === null) {
+            return;
+        }
+
+        loadMoreButton.classList.toggle('is-hidden', nextPaginationKey === null);
+        loadMoreButton.toggleAttribute('disabled', isLoadingMore);
+        loadMoreButton.textContent = isLoadingMore ? 'Cargando...' : 'Cargar mas llamadas';
+    }
+
+    /**
+     * Normalizes a Retell calls payload and keeps only the configured agent calls.
+     *
+     * @param {any} response
+     * @returns {CallData[]}
+     */
+    function extractCalls(response) {
+        return filterByAgent(readPageCalls(response));
+    }
+
+    /**
+     * @param {any} response
+     * @returns {CallData[]} Every call of the payload, whatever its agent.
+     */
+    function readPageCalls(response) {
+        var parsedResponse = parseCallsResponse(response);
+
+        if (parsedResponse && Array.isArray(parsedResponse.data)) {
+            return parsedResponse.data;
+        }
+
+        return Array.isArray(parsedResponse) ? parsedResponse : [];
+    }
+
+    /**
+     * @param {CallData[]} calls
+     * @returns {CallData[]}
+     */
+    function filterByAgent(calls) {
+        if (!AppConfig.RETELL_AGENT_ID) {
+            return calls;
+        }
+
+        return calls.filter(function (call) {
+            return call.agent_id === AppConfig.RETELL_AGENT_ID;
+        });
+    }
+
+    /**
+     * Client-side fallback for endpoints that ignore the `from`/`to` params.
+     *
+     * @param {CallData[]} calls
+     * @returns {CallData[]}
+     */
+    function filterCallsByDateRange(calls) {
+        if (!DateRangeModule.isRangeActive()) {
+            return calls;
+        }
+
+        return calls.filter(function (call) {
+            return DateRangeModule.isDateInRange(resolveCallDate(call));
+        });
+    }
+
+    /**
+     * Re-renders the loaded calls through the toolbar search, filters and sort order.
+     * They only see the pages loaded so far; the result count says so while more calls exist.
+     */
+    function refreshCallsTable() {
+        var filteredCalls = CallsFilterModule.apply(loadedCalls);
+        CallsFilterModule.updateResultCount(filteredCalls.length, loadedCalls.length, nextPaginationKey !== null || isPageTruncated);
+
+        if (loadedCalls.length > 0 && filteredCalls.length === 0) {
+            renderEmptyTable('Ninguna llamada coincide con los filtros aplicados.');
+            return;
+        }
+
+        renderCallsTable(filteredCalls);
+    }
+
+    /**
+     * Only the rows inside the scroll viewport are in the DOM; `data-call-index`
+     * points into `visibleCalls`.
+     *
      * @param {CallData[]} calls
      */
     function renderCallsTable(calls) {
@@ -142,55 +567,247 @@ var CallsModule = (function () {
             return;
         }
 
-        formattedTranscripts = [];
+        visibleCalls = calls || [];
+        updateExportAvailability();
 
-        if (!calls || calls.length === 0) {
-            tableBody.innerHTML = '<tr><td colspan="7" class="calls-table-empty">' +
-                '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" ' +
-                'stroke="currentColor" stroke-width="2"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07"></path></svg>' +
-                '<p>No hay llamadas registradas.</p></td></tr>';
+        if (visibleCalls.length === 0) {
+            renderEmptyTable('No hay llamadas registradas.');
             return;
         }
 
-        var rows = calls.map(function (call, index) {
-            var callDate = resolveCallDate(call);
-            var dateText = callDate.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
-            var timeText = callDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+        if (virtualRows === null) {
+            var scrollContainer = document.getElementById('calls-table-container');
+            if (scrollContainer === null) {
+                return;
+            }
 
-            var phone = call.phone || call.from_number || call.to_number || call.caller_number || '-';
-            var callDuration = resolveCallDuration(call);
+            virtualRows = VirtualRows.create({
+                scrollContainer: scrollContainer,
+                tableBody: tableBody,
+                rowHeight: AppConfig.CALLS_TABLE.ROW_HEIGHT_PX,
+                columnCount: TABLE_COLUMN_COUNT,
+                overscan: AppConfig.CALLS_TABLE.OVERSCAN_ROWS,
+                renderRow: renderCallRow
+            });
+        }
 
-            var status = call.status || call.call_status || 'completed';
-            var statusClass = getCallStatusClass(status);
-            var statusLabel = TranscriptFormatter.escapeHtml(getCallStatusLabel(status));
+        virtualRows.setItemCount(visibleCalls.length);
+    }
 
-            var audioUrl = call.recording_url || '';
-            var recordingHtml = audioUrl
-                ? '<audio controls class="call-audio"><source src="' + TranscriptFormatter.escapeHtml(audioUrl) + '" type="audio/wav"></audio>'
-                : '<span class="text-muted">-</span>';
+    /**
+     * @param {number} index
+     * @returns {string}
+     */
+    function renderCallRow(index) {
+        var call = visibleCalls[index];
+        var callDate = resolveCallDate(call);
+        var dateText = callDate.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        var timeText = callDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+
+        var phone = PermissionService.formatPhoneNumber(resolveCallPhone(call)) || '-';
+        var callDuration = resolveCallDuration(call);
+
+        var status = resolveCallStatus(call);
+        var statusClass = getCallStatusClass(status);
+        var statusLabel = TranscriptFormatter.escapeHtml(getCallStatusLabel(status));
+
+        var audioUrl = PermissionService.can('recordings.play') ? call.recording_url || '' : '';
+        var isPlaying = audioUrl !== '' && audioUrl === playingRecordingUrl;
+        var recordingHtml = audioUrl
+            ? '<button class="call-play-btn' + (isPlaying ? ' is-playing' : '') + '" type="button" ' +
+                'data-action="play-call-recording" data-call-index="' + index + '" ' +
+                'aria-label="Reproducir grabacion">' + (isPlaying ? 'Sonando' : 'Escuchar') + '</button>'
+            : '<span class="text-muted">-</span>';
+
+        var transcriptHtml = hasTranscript(call) && PermissionService.can('transcripts.view')
+            ? '<button class="transcript-toggle" type="button" data-call-index="' + index + '">Ver</button>'
+            : '<span class="text-muted">-</span>';
+
+        return '<tr class="call-row" style="height:' + AppConfig.CALLS_TABLE.ROW_HEIGHT_PX + 'px">' +
+            '<td>' + dateText + '</td>' +
+            '<td>' + timeText + '</td>' +
+            '<td class="call-phone">' + TranscriptFormatter.escapeHtml(phone) + '</td>' +
+            '<td class="call-duration">' + callDuration + '</td>' +
+            '<td><span class="call-status ' + statusClass + '">' + statusLabel + '</span></td>' +
+            '<td class="hide-mobile">' + recordingHtml + '</td>' +
+            '<td class="hide-mobile">' + transcriptHtml + '</td>' +
+            '</tr>';
+    }
 
-            var transcript = call.transcript || '';
-            var hasTranscript = transcript && transcript !== 'Sin transcripcion';
-            if (hasTranscript) {
-                formattedTranscripts[index] = TranscriptFormatter.format(transcript);
-            }
+    /**
+     * @param {CallData} call
+     * @returns {boolean}
+     */
+    function hasTranscript(call) {
+        var transcript = resolveCallTranscript(call);
+        return transcript !== '' && transcript !== 'Sin transcripcion';
+    }
+
+    /**
+     * Richest transcript available for a call. Retell utterances with word timing come
+     * first so the recording can follow the text, then any utterance list (tool calls
+     * before `transcript_object`), and the plain `transcript` text last.
+     *
+     * @param {CallData} call
+     * @returns {string|Array<any>}
+     */
+    function resolveCallTranscript(call) {
+        var utteranceLists = [call.transcript_with_tool_calls, call.transcript_object];
+
+        var timedUtterances = utteranceLists.filter(hasWordTimings)[0];
+        if (timedUtterances) {
+            return timedUtterances;
+        }
+
+        var utterances = utteranceLists.filter(function (list) {
+            return Array.isArray(list) && list.length > 0;
+        })[0];
 
-            var transcriptHtml = hasTranscript
-                ? '<button class="transcript-toggle" type="button" data-call-index="' + index + '">Ver</button>'
-                : '<span class="text-muted">-</span>';
-
-            return '<tr>' +
-                '<td>' + dateText + '</td>' +
-                '<td>' + timeText + '</td>' +
-                '<td class="call-phone">' + TranscriptFormatter.escapeHtml(phone) + '</td>' +
-                '<td class="call-duration">' + callDuration + '</td>' +
-                '<td><span class="call-status ' + statusClass + '">' + statusLabel + '</span></td>' +
-                '<td class="hide-mobile">' + recordingHtml + '</td>' +
-                '<td class="hide-mobile">' + transcriptHtml + '</td>' +
-                '</tr>';
+        return utterances || call.transcript || '';
+    }
+
+    /**
+     * @param {Array<any>|undefined} utterances
+     * @returns {boolean}
+     */
+    function hasWordTimings(utterances) {
+        return Array.isArray(utterances) && utterances.some(function (utterance) {
+            return utterance && Array.isArray(utterance.words) && utterance.words.some(function (/** @type {any} */ word) {
+                return word && typeof word.start === 'number';
+            });
         });
+    }
 
-        tableBody.innerHTML = rows.join('');
+    function updateExportAvailability() {
+        if (typeof CallsExportModule !== 'undefined') {
+            CallsExportModule.updateAvailability(visibleCalls.length);
+        }
+    }
+
+    /**
+     * Calls currently shown in the table, after the toolbar filters and sort.
+     *
+     * @returns {CallData[]}
+     */
+    function getVisibleCalls() {
+        return visibleCalls.slice();
+    }
+
+    function resetVirtualRows() {
+        if (virtualRows !== null) {
+            virtualRows.destroy();
+            virtualRows = null;
+        }
+    }
+
+    function resetTableScroll() {
+        var scrollContainer = document.getElementById('calls-table-container');
+        if (scrollContainer !== null) {
+            scrollContainer.scrollTop = 0;
+        }
+    }
+
+    /**
+     * @param {number} index
+     */
+    function playRecording(index) {
+        var call = visibleCalls[index];
+        if (call) {
+            playCallRecording(call);
+        }
+    }
+
+    /**
+     * Plays a recording in the single shared player, which sits above the tabs so the
+     * dashboard recordings list uses it too. The audio element is created on first use
+     * so the lists never hold media elements.
+     *
+     * @param {CallData} call
+     */
+    function playCallRecording(call) {
+        var playerContainer = document.getElementById('calls-audio-player');
+        if (!call.recording_url || playerContainer === null || !PermissionService.can('recordings.play')) {
+            return;
+        }
+
+        if (sharedAudioElement === null) {
+            sharedAudioElement = document.createElement('audio');
+            sharedAudioElement.controls = true;
+            sharedAudioElement.className = 'calls-audio-element';
+            playerContainer.appendChild(sharedAudioElement);
+        }
+
+        var callDate = resolveCallDate(call);
+        DomHelper.setTextContent('calls-audio-player-label',
+            (PermissionService.formatPhoneNumber(resolveCallPhone(call)) || 'Llamada') + ' · ' +
+            callDate.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' }) + ' ' +
+            callDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' }));
+
+        playerContainer.classList.remove('is-hidden');
+
+        playingRecordingUrl = call.recording_url;
+        sharedAudioElement.src = call.recording_url;
+        sharedAudioElement.play().catch(function (error) {
+            console.error('Error reproduciendo grabacion:', error);
+        });
+
+        if (virtualRows !== null) {
+            virtualRows.refresh();
+        }
+    }
+
+    function closeAudioPlayer() {
+        var playerContainer = document.getElementById('calls-audio-player');
+
+        if (sharedAudioElement !== null) {
+            sharedAudioElement.pause();
+            sharedAudioElement.removeAttribute('src');
+            sharedAudioElement.load();
+        }
+
+        if (playerContainer !== null) {
+            playerContainer.classList.add('is-hidden');
+        }
+
+        playingRecordingUrl = '';
+
+        if (virtualRows !== null) {
+            virtualRows.refresh();
+        }
+    }
+
+    /**
+     * @param {string} message
+     */
+    function renderEmptyTable(message) {
+        var tableBody = document.getElementById('calls-table-body');
+        if (tableBody === null) {
+            return;
+        }
+
+        resetVirtualRows();
+        visibleCalls = [];
+        updateExportAvailability();
+        tableBody.innerHTML = '<tr><td colspan="7" class="calls-table-empty">' +
+            '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" ' +
+            'stroke="currentColor" stroke-width="2"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07"></path></svg>' +
+            '<p>' + TranscriptFormatter.escapeHtml(message) + '</p></td></tr>';
+    }
+
+    /**
+     * @param {CallData} call
+     * @returns {string}
+     */
+    function resolveCallPhone(call) {
+        return call.phone || call.from_number || call.to_number || call.caller_number || '';
+    }
+
+    /**
+     * @param {CallData} call
+     * @returns {string}
+     */
+    function resolveCallStatus(call) {
+        return call.status || call.call_status || 'completed';
     }
 
     /**
@@ -220,19 +837,27 @@ var CallsModule = (function () {
      * @returns {string}
      */
     function resolveCallDuration(call) {
+        return formatCallDuration(resolveCallDurationMs(call));
+    }
+
+    /**
+     * @param {CallData} call
+     * @returns {number}
+     */
+    function resolveCallDurationMs(call) {
         if (call.duration_ms) {
-            return formatCallDuration(call.duration_ms);
+            return call.duration_ms;
         }
 
         if (call.duration) {
-            return formatCallDuration(call.duration * 1000);
+            return call.duration * 1000;
         }
 
         if (call.call_duration) {
-            return formatCallDuration(call.call_duration * 1000);
+            return call.call_duration * 1000;
         }
 
-        return '0:00';
+        return 0;
     }
 
     /**
@@ -299,12 +924,23 @@ var CallsModule = (function () {
     function openTranscriptModal(index) {
         var modal = document.getElementById('transcript-modal');
         var modalBody = document.getElementById('transcript-modal-body');
+        var call = visibleCalls[index];
 
-        if (modal === null || modalBody === null || !formattedTranscripts[index]) {
+        if (modal === null || modalBody === null || !call || !hasTranscript(call) || !PermissionService.can('transcripts.view')) {
             return;
         }
 
-        modalBody.innerHTML = formattedTranscripts[index];
+        modalBody.innerHTML = TranscriptFormatter.format(resolveCallTranscript(call));
+
+        // The modal has its own player synced with the transcript; silence the table one.
+        if (sharedAudioElement !== null) {
+            sharedAudioElement.pause();
+        }
+
+        if (typeof TranscriptPlaybackModule !== 'undefined') {
+            TranscriptPlaybackModule.attach(modalBody, PermissionService.can('recordings.play') ? call.recording_url || '' : '');
+        }
+
         modal.classList.remove('is-hidden');
         modal.style.display = 'flex';
         document.body.style.overflow = 'hidden';
@@ -316,6 +952,10 @@ var CallsModule = (function () {
             return;
         }
 
+        if (typeof TranscriptPlaybackModule !== 'undefined') {
+            TranscriptPlaybackModule.detach();
+        }
+
         modal.classList.add('is-hidden');
         modal.style.display = 'none';
         document.body.style.overflow = '';
@@ -323,6 +963,22 @@ var CallsModule = (function () {
 
     return {
         loadCallHistory: loadCallHistory,
+        loadCallsInRange: loadCallsInRange,
+        loadCallsInWindow: loadCallsInWindow,
+        extractCalls: extractCalls,
+        filterCallsByDateRange: filterCallsByDateRange,
+        refreshCallsTable: refreshCallsTable,
+        getVisibleCalls: getVisibleCalls,
+        hasTranscript: hasTranscript,
+        resolveCallTranscript: resolveCallTranscript,
+        resolveCallDate: resolveCallDate,
+        resolveCallDuration: resolveCallDuration,
+        resolveCallDurationMs: resolveCallDurationMs,
+        resolveCallPhone: resolveCallPhone,
+        resolveCallStatus: resolveCallStatus,
+        getCallStatusClass: getCallStatusClass,
+        getCallStatusLabel: getCallStatusLabel,
+        playCallRecording: playCallRecording,
         openTranscriptModal: openTranscriptModal,
         closeTranscriptModal: closeTranscriptModal
     };
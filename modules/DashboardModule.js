@@ -8,28 +8,306 @@
 var DashboardModule = (function () {
     'use strict';
 
-    async function loadDashboardData() {
-        var statsEndpoint = AppConfig.API_ENDPOINTS.TWILIO_STATS;
-        var callsEndpoint = AppConfig.API_ENDPOINTS.RETELL_CALLS;
+    /** @type {number} */
+    var dashboardRequestId = 0;
+    /** @type {CallData[]} */
+    var recentRecordings = [];
+
+    var RECENT_RECORDINGS_LIMIT = 10;
+
+    document.addEventListener('click', function (event) {
+        var target = event.target;
+        if (!(target instanceof Element)) {
+            return;
+        }
+
+        var playButton = target.closest('[data-action="play-dashboard-recording"][data-recording-index]');
+        if (playButton !== null) {
+            var recording = recentRecordings[parseInt(playButton.getAttribute('data-recording-index') || '-1', 10)];
+            if (recording) {
+                CallsModule.playCallRecording(recording);
+            }
+        }
+    });
 
-        var responses = await Promise.all([
-            ApiClient.get(statsEndpoint),
-            ApiClient.get(callsEndpoint)
+    async function loadDashboardData() {
+        var requestId = ++dashboardRequestId;
+        var currentRange = DateRangeModule.getRange();
+        var previousRange = DateRangeModule.getPreviousRange();
+
+        // Calls are requested for both periods so the KPI trends can be computed client-side.
+        var callsRequestRange = previousRange !== null
+            ? { preset: currentRange.preset, from: previousRange.from, to: currentRange.to }
+            : currentRange;
+
+        var statsEndpoint = DateRangeModule.appendRangeToUrl(AppConfig.API_ENDPOINTS.TWILIO_STATS);
+
+        // Request keys abort the previous load when refresh is clicked again or the range changes.
+        // Conversations are awaited last so a slow WhatsApp endpoint does not hold back stats and calls.
+        var conversationsRequest = WhatsappModule.fetchConversations({ requestKey: 'dashboard-conversations' });
+        // Cycle usage is measured from call durations over its own window, whatever range is selected.
+        var usageCallsRequest = CallsModule.loadCallsInWindow(getUsageRange(), 'dashboard-usage-calls');
+
+        /** @type {[ApiResult<any>, ApiResult<CallsLoad>]} */
+        var results = await Promise.all([
+            ApiClient.get(statsEndpoint, { requestKey: 'dashboard-stats' }),
+            CallsModule.loadCallsInRange(callsRequestRange, 'dashboard-calls')
         ]);
 
-        var statsResponse = responses[0];
-        var recordingsResponse = responses[1];
+        if (requestId !== dashboardRequestId) {
+            return;
+        }
 
-        if (statsResponse !== null) {
-            updateStatisticsDisplay(statsResponse);
-        } else {
-            console.error('DashboardModule.loadDashboardData: failed to load stats.');
+        var statsResult = results[0];
+        var callsResult = results[1];
+
+        if (isUnauthorizedResult(statsResult) || isUnauthorizedResult(callsResult)) {
+            AuthModule.handleUnauthorized();
+            return;
+        }
+
+        var allCalls = callsResult.ok ? callsResult.data.calls : null;
+        /** @type {CallData[]|null} */
+        var rangeCalls = allCalls !== null ? CallsModule.filterCallsByDateRange(allCalls) : null;
+
+        // Without a server-side range the stats total covers all time, so the WhatsApp card waits
+        // for the conversations and counts the ones started in range.
+        var isConversationCountClientSide = DateRangeModule.isRangeActive()
+            && !(statsResult.ok && statsResult.data.range);
+
+        if (statsResult.ok) {
+            // The stats response may carry the account plan; the usage card below measures against it.
+            if (BillingService.updateFromResponse(statsResult.data)) {
+                PricingModule.renderPlansCta();
+            }
+            updateStatisticsDisplay(applyRangeToStatistics(statsResult.data, rangeCalls));
+            hideDashboardAlert();
+        } else if (statsResult.error.kind !== 'aborted') {
+            showDashboardAlert('No se pudieron cargar las metricas: ' + statsResult.error.message);
+        }
+
+        if (callsResult.ok) {
+            updateRecordingsList(callsResult.data.calls);
+        } else if (callsResult.error.kind !== 'aborted') {
+            renderRecordingsError(callsResult.error.message);
+        }
+
+        ActivityChartsModule.render(rangeCalls || [], []);
+        updateTrendIndicators(allCalls, previousRange);
+        hideTrend('trend-wa');
+
+        var usageCallsResult = await usageCallsRequest;
+        if (requestId !== dashboardRequestId) {
+            return;
+        }
+
+        if (isUnauthorizedResult(usageCallsResult)) {
+            AuthModule.handleUnauthorized();
+            return;
+        }
+
+        UsageModule.update(
+            usageCallsResult.ok ? usageCallsResult.data.calls : null,
+            usageCallsResult.ok && usageCallsResult.data.isComplete
+        );
+
+        var conversationsResult = await conversationsRequest;
+        if (requestId !== dashboardRequestId) {
+            return;
+        }
+
+        if (isUnauthorizedResult(conversationsResult)) {
+            AuthModule.handleUnauthorized();
+            return;
+        }
+
+        var conversations = conversationsResult.ok ? conversationsResult.data : [];
+        if (isConversationCountClientSide) {
+            DomHelper.setTextContent(
+                'val-wa',
+                conversationsResult.ok ? String(countConversationsInRange(conversations, currentRange)) : '—'
+            );
+        }
+        ActivityChartsModule.render(rangeCalls || [], conversations);
+        updateConversationTrend(conversationsResult.ok ? conversations : null, previousRange);
+    }
+
+    /**
+     * An expired session makes every request fail the same way; callers go straight back to login.
+     *
+     * @param {ApiResult<any>} result
+     * @returns {boolean}
+     */
+    function isUnauthorizedResult(result) {
+        return !result.ok && result.error.kind === 'unauthorized';
+    }
+
+    /**
+     * From the start of the oldest cycle in the usage history to now.
+     *
+     * @returns {DateRange}
+     */
+    function getUsageRange() {
+        var previousCycles = BillingService.getPreviousCycles(AppConfig.BILLING.CYCLE_HISTORY_COUNT);
+        var earliestStart = previousCycles.length > 0
+            ? previousCycles[previousCycles.length - 1].start
+            : BillingService.getCurrentCycle().start;
+
+        return { preset: 'custom', from: earliestStart, to: new Date() };
+    }
+
+    /**
+     * Stats endpoints that honour `from`/`to` echo them back in `range`.
+     * Otherwise call totals are rebuilt from the Retell call list for the selected range, and the
+     * conversation count is left `null` until the conversations arrive.
+     *
+     * @param {any} statsResponse
+     * @param {CallData[]|null} rangeCalls
+     * @returns {{ whatsappConversaciones?: number|string|null, calls?: { inbound?: number|string, outbound?: number|string, minutes?: number|string } }}
+     */
+    function applyRangeToStatistics(statsResponse, rangeCalls) {
+        if (!DateRangeModule.isRangeActive() || statsResponse.range || rangeCalls === null) {
+            return statsResponse;
+        }
+
+        return {
+            whatsappConversaciones: null,
+            calls: summarizeCalls(rangeCalls)
+        };
+    }
+
+    /**
+     * @param {CallData[]} calls
+     * @returns {{ inbound: number, outbound: number, minutes: number }}
+     */
+    function summarizeCalls(calls) {
+        var inboundCount = 0;
+        var outboundCount = 0;
+        var totalDurationMs = 0;
+
+        calls.forEach(function (call) {
+            if (call.direction === 'outbound') {
+                outboundCount++;
+            } else {
+                inboundCount++;
+            }
+
+            totalDurationMs += CallsModule.resolveCallDurationMs(call);
+        });
+
+        return {
+            inbound: inboundCount,
+            outbound: outboundCount,
+            minutes: totalDurationMs / 60000
+        };
+    }
+
+    /**
+     * Compares the active range against the previous equivalent period using call
+     * timestamps. Hidden when no range is selected.
+     *
+     * @param {CallData[]|null} allCalls
+     * @param {DateRange|null} previousRange
+     */
+    function updateTrendIndicators(allCalls, previousRange) {
+        var trendElementIds = ['trend-in', 'trend-out', 'trend-mins'];
+
+        if (previousRange === null || allCalls === null) {
+            trendElementIds.forEach(function (elementId) {
+                hideTrend(elementId);
+            });
+            return;
+        }
+
+        var comparisonLabel = DateRangeModule.getComparisonLabel();
+
+        var currentSummary = summarizeCalls(CallsModule.filterCallsByDateRange(allCalls));
+        var previousSummary = summarizeCalls(allCalls.filter(function (call) {
+            return DateRangeModule.isDateInRange(CallsModule.resolveCallDate(call), previousRange);
+        }));
+
+        renderTrend('trend-in', currentSummary.inbound, previousSummary.inbound, comparisonLabel);
+        renderTrend('trend-out', currentSummary.outbound, previousSummary.outbound, comparisonLabel);
+        renderTrend('trend-mins', currentSummary.minutes, previousSummary.minutes, comparisonLabel);
+    }
+
+    /**
+     * Same comparison as `updateTrendIndicators`, using conversation start dates.
+     * Rendered on its own because conversations load after the rest of the dashboard.
+     * Hidden when they failed to load, since the card then has no in-range count to compare.
+     *
+     * @param {Conversation[]|null} conversations
+     * @param {DateRange|null} previousRange
+     */
+    function updateConversationTrend(conversations, previousRange) {
+        if (previousRange === null || conversations === null) {
+            hideTrend('trend-wa');
+            return;
+        }
+
+        renderTrend(
+            'trend-wa',
+            countConversationsInRange(conversations, DateRangeModule.getRange()),
+            countConversationsInRange(conversations, previousRange),
+            DateRangeModule.getComparisonLabel()
+        );
+    }
+
+    /**
+     * @param {Conversation[]} conversations
+     * @param {DateRange} range
+     * @returns {number}
+     */
+    function countConversationsInRange(conversations, range) {
+        return conversations.filter(function (conversation) {
+            var startDate = WhatsappModule.resolveConversationStartDate(conversation);
+            return startDate !== null && DateRangeModule.isDateInRange(startDate, range);
+        }).length;
+    }
+
+    /**
+     * @param {string} elementId
+     * @param {number} currentValue
+     * @param {number} previousValue
+     * @param {string} comparisonLabel
+     */
+    function renderTrend(elementId, currentValue, previousValue, comparisonLabel) {
+        var trendElement = document.getElementById(elementId);
+        if (trendElement === null) {
+            return;
+        }
+
+        trendElement.classList.remove('is-hidden', 'stat-trend--up', 'stat-trend--down', 'stat-trend--flat');
+
+        if (previousValue <= 0) {
+            trendElement.classList.add(currentValue > 0 ? 'stat-trend--up' : 'stat-trend--flat');
+            trendElement.textContent = currentValue > 0
+                ? '▲ Sin datos previos (' + comparisonLabel + ')'
+                : '= Sin cambios ' + comparisonLabel;
+            return;
         }
 
-        if (recordingsResponse !== null) {
-            updateRecordingsList(recordingsResponse);
+        var changePercent = Math.round(((currentValue - previousValue) / previousValue) * 100);
+
+        if (changePercent > 0) {
+            trendElement.classList.add('stat-trend--up');
+            trendElement.textContent = '▲ +' + changePercent + '% ' + comparisonLabel;
+        } else if (changePercent < 0) {
+            trendElement.classList.add('stat-trend--down');
+            trendElement.textContent = '▼ ' + changePercent + '% ' + comparisonLabel;
         } else {
-            renderRecordingsError();
+            trendElement.classList.add('stat-trend--flat');
+            trendElement.textContent = '= 0% ' + comparisonLabel;
+        }
+    }
+
+    /**
+     * @param {string} elementId
+     */
+    function hideTrend(elementId) {
+        var trendElement = document.getElementById(elementId);
+        if (trendElement !== null) {
+            trendElement.classList.add('is-hidden');
         }
     }
 
@@ -64,25 +342,27 @@ var DashboardModule = (function () {
     }
 
     /**
-     * @param {{ whatsappConversaciones?: number|string, calls?: { inbound?: number|string, outbound?: number|string, minutes?: number|string } }} dashboardData
+     * @param {{ whatsappConversaciones?: number|string|null, calls?: { inbound?: number|string, outbound?: number|string, minutes?: number|string } }} dashboardData
      */
     function updateStatisticsDisplay(dashboardData) {
-        DomHelper.setTextContent('val-wa', String(dashboardData.whatsappConversaciones || '0'));
+        DomHelper.setTextContent(
+            'val-wa',
+            dashboardData.whatsappConversaciones === null ? '…' : String(dashboardData.whatsappConversaciones || '0')
+        );
 
         var callsData = dashboardData.calls || { inbound: 0, outbound: 0, minutes: 0 };
         DomHelper.setTextContent('val-in', String(callsData.inbound || '0'));
         DomHelper.setTextContent('val-out', String(callsData.outbound || '0'));
         DomHelper.setTextContent('val-mins', formatMinutesToReadable(callsData.minutes || 0));
-
-        if (typeof PricingModule !== 'undefined' && typeof PricingModule.updateUsageStatus === 'function') {
-            PricingModule.updateUsageStatus(callsData.minutes || 0);
-        }
     }
 
     /**
-     * @param {{ data?: Array<{ date?: string, audioUrl?: string, transcription?: string }> }} recordingsPayload
+     * Lists the most recent calls in range; the full history is in the calls tab.
+     * Recordings play in the calls module's shared player, so no audio element is created per row.
+     *
+     * @param {CallData[]} calls
      */
-    function updateRecordingsList(recordingsPayload) {
+    function updateRecordingsList(calls) {
         var recordingsContainer = document.getElementById('recordings-list');
         if (recordingsContainer === null) {
             return;
@@ -90,35 +370,96 @@ var DashboardModule = (function () {
 
         clearContainer(recordingsContainer);
 
-        var recordings = recordingsPayload && Array.isArray(recordingsPayload.data)
-            ? recordingsPayload.data
-            : [];
+        var recordings = calls.filter(function (recordingItem) {
+            return DateRangeModule.isDateInRange(CallsModule.resolveCallDate(recordingItem));
+        });
+
+        recentRecordings = recordings
+            .sort(function (first, second) {
+                return CallsModule.resolveCallDate(second).getTime() - CallsModule.resolveCallDate(first).getTime();
+            })
+            .slice(0, RECENT_RECORDINGS_LIMIT);
 
         if (recordings.length === 0) {
-            appendEmptyMessage(recordingsContainer, 'No hay grabaciones o transcripciones disponibles.');
+            appendEmptyMessage(
+                recordingsContainer,
+                DateRangeModule.isRangeActive()
+                    ? 'No hay grabaciones en el periodo seleccionado.'
+                    : 'No hay grabaciones o transcripciones disponibles.'
+            );
             return;
         }
 
-        recordings.forEach(function (recordingItem) {
-            recordingsContainer.appendChild(buildRecordingItem(recordingItem));
+        recentRecordings.forEach(function (recordingItem, index) {
+            recordingsContainer.appendChild(buildRecordingItem(recordingItem, index));
         });
+
+        if (recordings.length > recentRecordings.length) {
+            recordingsContainer.appendChild(buildMoreRecordingsNote(recentRecordings.length, recordings.length));
+        }
+    }
+
+    /**
+     * @param {number} shownCount
+     * @param {number} totalCount
+     * @returns {HTMLElement}
+     */
+    function buildMoreRecordingsNote(shownCount, totalCount) {
+        var note = document.createElement('p');
+        note.className = 'empty';
+        note.appendChild(document.createTextNode(
+            'Mostrando las ' + shownCount + ' llamadas mas recientes de ' + totalCount + '. '
+        ));
+
+        var callsTabButton = document.createElement('button');
+        callsTabButton.type = 'button';
+        callsTabButton.className = 'recordings-more-link';
+        callsTabButton.setAttribute('data-action', 'open-calls-tab');
+        callsTabButton.textContent = 'Ver todas en Llamadas';
+        note.appendChild(callsTabButton);
+
+        return note;
     }
 
-    function renderRecordingsError() {
+    /**
+     * @param {string} message
+     */
+    function renderRecordingsError(message) {
         var recordingsContainer = document.getElementById('recordings-list');
         if (recordingsContainer === null) {
             return;
         }
 
         clearContainer(recordingsContainer);
-        appendEmptyMessage(recordingsContainer, 'Error al cargar grabaciones.');
+        appendEmptyMessage(recordingsContainer, 'Error al cargar grabaciones: ' + message);
+    }
+
+    /**
+     * @param {string} message
+     */
+    function showDashboardAlert(message) {
+        var alertElement = document.getElementById('dashboard-alert');
+        if (alertElement === null) {
+            return;
+        }
+
+        alertElement.textContent = message;
+        alertElement.classList.remove('is-hidden');
+    }
+
+    function hideDashboardAlert() {
+        var alertElement = document.getElementById('dashboard-alert');
+        if (alertElement !== null) {
+            alertElement.classList.add('is-hidden');
+        }
     }
 
     /**
-     * @param {{ date?: string, audioUrl?: string, transcription?: string }} recordingItem
+     * @param {CallData} recordingItem
+     * @param {number} index - Position in `recentRecordings`, read back by the play button.
      * @returns {HTMLElement}
      */
-    function buildRecordingItem(recordingItem) {
+    function buildRecordingItem(recordingItem, index) {
         var wrapper = document.createElement('div');
         wrapper.className = 'log-item';
 
@@ -126,18 +467,23 @@ var DashboardModule = (function () {
         var dateLabel = document.createElement('strong');
         dateLabel.textContent = 'Fecha:';
         dateParagraph.appendChild(dateLabel);
-        dateParagraph.appendChild(document.createTextNode(' ' + formatDate(recordingItem.date)));
+        dateParagraph.appendChild(document.createTextNode(' ' + CallsModule.resolveCallDate(recordingItem).toLocaleString('es-ES')));
         wrapper.appendChild(dateParagraph);
 
-        var audioPlayer = document.createElement('audio');
-        audioPlayer.controls = true;
-        audioPlayer.style.height = '35px';
-        audioPlayer.style.width = '100%';
-        audioPlayer.style.maxWidth = '350px';
-        if (recordingItem.audioUrl) {
-            audioPlayer.src = recordingItem.audioUrl;
+        if (recordingItem.recording_url && PermissionService.can('recordings.play')) {
+            var playButton = document.createElement('button');
+            playButton.type = 'button';
+            playButton.className = 'call-play-btn';
+            playButton.setAttribute('data-action', 'play-dashboard-recording');
+            playButton.setAttribute('data-recording-index', String(index));
+            playButton.setAttribute('aria-label', 'Reproducir grabacion');
+            playButton.textContent = 'Escuchar';
+            wrapper.appendChild(playButton);
+        }
+
+        if (!PermissionService.can('transcripts.view')) {
+            return wrapper;
         }
-        wrapper.appendChild(audioPlayer);
 
         var transcriptionBlock = document.createElement('p');
         transcriptionBlock.style.background = '#f8fafc';
@@ -149,7 +495,7 @@ var DashboardModule = (function () {
         transcriptionLabel.textContent = 'Transcripcion:';
         transcriptionBlock.appendChild(transcriptionLabel);
         transcriptionBlock.appendChild(
-            document.createTextNode(' ' + (recordingItem.transcription || 'Sin transcripcion disponible.'))
+            document.createTextNode(' ' + (recordingItem.transcript || 'Sin transcripcion disponible.'))
         );
 
         wrapper.appendChild(transcriptionBlock);
@@ -157,23 +503,6 @@ var DashboardModule = (function () {
         return wrapper;
     }
 
-    /**
-     * @param {string|undefined} dateValue
-     * @returns {string}
-     */
-    function formatDate(dateValue) {
-        if (!dateValue) {
-            return new Date().toLocaleString('es-ES');
-        }
-
-        var parsedDate = new Date(dateValue);
-        if (isNaN(parsedDate.getTime())) {
-            return new Date().toLocaleString('es-ES');
-        }
-
-        return parsedDate.toLocaleString('es-ES');
-    }
-
     /**
      * @param {HTMLElement} element
      */
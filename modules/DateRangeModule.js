@@ -0,0 +1,323 @@
+/**
+ * Shared date range module.
+ * Owns the header period picker and exposes the active range to data modules.
+ *
+ * @file DateRangeModule.js
+ */
+
+/**
+ * @typedef {'all'|'today'|'7d'|'30d'|'month'|'custom'} DateRangePreset
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {DateRangePreset} preset
+ * @property {Date|null} from
+ * @property {Date|null} to
+ */
+
+var DateRangeModule = (function () {
+    'use strict';
+
+    /** @type {HTMLSelectElement|null} */
+    var presetSelectElement = /** @type {HTMLSelectElement|null} */ (document.getElementById('date-range-preset'));
+    /** @type {HTMLElement|null} */
+    var customRangeElement = document.getElementById('date-range-custom');
+    /** @type {HTMLInputElement|null} */
+    var customFromInput = /** @type {HTMLInputElement|null} */ (document.getElementById('date-range-from'));
+    /** @type {HTMLInputElement|null} */
+    var customToInput = /** @type {HTMLInputElement|null} */ (document.getElementById('date-range-to'));
+
+    /** @type {boolean} */
+    var hasInitialized = false;
+    /** @type {DateRangePreset} */
+    var currentPreset = 'all';
+    /** @type {Date|null} */
+    var customFrom = null;
+    /** @type {Date|null} */
+    var customTo = null;
+
+    var VALID_PRESETS = ['all', 'today', '7d', '30d', 'month', 'custom'];
+
+    function initialize() {
+        if (hasInitialized) {
+            return;
+        }
+
+        hasInitialized = true;
+
+        if (presetSelectElement !== null) {
+            presetSelectElement.value = currentPreset;
+            presetSelectElement.addEventListener('change', handlePresetChange);
+        }
+
+        if (customFromInput !== null) {
+            customFromInput.addEventListener('change', handleCustomDateChange);
+        }
+
+        if (customToInput !== null) {
+            customToInput.addEventListener('change', handleCustomDateChange);
+        }
+    }
+
+    function handlePresetChange() {
+        if (presetSelectElement === null) {
+            return;
+        }
+
+        var selectedPreset = presetSelectElement.value;
+        if (VALID_PRESETS.indexOf(selectedPreset) === -1) {
+            return;
+        }
+
+        currentPreset = /** @type {DateRangePreset} */ (selectedPreset);
+
+        setCustomRangeVisible(currentPreset === 'custom');
+
+        // Wait until both custom dates are set before reloading data.
+        if (currentPreset === 'custom' && (customFrom === null || customTo === null)) {
+            return;
+        }
+
+        notifyRangeChange();
+    }
+
+    /**
+     * @param {boolean} isVisible
+     */
+    function setCustomRangeVisible(isVisible) {
+        if (customRangeElement === null) {
+            return;
+        }
+
+        customRangeElement.classList.toggle('is-hidden', !isVisible);
+    }
+
+    function handleCustomDateChange() {
+        customFrom = parseDateInput(customFromInput, false);
+        customTo = parseDateInput(customToInput, true);
+
+        if (customFrom === null || customTo === null) {
+            return;
+        }
+
+        if (customFrom.getTime() > customTo.getTime()) {
+            var swappedFrom = customFrom;
+            customFrom = startOfDay(customTo);
+            customTo = endOfDay(swappedFrom);
+        }
+
+        notifyRangeChange();
+    }
+
+    /**
+     * @param {HTMLInputElement|null} inputElement
+     * @param {boolean} useEndOfDay
+     * @returns {Date|null}
+     */
+    function parseDateInput(inputElement, useEndOfDay) {
+        if (inputElement === null || !inputElement.value) {
+            return null;
+        }
+
+        var parts = inputElement.value.split('-');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        var parsedDate = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+        if (isNaN(parsedDate.getTime())) {
+            return null;
+        }
+
+        return useEndOfDay ? endOfDay(parsedDate) : startOfDay(parsedDate);
+    }
+
+    function notifyRangeChange() {
+        if (typeof DashboardModule !== 'undefined' && typeof DashboardModule.loadDashboardData === 'function') {
+            DashboardModule.loadDashboardData();
+        }
+
+        if (typeof TabsModule !== 'undefined' && TabsModule.getActiveTab() === 'llamadas') {
+            CallsModule.loadCallHistory();
+        }
+    }
+
+    /**
+     * @returns {DateRange}
+     */
+    function getRange() {
+        var now = new Date();
+        var todayEnd = endOfDay(now);
+
+        if (currentPreset === 'today') {
+            return { preset: currentPreset, from: startOfDay(now), to: todayEnd };
+        }
+
+        if (currentPreset === '7d') {
+            return { preset: currentPreset, from: startOfDay(addDays(now, -6)), to: todayEnd };
+        }
+
+        if (currentPreset === '30d') {
+            return { preset: currentPreset, from: startOfDay(addDays(now, -29)), to: todayEnd };
+        }
+
+        if (currentPreset === 'month') {
+            return { preset: currentPreset, from: new Date(now.getFullYear(), now.getMonth(), 1), to: todayEnd };
+        }
+
+        if (currentPreset === 'custom' && customFrom !== null && customTo !== null) {
+            return { preset: currentPreset, from: customFrom, to: customTo };
+        }
+
+        return { preset: 'all', from: null, to: null };
+    }
+
+    /**
+     * Previous period of the same length that ends right before the active range.
+     * Month-to-date compares against the same days of the previous month.
+     * While the active range is still running, the previous period is cut at the same
+     * elapsed time (today until now vs yesterday until this time), not at the end of its last day.
+     *
+     * @returns {DateRange|null}
+     */
+    function getPreviousRange() {
+        var range = getRange();
+        if (range.from === null || range.to === null) {
+            return null;
+        }
+
+        var now = new Date();
+        var isOngoing = range.from.getTime() <= now.getTime() && now.getTime() < range.to.getTime();
+
+        if (range.preset === 'month') {
+            var monthStart = range.from;
+            var previousMonthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() - 1, 1);
+            var previousMonthLastDay = new Date(monthStart.getFullYear(), monthStart.getMonth(), 0).getDate();
+            var comparableDay = Math.min(range.to.getDate(), previousMonthLastDay);
+            var comparableDate = new Date(previousMonthStart.getFullYear(), previousMonthStart.getMonth(), comparableDay);
+
+            return {
+                preset: range.preset,
+                from: previousMonthStart,
+                // A shorter previous month is compared whole: its last day has no later hours to cut.
+                to: isOngoing && range.to.getDate() <= previousMonthLastDay
+                    ? withTimeOf(comparableDate, now)
+                    : endOfDay(comparableDate)
+            };
+        }
+
+        var dayCount = Math.round((startOfDay(range.to).getTime() - range.from.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+
+        return {
+            preset: range.preset,
+            from: startOfDay(addDays(range.from, -dayCount)),
+            to: isOngoing
+                ? withTimeOf(addDays(startOfDay(now), -dayCount), now)
+                : endOfDay(addDays(range.to, -dayCount))
+        };
+    }
+
+    /**
+     * @returns {string}
+     */
+    function getComparisonLabel() {
+        /** @type {{ [key: string]: string }} */
+        var labels = {
+            today: 'vs ayer',
+            '7d': 'vs 7 dias anteriores',
+            '30d': 'vs 30 dias anteriores',
+            month: 'vs mes anterior',
+            custom: 'vs periodo anterior'
+        };
+
+        return labels[getRange().preset] || '';
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    function isRangeActive() {
+        var range = getRange();
+        return range.from !== null && range.to !== null;
+    }
+
+    /**
+     * @param {Date} date
+     * @param {DateRange|null} [explicitRange] - Range to test against instead of the active one.
+     * @returns {boolean}
+     */
+    function isDateInRange(date, explicitRange) {
+        var range = explicitRange || getRange();
+        if (range.from === null || range.to === null) {
+            return true;
+        }
+
+        var timestamp = date.getTime();
+        return timestamp >= range.from.getTime() && timestamp <= range.to.getTime();
+    }
+
+    /**
+     * Adds `from` and `to` ISO query params so endpoints can filter server-side.
+     *
+     * @param {string} url
+     * @param {{ from: Date|null, to: Date|null }} [explicitRange] - Range to send instead of the active one.
+     * @returns {string}
+     */
+    function appendRangeToUrl(url, explicitRange) {
+        var range = explicitRange || getRange();
+        if (!url || range.from === null || range.to === null) {
+            return url;
+        }
+
+        var separator = url.indexOf('?') === -1 ? '?' : '&';
+        return url + separator +
+            'from=' + encodeURIComponent(range.from.toISOString()) +
+            '&to=' + encodeURIComponent(range.to.toISOString());
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {Date}
+     */
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {Date}
+     */
+    function endOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    }
+
+    /**
+     * @param {Date} date - Day to keep.
+     * @param {Date} timeSource - Date whose time of day is copied.
+     * @returns {Date}
+     */
+    function withTimeOf(date, timeSource) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+            timeSource.getHours(), timeSource.getMinutes(), timeSource.getSeconds(), timeSource.getMilliseconds());
+    }
+
+    /**
+     * @param {Date} date
+     * @param {number} days
+     * @returns {Date}
+     */
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+    }
+
+    return {
+        initialize: initialize,
+        getRange: getRange,
+        getPreviousRange: getPreviousRange,
+        getComparisonLabel: getComparisonLabel,
+        isRangeActive: isRangeActive,
+        isDateInRange: isDateInRange,
+        appendRangeToUrl: appendRangeToUrl
+    };
+})();
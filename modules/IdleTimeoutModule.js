@@ -0,0 +1,185 @@
+/**
+ * Idle timeout module.
+ * Ends the session after `AppConfig.SECURITY.IDLE_TIMEOUT_MINUTES` without user activity,
+ * showing a countdown dialog during the last `IDLE_WARNING_SECONDS` so the user can stay signed in.
+ * Activity is shared through SessionBus, so working in one tab keeps the other tabs signed in.
+ *
+ * @file IdleTimeoutModule.js
+ */
+
+var IdleTimeoutModule = (function () {
+    'use strict';
+
+    var ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+    var CHECK_INTERVAL_MS = 1000;
+    var ACTIVITY_BROADCAST_INTERVAL_MS = 15000;
+
+    /** @type {number} */
+    var lastActivityAt = 0;
+    /** @type {number} */
+    var lastBroadcastAt = 0;
+    /** @type {number|null} */
+    var checkIntervalId = null;
+    /** @type {boolean} */
+    var isWarningVisible = false;
+    /** @type {boolean} */
+    var eventsAttached = false;
+
+    attachGlobalEvents();
+
+    function attachGlobalEvents() {
+        if (eventsAttached) {
+            return;
+        }
+
+        eventsAttached = true;
+
+        SessionBus.subscribe('activity', function () {
+            if (checkIntervalId !== null) {
+                staySignedIn();
+            }
+        });
+
+        ACTIVITY_EVENTS.forEach(function (eventName) {
+            document.addEventListener(eventName, recordActivity, { capture: true, passive: true });
+        });
+
+        // Timers are throttled in background tabs; re-check as soon as the tab is visible again.
+        document.addEventListener('visibilitychange', function () {
+            if (!document.hidden) {
+                checkIdleTime();
+            }
+        });
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            if (target.closest('[data-action="idle-stay-signed-in"]')) {
+                staySignedIn();
+                broadcastActivity(true);
+                return;
+            }
+
+            if (target.closest('[data-action="idle-logout"]')) {
+                stop();
+                AuthModule.logout();
+            }
+        });
+
+        document.addEventListener('keydown', function (event) {
+            if (event.key === 'Escape' && isWarningVisible) {
+                staySignedIn();
+                broadcastActivity(true);
+            }
+        });
+    }
+
+    /**
+     * Starts tracking inactivity for the signed-in user.
+     */
+    function start() {
+        stop();
+        lastActivityAt = Date.now();
+        checkIntervalId = window.setInterval(checkIdleTime, CHECK_INTERVAL_MS);
+    }
+
+    function stop() {
+        if (checkIntervalId !== null) {
+            window.clearInterval(checkIntervalId);
+            checkIntervalId = null;
+        }
+
+        hideWarning();
+    }
+
+    function recordActivity() {
+        // While the warning is open only its buttons count as activity.
+        if (checkIntervalId === null || isWarningVisible) {
+            return;
+        }
+
+        lastActivityAt = Date.now();
+        broadcastActivity(false);
+    }
+
+    /**
+     * @param {boolean} force - Skip the throttle (explicit "stay signed in").
+     */
+    function broadcastActivity(force) {
+        if (!force && Date.now() - lastBroadcastAt < ACTIVITY_BROADCAST_INTERVAL_MS) {
+            return;
+        }
+
+        lastBroadcastAt = Date.now();
+        SessionBus.publish('activity');
+    }
+
+    function staySignedIn() {
+        hideWarning();
+        lastActivityAt = Date.now();
+    }
+
+    function checkIdleTime() {
+        if (checkIntervalId === null) {
+            return;
+        }
+
+        var timeoutMs = AppConfig.SECURITY.IDLE_TIMEOUT_MINUTES * 60 * 1000;
+        var remainingMs = timeoutMs - (Date.now() - lastActivityAt);
+
+        if (remainingMs <= 0) {
+            stop();
+            AuthModule.logout('Tu sesion se cerro tras ' + AppConfig.SECURITY.IDLE_TIMEOUT_MINUTES + ' minutos de inactividad.');
+            return;
+        }
+
+        if (remainingMs <= AppConfig.SECURITY.IDLE_WARNING_SECONDS * 1000) {
+            showWarning(Math.ceil(remainingMs / 1000));
+        }
+    }
+
+    /**
+     * @param {number} remainingSeconds
+     */
+    function showWarning(remainingSeconds) {
+        var modal = document.getElementById('idle-timeout-modal');
+        if (modal === null) {
+            return;
+        }
+
+        DomHelper.setTextContent('idle-timeout-countdown', String(remainingSeconds));
+
+        if (isWarningVisible) {
+            return;
+        }
+
+        isWarningVisible = true;
+        modal.classList.remove('is-hidden');
+        modal.style.display = 'flex';
+
+        var stayButton = /** @type {HTMLButtonElement|null} */ (modal.querySelector('[data-action="idle-stay-signed-in"]'));
+        if (stayButton !== null) {
+            stayButton.focus();
+        }
+    }
+
+    function hideWarning() {
+        isWarningVisible = false;
+
+        var modal = document.getElementById('idle-timeout-modal');
+        if (modal === null) {
+            return;
+        }
+
+        modal.classList.add('is-hidden');
+        modal.style.display = 'none';
+    }
+
+    return {
+        start: start,
+        stop: stop
+    };
+})();
@@ -1,6 +1,10 @@
 ﻿/**
  * Pricing CTA module.
  * Renders current plan badge, pricing modal cards, and threshold popup.
+ * The account plan and the catalog come from BillingService.
+ * Upgrade prompts are only shown to roles with the `billing.upgrade` permission.
+ * With API_ENDPOINTS.UPGRADE_REQUEST set, plan buttons open an upgrade-request form
+ * (sent to the backend, WhatsApp optional); otherwise they link straight to WhatsApp.
  *
  * @file PricingModule.js
  */
@@ -15,16 +19,34 @@ var PricingModule = (function () {
     /** @type {HTMLElement|null} */
     var currentPlanBadgeElement = document.getElementById('current-plan-badge');
     /** @type {HTMLElement|null} */
+    var currentPlanCycleElement = document.getElementById('current-plan-cycle');
+    /** @type {HTMLElement|null} */
     var pricingModalElement = document.getElementById('pricing-modal');
     /** @type {HTMLElement|null} */
     var usagePopupElement = document.getElementById('usage-upgrade-popup');
     /** @type {HTMLElement|null} */
     var usagePopupMessageElement = document.getElementById('usage-upgrade-message');
+    /** @type {HTMLElement|null} */
+    var upgradeRequestPanelElement = document.getElementById('upgrade-request-panel');
+    /** @type {HTMLFormElement|null} */
+    var upgradeRequestFormElement = /** @type {HTMLFormElement|null} */ (document.getElementById('upgrade-request-form'));
+    /** @type {HTMLElement|null} */
+    var upgradeRequestConfirmationElement = document.getElementById('upgrade-request-confirmation');
+    /** @type {HTMLElement|null} */
+    var upgradeRequestMessageElement = document.getElementById('upgrade-request-message');
+    /** @type {HTMLAnchorElement|null} */
+    var upgradeRequestWhatsappLinkElement = /** @type {HTMLAnchorElement|null} */ (document.getElementById('upgrade-request-whatsapp-link'));
+    /** @type {HTMLElement|null} */
+    var upgradeRequestBadgeElement = document.getElementById('upgrade-request-badge');
 
     /** @type {boolean} */
     var hasInitialized = false;
     /** @type {'warning'|'critical'|'over'|null} */
     var currentPopupLevel = null;
+    /** @type {PlanDefinition|null} */
+    var requestedPlan = null;
+    /** @type {boolean} */
+    var isSubmittingUpgradeRequest = false;
 
     var POPUP_DISMISS_STORAGE_KEY = 'dashboard_upgrade_popup_dismissed_level';
 
@@ -64,6 +86,16 @@ var PricingModule = (function () {
                     dismissUsagePopup();
                     return;
                 }
+
+                if (actionName === 'open-upgrade-request') {
+                    openUpgradeRequest(actionElement.getAttribute('data-plan-key') || '');
+                    return;
+                }
+
+                if (actionName === 'cancel-upgrade-request') {
+                    showPlansGrid();
+                    return;
+                }
             }
 
             if (pricingModalElement !== null && target === pricingModalElement) {
@@ -76,13 +108,28 @@ var PricingModule = (function () {
                 closePricingModal();
             }
         });
+
+        if (upgradeRequestFormElement !== null) {
+            upgradeRequestFormElement.addEventListener('submit', handleUpgradeRequestSubmit);
+        }
     }
 
     /**
      * @returns {PlanDefinition|null}
      */
     function getCurrentPlan() {
-        return getPlanByKey(AppConfig.BILLING.CURRENT_PLAN_KEY);
+        return BillingService.getCurrentPlan();
+    }
+
+    /**
+     * Loads the server plan catalog and re-renders the plan CTA with it.
+     *
+     * @returns {Promise<void>}
+     */
+    async function loadPlanCatalog() {
+        if (await BillingService.loadPlanCatalog()) {
+            renderPlansCta();
+        }
     }
 
     function renderPlansCta() {
@@ -91,30 +138,35 @@ var PricingModule = (function () {
             return;
         }
 
-        var recommendedPlan = getRecommendedPlan() || currentPlan;
+        var recommendedPlan = BillingService.getRecommendedPlan(currentPlan);
 
         updateCurrentPlanBadge(currentPlan);
+        updateUpgradeRequestBadge();
         renderUpgradeBanner(currentPlan, recommendedPlan);
         renderPlansGrid(currentPlan, recommendedPlan);
     }
 
     /**
-     * @param {number|string} usedMinutesValue
+     * Shows the upgrade popup when usage passes 80% of the plan, or earlier when the
+     * forecast says the plan will run out before the end of the cycle.
+     *
+     * @param {UsageForecastResult|null} usageForecast - Forecast from UsageModule.
      */
-    function updateUsageStatus(usedMinutesValue) {
-        var currentPlan = getCurrentPlan();
-        if (currentPlan === null || usagePopupElement === null || usagePopupMessageElement === null) {
+    function updateUsageStatus(usageForecast) {
+        if (usagePopupElement === null || usagePopupMessageElement === null) {
             return;
         }
 
-        var usedMinutes = parseFloat(String(usedMinutesValue));
-        if (isNaN(usedMinutes) || usedMinutes <= 0) {
+        if (usageForecast === null || !PermissionService.can('billing.upgrade')) {
             hideUsagePopup();
             return;
         }
 
-        var ratio = usedMinutes / currentPlan.minutesIncluded;
-        if (ratio < 0.8) {
+        var usedMinutes = usageForecast.usedMinutes;
+        var ratio = usedMinutes / usageForecast.minutesIncluded;
+        var isOverrunForecast = usageForecast.projectedRatio >= 1;
+
+        if ((usedMinutes <= 0 || ratio < 0.8) && !isOverrunForecast) {
             hideUsagePopup();
             return;
         }
@@ -122,7 +174,7 @@ var PricingModule = (function () {
         var popupLevel = getPopupLevel(ratio);
         var dismissedLevel = getDismissedPopupLevel();
 
-        if (dismissedLevel === popupLevel) {
+        if (dismissedLevel === buildDismissedValue(popupLevel)) {
             return;
         }
 
@@ -130,10 +182,14 @@ var PricingModule = (function () {
 
         var usedRounded = Math.round(usedMinutes);
         var percentText = Math.round(ratio * 100) + '%';
-        var minutesRemaining = Math.max(0, Math.round(currentPlan.minutesIncluded - usedRounded));
+        var minutesRemaining = Math.max(0, Math.round(usageForecast.minutesIncluded - usedRounded));
 
         var message = '';
-        if (popupLevel === 'warning') {
+        if (ratio < 0.8) {
+            message =
+                'Al ritmo actual (' + Math.round(usageForecast.dailyRate).toLocaleString('es-ES') + ' min/dia) ' +
+                'agotaras los minutos de tu plan antes de que termine el ciclo.';
+        } else if (popupLevel === 'warning') {
             message =
                 'Ya consumiste ' + percentText + ' de tu plan (' + usedRounded.toLocaleString('es-ES') + ' min). ' +
                 'Te quedan ' + minutesRemaining.toLocaleString('es-ES') + ' min. ⬆ Mejorar ahora evita fricciones.';
@@ -146,17 +202,43 @@ var PricingModule = (function () {
                 'Superaste los minutos incluidos de tu plan. Mejora hoy para obtener mas capacidad y prioridad de soporte.';
         }
 
-        usagePopupMessageElement.textContent = message;
+        usagePopupMessageElement.textContent = message + describeForecast(usageForecast);
         usagePopupElement.classList.remove('is-hidden', 'usage-upgrade-popup--warning', 'usage-upgrade-popup--critical', 'usage-upgrade-popup--over');
         usagePopupElement.classList.add('usage-upgrade-popup--' + popupLevel);
     }
 
+    /**
+     * @param {UsageForecastResult} usageForecast
+     * @returns {string} Limit date and overage estimate, or empty when no overrun is expected.
+     */
+    function describeForecast(usageForecast) {
+        if (usageForecast.projectedOverageMinutes <= 0) {
+            return '';
+        }
+
+        var forecastText = '';
+        if (usageForecast.limitReachedAt !== null) {
+            forecastText += ' Limite previsto: ' +
+                usageForecast.limitReachedAt.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' }) + '.';
+        }
+
+        forecastText += ' Exceso estimado al cierre del ciclo: ' +
+            Math.round(usageForecast.projectedOverageMinutes).toLocaleString('es-ES') + ' min';
+
+        if (usageForecast.estimatedOverageCost > 0) {
+            forecastText += ' (' + BillingService.formatAmount(usageForecast.estimatedOverageCost) + ')';
+        }
+
+        return forecastText + '.';
+    }
+
     function openPricingModal() {
-        if (pricingModalElement === null) {
+        if (pricingModalElement === null || !PermissionService.can('billing.upgrade')) {
             return;
         }
 
         renderPlansCta();
+        showPlansGrid();
         pricingModalElement.classList.remove('is-hidden');
         pricingModalElement.style.display = 'flex';
         document.body.style.overflow = 'hidden';
@@ -174,7 +256,7 @@ var PricingModule = (function () {
 
     function dismissUsagePopup() {
         if (currentPopupLevel !== null) {
-            sessionStorage.setItem(POPUP_DISMISS_STORAGE_KEY, currentPopupLevel);
+            sessionStorage.setItem(POPUP_DISMISS_STORAGE_KEY, buildDismissedValue(currentPopupLevel));
         }
         hideUsagePopup();
     }
@@ -205,6 +287,16 @@ var PricingModule = (function () {
         return 'warning';
     }
 
+    /**
+     * A dismissal only holds for the billing cycle it happened in; the new cycle starts from zero.
+     *
+     * @param {string} popupLevel
+     * @returns {string}
+     */
+    function buildDismissedValue(popupLevel) {
+        return popupLevel + '@' + BillingService.getCurrentCycle().start.getTime();
+    }
+
     /**
      * @returns {string|null}
      */
@@ -216,39 +308,21 @@ var PricingModule = (function () {
         }
     }
 
-    /**
-     * @returns {PlanDefinition|null}
-     */
-    function getRecommendedPlan() {
-        return getPlanByKey(AppConfig.BILLING.RECOMMENDED_PLAN_KEY);
-    }
-
-    /**
-     * @param {PlanKey} planKey
-     * @returns {PlanDefinition|null}
-     */
-    function getPlanByKey(planKey) {
-        /** @type {PlanDefinition[]} */
-        var plans = Array.isArray(AppConfig.BILLING.PLANS) ? AppConfig.BILLING.PLANS : [];
-
-        for (var i = 0; i < plans.length; i++) {
-            if (plans[i].key === planKey) {
-                return plans[i];
-            }
-        }
-
-        return plans.length > 0 ? plans[0] : null;
-    }
-
     /**
      * @param {PlanDefinition} currentPlan
      */
     function updateCurrentPlanBadge(currentPlan) {
-        if (currentPlanBadgeElement === null) {
+        if (currentPlanBadgeElement !== null) {
+            currentPlanBadgeElement.textContent = 'Plan actual: ' + currentPlan.displayName;
+        }
+
+        if (currentPlanCycleElement === null) {
             return;
         }
 
-        currentPlanBadgeElement.textContent = 'Plan actual: ' + currentPlan.displayName;
+        currentPlanCycleElement.textContent =
+            currentPlan.minutesIncluded.toLocaleString('es-ES') + ' min incluidos · Ciclo ' +
+            BillingService.describeCycle(BillingService.getCurrentCycle());
     }
 
     /**
@@ -279,8 +353,7 @@ var PricingModule = (function () {
 
         plansGridElement.innerHTML = '';
 
-        /** @type {PlanDefinition[]} */
-        var plans = Array.isArray(AppConfig.BILLING.PLANS) ? AppConfig.BILLING.PLANS : [];
+        var plans = BillingService.getPlans();
 
         for (var i = 0; i < plans.length; i++) {
             var plan = plans[i];
@@ -377,6 +450,31 @@ var PricingModule = (function () {
             return currentButton;
         }
 
+        var pendingRequest = BillingService.getPendingUpgradeRequest();
+        if (pendingRequest !== null && pendingRequest.targetPlanKey === targetPlan.key) {
+            var pendingButton = document.createElement('button');
+            pendingButton.type = 'button';
+            pendingButton.className = 'plan-cta-btn plan-cta-btn--current';
+            pendingButton.disabled = true;
+            pendingButton.setAttribute('aria-disabled', 'true');
+            pendingButton.textContent = 'Solicitud pendiente';
+            return pendingButton;
+        }
+
+        if (BillingService.isUpgradeRequestEnabled()) {
+            var requestButton = document.createElement('button');
+            requestButton.type = 'button';
+            requestButton.className = 'plan-cta-btn';
+            requestButton.setAttribute('data-action', 'open-upgrade-request');
+            requestButton.setAttribute('data-plan-key', targetPlan.key);
+            requestButton.textContent = 'Mejorar a ' + targetPlan.displayName;
+            requestButton.setAttribute(
+                'aria-label',
+                'Solicitar el cambio del plan ' + currentPlan.displayName + ' al plan ' + targetPlan.displayName
+            );
+            return requestButton;
+        }
+
         var link = document.createElement('a');
         link.className = 'plan-cta-btn';
         link.href = buildWhatsappUpgradeLink(currentPlan, targetPlan);
@@ -406,14 +504,209 @@ var PricingModule = (function () {
             'Usuario: ' + username + '\n' +
             'Plan actual: ' + currentPlan.displayName + '\n' +
             'Plan objetivo: ' + targetPlan.displayName + '\n' +
+            describeUsageForWhatsapp() +
             'Me interesa activar el upgrade cuanto antes.';
 
         return baseUrl + whatsappNumber + '?text=' + encodeURIComponent(message);
     }
 
+    /**
+     * @returns {string} Cycle usage line for the WhatsApp message, empty until usage is known.
+     */
+    function describeUsageForWhatsapp() {
+        var usageSnapshot = UsageModule.getUsageSnapshot();
+        if (usageSnapshot === null) {
+            return '';
+        }
+
+        return 'Consumo del ciclo: ' + Math.round(usageSnapshot.usedMinutes).toLocaleString('es-ES') + ' de ' +
+            usageSnapshot.minutesIncluded.toLocaleString('es-ES') + ' min\n';
+    }
+
+    /**
+     * Replaces the plan cards with the request form for the chosen plan.
+     *
+     * @param {string} planKey - Key of the requested plan.
+     */
+    function openUpgradeRequest(planKey) {
+        var targetPlan = BillingService.findPlan(planKey);
+        var currentPlan = getCurrentPlan();
+        if (targetPlan === null || currentPlan === null || !PermissionService.can('billing.upgrade')) {
+            return;
+        }
+
+        requestedPlan = targetPlan;
+        DomHelper.setTextContent(
+            'upgrade-request-summary',
+            'Solicitud de cambio de ' + currentPlan.displayName + ' a ' + targetPlan.displayName +
+            ' (' + targetPlan.minutesIncluded.toLocaleString('es-ES') + ' min incluidos, ' +
+            targetPlan.priceLabel + targetPlan.periodLabel + ').'
+        );
+
+        if (upgradeRequestFormElement !== null) {
+            upgradeRequestFormElement.reset();
+        }
+        hideUpgradeRequestMessage();
+        toggleElement(upgradeRequestFormElement, true);
+        toggleElement(upgradeRequestConfirmationElement, false);
+        toggleElement(plansGridElement, false);
+        toggleElement(upgradeRequestPanelElement, true);
+    }
+
+    function showPlansGrid() {
+        requestedPlan = null;
+        toggleElement(upgradeRequestPanelElement, false);
+        toggleElement(plansGridElement, true);
+    }
+
+    /**
+     * @param {SubmitEvent} submitEvent
+     */
+    async function handleUpgradeRequestSubmit(submitEvent) {
+        submitEvent.preventDefault();
+
+        var targetPlan = requestedPlan;
+        var currentPlan = getCurrentPlan();
+        if (targetPlan === null || currentPlan === null || upgradeRequestFormElement === null || isSubmittingUpgradeRequest) {
+            return;
+        }
+
+        var formData = new FormData(upgradeRequestFormElement);
+        /** @type {UpgradeChannel} */
+        var channel = formData.get('upgrade-channel') === 'whatsapp' ? 'whatsapp' : 'request';
+        var notes = String(formData.get('upgrade-request-notes') || '').trim();
+        var whatsappLink = buildWhatsappUpgradeLink(currentPlan, targetPlan);
+
+        // Opened before the request so the browser still treats it as a response to the click.
+        // A `noopener` feature would make window.open return null, so the opener is cut by hand.
+        var whatsappWindow = channel === 'whatsapp' ? window.open(whatsappLink, '_blank') : null;
+        if (whatsappWindow !== null) {
+            whatsappWindow.opener = null;
+        }
+
+        /** @type {HTMLButtonElement|null} */
+        var submitButton = /** @type {HTMLButtonElement|null} */ (upgradeRequestFormElement.querySelector('button[type="submit"]'));
+        var originalButtonHtml = submitButton !== null ? submitButton.innerHTML : '';
+        if (submitButton !== null) {
+            submitButton.disabled = true;
+            submitButton.innerHTML = '<span class="loading-spinner"></span> Enviando...';
+        }
+
+        isSubmittingUpgradeRequest = true;
+        hideUpgradeRequestMessage();
+
+        try {
+            var requestResult = await BillingService.submitUpgradeRequest(
+                currentPlan,
+                targetPlan,
+                channel,
+                notes,
+                UsageModule.getUsageSnapshot()
+            );
+
+            if (requestResult.success) {
+                showUpgradeRequestConfirmation(
+                    'Solicitud enviada',
+                    channel === 'whatsapp'
+                        ? 'Hemos registrado tu solicitud para pasar a ' + targetPlan.displayName +
+                            '. Continua la conversacion con el equipo comercial en WhatsApp.'
+                        : 'Hemos recibido tu solicitud para pasar a ' + targetPlan.displayName +
+                            '. El equipo comercial te contactara para confirmar el cambio.',
+                    channel === 'whatsapp' && whatsappWindow === null ? whatsappLink : null
+                );
+                renderPlansCta();
+            } else if (channel === 'whatsapp') {
+                // WhatsApp is already open: the conversation goes ahead even if the request was not recorded
+                console.warn('PricingModule: upgrade request not recorded', requestResult.message);
+                showUpgradeRequestConfirmation(
+                    'Continua en WhatsApp',
+                    'Escribe al equipo comercial por WhatsApp para pasar a ' + targetPlan.displayName + '.',
+                    whatsappWindow === null ? whatsappLink : null
+                );
+            } else {
+                showUpgradeRequestMessage(requestResult.message);
+            }
+        } finally {
+            isSubmittingUpgradeRequest = false;
+            if (submitButton !== null) {
+                submitButton.disabled = false;
+                submitButton.innerHTML = originalButtonHtml;
+            }
+        }
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} text
+     * @param {string|null} whatsappLink - Shown as a button when the browser blocked the WhatsApp window.
+     */
+    function showUpgradeRequestConfirmation(title, text, whatsappLink) {
+        DomHelper.setTextContent('upgrade-request-confirmation-title', title);
+        DomHelper.setTextContent('upgrade-request-confirmation-text', text);
+
+        if (upgradeRequestWhatsappLinkElement !== null) {
+            upgradeRequestWhatsappLinkElement.href = whatsappLink || '#';
+            toggleElement(upgradeRequestWhatsappLinkElement, whatsappLink !== null);
+        }
+
+        toggleElement(upgradeRequestFormElement, false);
+        toggleElement(upgradeRequestConfirmationElement, true);
+    }
+
+    /**
+     * @param {string} message
+     */
+    function showUpgradeRequestMessage(message) {
+        if (upgradeRequestMessageElement === null) {
+            return;
+        }
+
+        upgradeRequestMessageElement.textContent = message;
+        upgradeRequestMessageElement.classList.remove('is-hidden');
+    }
+
+    function hideUpgradeRequestMessage() {
+        if (upgradeRequestMessageElement !== null) {
+            upgradeRequestMessageElement.textContent = '';
+            upgradeRequestMessageElement.classList.add('is-hidden');
+        }
+    }
+
+    function updateUpgradeRequestBadge() {
+        if (upgradeRequestBadgeElement === null) {
+            return;
+        }
+
+        var pendingRequest = BillingService.getPendingUpgradeRequest();
+        if (pendingRequest === null || !PermissionService.can('billing.upgrade')) {
+            upgradeRequestBadgeElement.textContent = '';
+            upgradeRequestBadgeElement.classList.add('is-hidden');
+            return;
+        }
+
+        var targetPlan = BillingService.findPlan(pendingRequest.targetPlanKey);
+
+        upgradeRequestBadgeElement.textContent =
+            'Cambio a ' + (targetPlan !== null ? targetPlan.displayName : pendingRequest.targetPlanKey) + ' pendiente';
+        upgradeRequestBadgeElement.title = 'Solicitado el ' +
+            new Date(pendingRequest.requestedAt).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+        upgradeRequestBadgeElement.classList.remove('is-hidden');
+    }
+
+    /**
+     * @param {HTMLElement|null} element
+     * @param {boolean} isVisible
+     */
+    function toggleElement(element, isVisible) {
+        if (element !== null) {
+            element.classList.toggle('is-hidden', !isVisible);
+        }
+    }
+
     return {
         initialize: initialize,
         renderPlansCta: renderPlansCta,
+        loadPlanCatalog: loadPlanCatalog,
         getCurrentPlan: getCurrentPlan,
         updateUsageStatus: updateUsageStatus,
         openPricingModal: openPricingModal,
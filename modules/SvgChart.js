@@ -0,0 +1,375 @@
+/**
+ * Dependency-free SVG chart component.
+ * Renders line or bar charts with axis labels, legend, and hover tooltip.
+ *
+ * @file SvgChart.js
+ */
+
+/**
+ * @typedef {Object} ChartSeries
+ * @property {string} name
+ * @property {string} color
+ * @property {number[]} values
+ */
+
+/**
+ * @typedef {Object} ChartOptions
+ * @property {'line'|'bar'} [type]
+ * @property {string[]} labels
+ * @property {ChartSeries[]} series
+ * @property {string} [ariaLabel]
+ * @property {(value: number) => string} [valueFormatter]
+ */
+
+var SvgChart = (function () {
+    'use strict';
+
+    var SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    var VIEWBOX_WIDTH = 640;
+    var VIEWBOX_HEIGHT = 240;
+    var PADDING = { top: 16, right: 16, bottom: 32, left: 44 };
+    var Y_TICK_COUNT = 4;
+    var MAX_X_LABELS = 8;
+
+    /**
+     * @param {HTMLElement|null} container
+     * @param {ChartOptions} options
+     */
+    function render(container, options) {
+        if (container === null) {
+            return;
+        }
+
+        clearContainer(container);
+        container.classList.add('svg-chart');
+
+        var labels = options.labels || [];
+        var series = options.series || [];
+        var formatValue = options.valueFormatter || formatDefaultValue;
+
+        if (labels.length === 0 || series.length === 0) {
+            var emptyMessage = document.createElement('p');
+            emptyMessage.className = 'empty';
+            emptyMessage.textContent = 'Sin datos para el periodo seleccionado.';
+            container.appendChild(emptyMessage);
+            return;
+        }
+
+        var maxValue = getNiceMaximum(getMaximumValue(series));
+        var plotWidth = VIEWBOX_WIDTH - PADDING.left - PADDING.right;
+        var plotHeight = VIEWBOX_HEIGHT - PADDING.top - PADDING.bottom;
+        var slotWidth = plotWidth / labels.length;
+
+        var svg = createSvgElement('svg', {
+            viewBox: '0 0 ' + VIEWBOX_WIDTH + ' ' + VIEWBOX_HEIGHT,
+            role: 'img',
+            'aria-label': options.ariaLabel || 'Grafico'
+        });
+        svg.classList.add('svg-chart-canvas');
+
+        appendGrid(svg, maxValue, plotWidth, plotHeight, formatValue);
+        appendXAxisLabels(svg, labels, slotWidth, plotHeight);
+
+        if (options.type === 'bar') {
+            appendBars(svg, series, maxValue, slotWidth, plotHeight);
+        } else {
+            appendLines(svg, series, maxValue, slotWidth, plotHeight);
+        }
+
+        var tooltip = document.createElement('div');
+        tooltip.className = 'svg-chart-tooltip is-hidden';
+
+        appendHoverTargets(svg, labels, series, slotWidth, plotHeight, tooltip, formatValue);
+
+        container.appendChild(svg);
+        container.appendChild(tooltip);
+        container.appendChild(buildLegend(series));
+    }
+
+    /**
+     * @param {SVGElement} svg
+     * @param {number} maxValue
+     * @param {number} plotWidth
+     * @param {number} plotHeight
+     * @param {(value: number) => string} formatValue
+     */
+    function appendGrid(svg, maxValue, plotWidth, plotHeight, formatValue) {
+        for (var tick = 0; tick <= Y_TICK_COUNT; tick++) {
+            var tickValue = (maxValue / Y_TICK_COUNT) * tick;
+            var y = PADDING.top + plotHeight - (tickValue / maxValue) * plotHeight;
+
+            svg.appendChild(createSvgElement('line', {
+                x1: PADDING.left,
+                x2: PADDING.left + plotWidth,
+                y1: y,
+                y2: y,
+                class: 'svg-chart-gridline'
+            }));
+
+            var label = createSvgElement('text', {
+                x: PADDING.left - 6,
+                y: y + 4,
+                'text-anchor': 'end',
+                class: 'svg-chart-axis-label'
+            });
+            label.textContent = formatValue(tickValue);
+            svg.appendChild(label);
+        }
+    }
+
+    /**
+     * @param {SVGElement} svg
+     * @param {string[]} labels
+     * @param {number} slotWidth
+     * @param {number} plotHeight
+     */
+    function appendXAxisLabels(svg, labels, slotWidth, plotHeight) {
+        var step = Math.max(1, Math.ceil(labels.length / MAX_X_LABELS));
+
+        for (var i = 0; i < labels.length; i += step) {
+            var label = createSvgElement('text', {
+                x: PADDING.left + slotWidth * i + slotWidth / 2,
+                y: PADDING.top + plotHeight + 20,
+                'text-anchor': 'middle',
+                class: 'svg-chart-axis-label'
+            });
+            label.textContent = labels[i];
+            svg.appendChild(label);
+        }
+    }
+
+    /**
+     * @param {SVGElement} svg
+     * @param {ChartSeries[]} series
+     * @param {number} maxValue
+     * @param {number} slotWidth
+     * @param {number} plotHeight
+     */
+    function appendLines(svg, series, maxValue, slotWidth, plotHeight) {
+        series.forEach(function (currentSeries) {
+            var points = currentSeries.values.map(function (value, index) {
+                var x = PADDING.left + slotWidth * index + slotWidth / 2;
+                var y = PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+                return x.toFixed(1) + ',' + y.toFixed(1);
+            });
+
+            svg.appendChild(createSvgElement('polyline', {
+                points: points.join(' '),
+                fill: 'none',
+                stroke: currentSeries.color,
+                'stroke-width': 2,
+                'stroke-linejoin': 'round'
+            }));
+        });
+    }
+
+    /**
+     * @param {SVGElement} svg
+     * @param {ChartSeries[]} series
+     * @param {number} maxValue
+     * @param {number} slotWidth
+     * @param {number} plotHeight
+     */
+    function appendBars(svg, series, maxValue, slotWidth, plotHeight) {
+        var groupPadding = slotWidth * 0.15;
+        var barWidth = (slotWidth - groupPadding * 2) / series.length;
+
+        series.forEach(function (currentSeries, seriesIndex) {
+            currentSeries.values.forEach(function (value, index) {
+                var barHeight = (value / maxValue) * plotHeight;
+
+                svg.appendChild(createSvgElement('rect', {
+                    x: PADDING.left + slotWidth * index + groupPadding + barWidth * seriesIndex,
+                    y: PADDING.top + plotHeight - barHeight,
+                    width: Math.max(1, barWidth - 1),
+                    height: barHeight,
+                    fill: currentSeries.color,
+                    rx: 2
+                }));
+            });
+        });
+    }
+
+    /**
+     * Adds one transparent column per label that drives the tooltip.
+     *
+     * @param {SVGElement} svg
+     * @param {string[]} labels
+     * @param {ChartSeries[]} series
+     * @param {number} slotWidth
+     * @param {number} plotHeight
+     * @param {HTMLElement} tooltip
+     * @param {(value: number) => string} formatValue
+     */
+    function appendHoverTargets(svg, labels, series, slotWidth, plotHeight, tooltip, formatValue) {
+        var highlight = createSvgElement('rect', {
+            y: PADDING.top,
+            width: slotWidth,
+            height: plotHeight,
+            class: 'svg-chart-highlight'
+        });
+        highlight.style.display = 'none';
+        svg.appendChild(highlight);
+
+        labels.forEach(function (label, index) {
+            var slotX = PADDING.left + slotWidth * index;
+            var target = createSvgElement('rect', {
+                x: slotX,
+                y: PADDING.top,
+                width: slotWidth,
+                height: plotHeight,
+                fill: 'transparent'
+            });
+
+            target.addEventListener('mouseenter', function () {
+                highlight.setAttribute('x', String(slotX));
+                highlight.style.display = '';
+                showTooltip(tooltip, label, series, index, (slotX + slotWidth / 2) / VIEWBOX_WIDTH, formatValue);
+            });
+
+            target.addEventListener('mouseleave', function () {
+                highlight.style.display = 'none';
+                tooltip.classList.add('is-hidden');
+            });
+
+            svg.appendChild(target);
+        });
+    }
+
+    /**
+     * @param {HTMLElement} tooltip
+     * @param {string} label
+     * @param {ChartSeries[]} series
+     * @param {number} index
+     * @param {number} horizontalRatio
+     * @param {(value: number) => string} formatValue
+     */
+    function showTooltip(tooltip, label, series, index, horizontalRatio, formatValue) {
+        clearContainer(tooltip);
+
+        var title = document.createElement('strong');
+        title.textContent = label;
+        tooltip.appendChild(title);
+
+        series.forEach(function (currentSeries) {
+            var row = document.createElement('div');
+            row.className = 'svg-chart-tooltip-row';
+
+            var swatch = document.createElement('span');
+            swatch.className = 'svg-chart-swatch';
+            swatch.style.background = currentSeries.color;
+            row.appendChild(swatch);
+
+            row.appendChild(document.createTextNode(
+                currentSeries.name + ': ' + formatValue(currentSeries.values[index] || 0)
+            ));
+            tooltip.appendChild(row);
+        });
+
+        tooltip.style.left = (horizontalRatio * 100).toFixed(2) + '%';
+        tooltip.classList.toggle('svg-chart-tooltip--left', horizontalRatio > 0.7);
+        tooltip.classList.remove('is-hidden');
+    }
+
+    /**
+     * @param {ChartSeries[]} series
+     * @returns {HTMLElement}
+     */
+    function buildLegend(series) {
+        var legend = document.createElement('ul');
+        legend.className = 'svg-chart-legend';
+
+        series.forEach(function (currentSeries) {
+            var item = document.createElement('li');
+
+            var swatch = document.createElement('span');
+            swatch.className = 'svg-chart-swatch';
+            swatch.style.background = currentSeries.color;
+            item.appendChild(swatch);
+
+            item.appendChild(document.createTextNode(currentSeries.name));
+            legend.appendChild(item);
+        });
+
+        return legend;
+    }
+
+    /**
+     * @param {ChartSeries[]} series
+     * @returns {number}
+     */
+    function getMaximumValue(series) {
+        var maxValue = 0;
+
+        series.forEach(function (currentSeries) {
+            currentSeries.values.forEach(function (value) {
+                if (value > maxValue) {
+                    maxValue = value;
+                }
+            });
+        });
+
+        return maxValue;
+    }
+
+    /**
+     * Rounds the axis maximum up to 1, 2, 5 or 10 times a power of ten.
+     *
+     * @param {number} value
+     * @returns {number}
+     */
+    function getNiceMaximum(value) {
+        if (value <= 0) {
+            return Y_TICK_COUNT;
+        }
+
+        var magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        var normalized = value / magnitude;
+        var niceSteps = [1, 2, 5, 10];
+
+        for (var i = 0; i < niceSteps.length; i++) {
+            if (normalized <= niceSteps[i]) {
+                return niceSteps[i] * magnitude;
+            }
+        }
+
+        return 10 * magnitude;
+    }
+
+    /**
+     * @param {number} value
+     * @returns {string}
+     */
+    function formatDefaultValue(value) {
+        return Math.round(value).toLocaleString('es-ES');
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {{ [key: string]: string|number }} attributes
+     * @returns {SVGElement}
+     */
+    function createSvgElement(tagName, attributes) {
+        var element = /** @type {SVGElement} */ (document.createElementNS(SVG_NAMESPACE, tagName));
+
+        Object.keys(attributes).forEach(function (attributeName) {
+            element.setAttribute(attributeName, String(attributes[attributeName]));
+        });
+
+        return element;
+    }
+
+    /**
+     * @param {Element} element
+     */
+    function clearContainer(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    }
+
+    return {
+        render: render
+    };
+})();
@@ -1,6 +1,7 @@
 ﻿/**
  * Tab navigation module.
  * Handles dashboard tab switches and high-level actions.
+ * The active tab is kept in the URL hash (`#llamadas`, `#whatsapp`) so reloads and shared links reopen it.
  *
  * @file TabsModule.js
  */
@@ -8,8 +9,12 @@
 var TabsModule = (function () {
     'use strict';
 
+    var DEFAULT_TAB = 'resumen';
+
     /** @type {boolean} */
     var hasInitialized = false;
+    /** @type {string} */
+    var activeTabName = DEFAULT_TAB;
 
     function initialize() {
         if (hasInitialized) {
@@ -24,6 +29,39 @@ var TabsModule = (function () {
         }
 
         document.addEventListener('click', handleGlobalActionClick);
+        window.addEventListener('hashchange', handleHashChange);
+
+        // Only the view is restored here: the session is not known yet, data loads in loadActiveTab.
+        var restoredTab = readTabFromHash();
+        if (restoredTab !== null) {
+            activateTab(restoredTab);
+        }
+    }
+
+    /**
+     * Loads the data of the active tab. Called once the dashboard is entered.
+     */
+    function loadActiveTab() {
+        loadTabData(activeTabName);
+    }
+
+    function handleHashChange() {
+        var tabName = readTabFromHash() || DEFAULT_TAB;
+        if (tabName !== activeTabName && SessionManager.isSessionValid()) {
+            switchTab(tabName, null);
+        }
+    }
+
+    /**
+     * @returns {string|null} Tab named in the URL hash, or null when it is missing or unknown.
+     */
+    function readTabFromHash() {
+        var tabName = window.location.hash.replace(/^#/, '');
+        if (!tabName || document.getElementById('tab-' + tabName) === null) {
+            return null;
+        }
+
+        return tabName;
     }
 
     /**
@@ -75,17 +113,42 @@ var TabsModule = (function () {
             return;
         }
 
+        if (actionName === 'open-calls-tab') {
+            event.preventDefault();
+            switchTab('llamadas', null);
+            return;
+        }
+
         if (actionName === 'refresh-dashboard') {
             event.preventDefault();
+            ApiClient.invalidateCache();
             DashboardModule.loadDashboardData();
+
+            if (activeTabName === 'llamadas') {
+                CallsModule.loadCallHistory();
+            }
+
+            if (activeTabName === 'whatsapp') {
+                WhatsappModule.loadConversations();
+            }
         }
     }
 
     /**
      * @param {string} tabName
-     * @param {HTMLElement} clickedElement
+     * @param {HTMLElement|null} clickedElement - Nav link to highlight. Null looks it up by tab name.
      */
     function switchTab(tabName, clickedElement) {
+        activateTab(tabName, clickedElement);
+        writeTabToHash(tabName);
+        loadTabData(tabName);
+    }
+
+    /**
+     * @param {string} tabName
+     * @param {HTMLElement|null} [navigationLink]
+     */
+    function activateTab(tabName, navigationLink) {
         var allTabs = document.querySelectorAll('.tab-content');
         allTabs.forEach(function (tab) {
             tab.classList.remove('active');
@@ -96,22 +159,56 @@ var TabsModule = (function () {
             link.classList.remove('active');
         });
 
+        activeTabName = tabName;
+
         var selectedTab = document.getElementById('tab-' + tabName);
         if (selectedTab !== null) {
             selectedTab.classList.add('active');
         }
 
-        if (clickedElement !== null) {
-            clickedElement.classList.add('active');
+        var activeLink = navigationLink || document.querySelector('.sidebar nav .nav-link[data-tab="' + tabName + '"]');
+        if (activeLink !== null) {
+            activeLink.classList.add('active');
+        }
+    }
+
+    /**
+     * @param {string} tabName
+     */
+    function writeTabToHash(tabName) {
+        var hash = tabName === DEFAULT_TAB ? '' : '#' + tabName;
+        if (window.location.hash === hash) {
+            return;
         }
 
+        // replaceState keeps the filters in the query string and does not fire hashchange.
+        window.history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+    }
+
+    /**
+     * @param {string} tabName
+     */
+    function loadTabData(tabName) {
         if (tabName === 'llamadas') {
             CallsModule.loadCallHistory();
         }
+
+        if (tabName === 'whatsapp') {
+            WhatsappModule.loadConversations();
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    function getActiveTab() {
+        return activeTabName;
     }
 
     return {
         initialize: initialize,
-        switchTab: switchTab
+        switchTab: switchTab,
+        loadActiveTab: loadActiveTab,
+        getActiveTab: getActiveTab
     };
 })();
@@ -8,6 +8,12 @@
 var TranscriptFormatter = (function () {
     'use strict';
 
+    // Roles de Retell (y su nombre anterior "function_call") para eventos de herramientas
+    var TOOL_INVOCATION_ROLES = ['tool_call_invocation', 'function_call_invocation'];
+    var TOOL_RESULT_ROLES = ['tool_call_result', 'function_call_result'];
+    // Eventos de Retell sin texto hablado que no deben mostrarse como intervención
+    var IGNORED_ROLES = ['node_transition', 'dtmf'];
+
     /**
      * Formatea una transcripción como conversación con mensajes intercalados.
      * Soporta múltiples formatos:
@@ -21,58 +27,151 @@ var TranscriptFormatter = (function () {
     function format(transcript) {
         if (!transcript) return '';
 
-        /** @type {Array<{speaker: string, text: string}>} */
-        var messages = [];
+        var parsed = parse(transcript);
+
+        // Si no se detectaron mensajes, mostrar texto plano formateado
+        if (parsed.messages.length === 0) {
+            return '<div class="transcript-plain">' + escapeHtml(parsed.rawText) + '</div>';
+        }
+
+        // Generar HTML de conversación
+        return generateConversationHtml(parsed.entries);
+    }
+
+    /**
+     * Convierte una transcripción en texto plano de una línea por intervención.
+     * Usa las mismas etiquetas que la vista de conversación (Chatbot / Cliente).
+     * 
+     * @param {string|Array<any>|Object} transcript - Transcripción en varios formatos.
+     * @returns {string} Texto plano con formato "Hablante: mensaje".
+     */
+    function toPlainText(transcript) {
+        if (!transcript) return '';
+
+        var parsed = parse(transcript);
+
+        if (parsed.messages.length === 0) {
+            return parsed.rawText.trim();
+        }
+
+        return parsed.messages.map(function (msg) {
+            return getSpeakerLabel(msg.speaker) + ': ' + msg.text;
+        }).join('\n');
+    }
 
-        // CASO 1: Si es un array de objetos (formato Retell)
-        if (Array.isArray(transcript)) {
-            messages = parseRetellArray(transcript);
+    /**
+     * Convierte una transcripción en un modelo estructurado.
+     * Es la base del renderizado HTML y sirve para exportaciones, búsquedas o análisis.
+     * 
+     * @param {string|Array<any>|Object} transcript - Transcripción en varios formatos.
+     * @returns {ParsedTranscript} Entradas normalizadas y formato detectado.
+     */
+    function parse(transcript) {
+        if (!transcript) {
+            return buildParsedTranscript('empty', [], '');
         }
+
+        var rawText = typeof transcript === 'string' ? transcript : JSON.stringify(transcript);
+
+        // CASO 1: Array u objeto de Retell ya deserializado
+        var retellArray = findRetellArray(transcript);
+
         // CASO 2: Si es un string que parece JSON, intentar parsearlo
-        else if (typeof transcript === 'string') {
+        if (retellArray === null && typeof transcript === 'string') {
             var trimmed = transcript.trim();
 
-            // Intentar parsear como JSON
             if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
                 try {
-                    var parsed = JSON.parse(trimmed);
-                    if (Array.isArray(parsed)) {
-                        messages = parseRetellArray(parsed);
-                    } else if (parsed.transcript && Array.isArray(parsed.transcript)) {
-                        messages = parseRetellArray(parsed.transcript);
-                    }
+                    retellArray = findRetellArray(JSON.parse(trimmed));
                 } catch (e) {
                     // No es JSON válido, continuar con parsing de texto
                 }
             }
+        }
 
-            // Si no se obtuvieron mensajes del JSON, intentar parsing de texto
-            if (messages.length === 0) {
-                messages = parseTextTranscript(trimmed);
+        if (retellArray !== null) {
+            var retellEntries = parseRetellArray(retellArray);
+            if (retellEntries.length > 0) {
+                return buildParsedTranscript('retell', retellEntries, rawText);
             }
         }
 
-        // Si no se detectaron mensajes, mostrar texto plano formateado
-        if (messages.length === 0) {
-            var plainText = typeof transcript === 'string' ? transcript : JSON.stringify(transcript);
-            return '<div class="transcript-plain">' + escapeHtml(plainText) + '</div>';
+        // CASO 3: Texto con prefijos de hablante
+        if (typeof transcript === 'string') {
+            var textEntries = parseTextTranscript(transcript.trim());
+            if (textEntries.length > 0) {
+                return buildParsedTranscript('text', textEntries, rawText);
+            }
         }
 
-        // Generar HTML de conversación
-        return generateConversationHtml(messages);
+        return buildParsedTranscript('plain', [], rawText);
+    }
+
+    /**
+     * Localiza el array de entradas de Retell en un valor ya deserializado.
+     * 
+     * @param {any} value - Array de Retell u objeto con la propiedad `transcript`.
+     * @returns {Array<any>|null} Array de entradas o null si no tiene formato Retell.
+     */
+    function findRetellArray(value) {
+        if (Array.isArray(value)) {
+            return value;
+        }
+
+        if (value && typeof value === 'object' && Array.isArray(value.transcript)) {
+            return value.transcript;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {ParsedTranscript['format']} transcriptFormat - Formato detectado.
+     * @param {TranscriptEntry[]} entries - Entradas en orden.
+     * @param {string} rawText - Transcripción original como texto.
+     * @returns {ParsedTranscript} Modelo estructurado.
+     */
+    function buildParsedTranscript(transcriptFormat, entries, rawText) {
+        /** @type {TranscriptMessage[]} */
+        var messages = [];
+        /** @type {TranscriptToolCall[]} */
+        var toolCalls = [];
+
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            if (entry.type === 'message') {
+                messages.push(entry);
+            } else {
+                toolCalls.push(entry);
+            }
+        }
+
+        return {
+            format: transcriptFormat,
+            entries: entries,
+            messages: messages,
+            toolCalls: toolCalls,
+            rawText: rawText
+        };
     }
 
     /**
      * Parsea un array de objetos de Retell.
+     * Las invocaciones de herramientas se enlazan con su resultado mediante `tool_call_id`.
      * 
      * @param {Array<any>} transcriptArray - Array de objetos de transcripción.
-     * @returns {Array<{speaker: string, text: string}>} Array de mensajes parseados.
+     * @returns {TranscriptEntry[]} Array de entradas parseadas.
      */
     function parseRetellArray(transcriptArray) {
-        var messages = [];
+        /** @type {TranscriptEntry[]} */
+        var entries = [];
+        /** @type {{ [toolCallId: string]: TranscriptToolCall }} */
+        var toolCallsById = {};
 
         for (var i = 0; i < transcriptArray.length; i++) {
             var item = transcriptArray[i];
+            if (!item || typeof item !== 'object') continue;
+
             var speaker = '';
             var text = '';
 
@@ -85,6 +184,31 @@ var TranscriptFormatter = (function () {
                 speaker = item.type.toLowerCase();
             }
 
+            if (TOOL_INVOCATION_ROLES.indexOf(speaker) !== -1) {
+                var toolCall = createToolCall(item);
+                toolCall.name = typeof item.name === 'string' ? item.name : '';
+                toolCall.arguments = stringifyToolValue(item.arguments);
+                if (toolCall.toolCallId) {
+                    toolCallsById[toolCall.toolCallId] = toolCall;
+                }
+                entries.push(toolCall);
+                continue;
+            }
+
+            if (TOOL_RESULT_ROLES.indexOf(speaker) !== -1) {
+                var invocation = item.tool_call_id ? toolCallsById[String(item.tool_call_id)] : undefined;
+                if (invocation) {
+                    invocation.result = stringifyToolValue(item.content);
+                } else {
+                    var orphanResult = createToolCall(item);
+                    orphanResult.result = stringifyToolValue(item.content);
+                    entries.push(orphanResult);
+                }
+                continue;
+            }
+
+            if (IGNORED_ROLES.indexOf(speaker) !== -1) continue;
+
             // Detectar el campo del texto
             if (item.content) {
                 text = item.content;
@@ -97,24 +221,86 @@ var TranscriptFormatter = (function () {
                 text = item.words.map(/** @param {any} w */ function (w) { return w.word || w; }).join(' ');
             }
 
-            if (text && text.trim()) {
-                messages.push({
+            if (typeof text === 'string' && text.trim()) {
+                /** @type {TranscriptMessage} */
+                var message = {
+                    type: 'message',
                     speaker: normalizeRole(speaker),
                     text: text.trim()
-                });
+                };
+
+                // Conservar los tiempos por palabra de Retell para la reproduccion sincronizada
+                var timedWords = parseTimedWords(item.words);
+                if (timedWords.length > 0) {
+                    message.words = timedWords;
+                    message.start = typeof item.start === 'number' ? item.start : timedWords[0].start;
+                    message.end = typeof item.end === 'number' ? item.end : timedWords[timedWords.length - 1].end;
+                }
+
+                entries.push(message);
             }
         }
 
-        return messages;
+        return entries;
+    }
+
+    /**
+     * @param {any} item - Elemento de Retell de invocación o resultado.
+     * @returns {TranscriptToolCall} Entrada de herramienta vacía.
+     */
+    function createToolCall(item) {
+        return {
+            type: 'tool_call',
+            toolCallId: item.tool_call_id ? String(item.tool_call_id) : '',
+            name: '',
+            arguments: '',
+            result: null
+        };
+    }
+
+    /**
+     * Convierte argumentos o resultados de herramientas a texto.
+     * 
+     * @param {any} value - Valor original (texto JSON u objeto).
+     * @returns {string} Valor como texto.
+     */
+    function stringifyToolValue(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    /**
+     * Extrae las palabras con tiempos (en segundos) de un elemento de Retell.
+     * Las palabras sin tiempos numericos se descartan.
+     * 
+     * @param {any} words - Array `words` del elemento de Retell.
+     * @returns {TranscriptWord[]} Palabras con inicio y fin.
+     */
+    function parseTimedWords(words) {
+        if (!Array.isArray(words)) return [];
+
+        /** @type {TranscriptWord[]} */
+        var timedWords = [];
+
+        for (var i = 0; i < words.length; i++) {
+            var w = words[i];
+            if (w && typeof w.word === 'string' && w.word.trim() &&
+                typeof w.start === 'number' && typeof w.end === 'number') {
+                timedWords.push({ word: w.word.trim(), start: w.start, end: w.end });
+            }
+        }
+
+        return timedWords;
     }
 
     /**
      * Parsea una transcripción de texto para extraer mensajes.
      * 
      * @param {string} text - Texto de la transcripción.
-     * @returns {Array<{speaker: string, text: string}>} Array de mensajes parseados.
+     * @returns {TranscriptMessage[]} Array de mensajes parseados.
      */
     function parseTextTranscript(text) {
+        /** @type {TranscriptMessage[]} */
         var messages = [];
         var speakerRegex = /^(Agent|User|AI|Customer|Bot|Cliente|Asistente|Chatbot|Human|Humano|Assistant|Agente):\s*/i;
 
@@ -131,6 +317,7 @@ var TranscriptFormatter = (function () {
             if (speakerMatch) {
                 if (currentMessage.trim()) {
                     messages.push({
+                        type: 'message',
                         speaker: normalizeRole(currentSpeaker),
                         text: currentMessage.trim()
                     });
@@ -148,6 +335,7 @@ var TranscriptFormatter = (function () {
 
         if (currentMessage.trim()) {
             messages.push({
+                type: 'message',
                 speaker: normalizeRole(currentSpeaker),
                 text: currentMessage.trim()
             });
@@ -160,7 +348,7 @@ var TranscriptFormatter = (function () {
      * Normaliza el rol/speaker a 'agent' o 'user'.
      * 
      * @param {string} role - Rol original.
-     * @returns {string} 'agent' o 'user'.
+     * @returns {TranscriptSpeaker} 'agent' o 'user'.
      */
     function normalizeRole(role) {
         var agentRoles = ['agent', 'ai', 'bot', 'asistente', 'chatbot', 'assistant', 'agente'];
@@ -168,23 +356,34 @@ var TranscriptFormatter = (function () {
     }
 
     /**
-     * Genera el HTML de la conversación a partir de los mensajes.
+     * Genera el HTML de la conversación a partir de las entradas.
      * 
-     * @param {Array<{speaker: string, text: string}>} messages - Array de mensajes con speaker y text.
+     * @param {TranscriptEntry[]} entries - Entradas normalizadas.
      * @returns {string} HTML de la conversación.
      */
-    function generateConversationHtml(messages) {
+    function generateConversationHtml(entries) {
         var html = '<div class="transcript-conversation">';
 
-        for (var i = 0; i < messages.length; i++) {
-            var msg = messages[i];
+        for (var i = 0; i < entries.length; i++) {
+            var msg = entries[i];
+            if (msg.type === 'tool_call') {
+                html += generateToolCallHtml(msg);
+                continue;
+            }
+
             var isAgent = msg.speaker === 'agent';
             var bubbleClass = isAgent ? 'transcript-bubble agent' : 'transcript-bubble user';
-            var speakerLabel = isAgent ? 'Chatbot' : 'Cliente';
+            var speakerLabel = getSpeakerLabel(msg.speaker);
+
+            // Las intervenciones con tiempos llevan data-start/data-end para poder sincronizarlas con el audio
+            if (typeof msg.start === 'number' && typeof msg.end === 'number') {
+                html += '<div class="' + bubbleClass + '" data-start="' + msg.start + '" data-end="' + msg.end + '">';
+            } else {
+                html += '<div class="' + bubbleClass + '">';
+            }
 
-            html += '<div class="' + bubbleClass + '">';
             html += '<span class="transcript-speaker">' + speakerLabel + '</span>';
-            html += '<p class="transcript-text">' + escapeHtml(msg.text) + '</p>';
+            html += '<p class="transcript-text">' + generateTextHtml(msg) + '</p>';
             html += '</div>';
         }
 
@@ -192,6 +391,95 @@ var TranscriptFormatter = (function () {
         return html;
     }
 
+    /**
+     * Genera un evento de sistema plegable con la función, sus argumentos y el resultado.
+     * 
+     * @param {TranscriptToolCall} toolCall - Llamada a herramienta normalizada.
+     * @returns {string} HTML del evento.
+     */
+    function generateToolCallHtml(toolCall) {
+        var hasResult = toolCall.result !== null;
+        var statusLabel = hasResult ? 'Con resultado' : 'Sin resultado';
+        var functionName = toolCall.name || 'Funcion desconocida';
+
+        var html = '<details class="transcript-tool-call' + (hasResult ? '' : ' is-pending') + '">';
+        html += '<summary class="transcript-tool-summary">';
+        html += '<span class="transcript-tool-label">Herramienta</span>';
+        html += '<code class="transcript-tool-name">' + escapeHtml(functionName) + '</code>';
+        html += '<span class="transcript-tool-status">' + statusLabel + '</span>';
+        html += '</summary>';
+
+        if (toolCall.name) {
+            html += '<span class="transcript-tool-section">Argumentos</span>';
+            html += '<pre class="transcript-tool-code">' + (escapeHtml(prettyPrintJson(toolCall.arguments)) || '(sin argumentos)') + '</pre>';
+        }
+
+        if (hasResult) {
+            html += '<span class="transcript-tool-section">Resultado</span>';
+            html += '<pre class="transcript-tool-code">' + (escapeHtml(prettyPrintJson(toolCall.result || '')) || '(vacio)') + '</pre>';
+        }
+
+        html += '</details>';
+        return html;
+    }
+
+    /**
+     * Indenta un texto JSON para leerlo mejor; si no es JSON lo devuelve sin cambios.
+     * 
+     * @param {string} value - Texto original.
+     * @returns {string} Texto indentado.
+     */
+    function prettyPrintJson(value) {
+        var trimmed = value.trim();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return value;
+
+        try {
+            return JSON.stringify(JSON.parse(trimmed), null, 2);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Genera el texto de una intervención, con una etiqueta por palabra si hay tiempos.
+     * 
+     * @param {TranscriptMessage} msg - Mensaje normalizado.
+     * @returns {string} HTML del texto.
+     */
+    function generateTextHtml(msg) {
+        if (!msg.words || msg.words.length === 0) {
+            return escapeHtml(msg.text);
+        }
+
+        return msg.words.map(function (w) {
+            return '<span class="transcript-word" data-start="' + w.start + '" data-end="' + w.end + '">' +
+                escapeHtml(w.word) + '</span>';
+        }).join(' ');
+    }
+
+    /**
+     * Devuelve la etiqueta visible de un hablante normalizado.
+     * 
+     * @param {string} speaker - 'agent' o 'user'.
+     * @returns {string} Etiqueta visible.
+     */
+    function getSpeakerLabel(speaker) {
+        return speaker === 'agent' ? 'Chatbot' : 'Cliente';
+    }
+
+    /**
+     * Genera el HTML de burbujas para mensajes ya normalizados.
+     * Permite reutilizar el renderizado de conversación fuera de las transcripciones.
+     * 
+     * @param {TranscriptMessage[]} messages - Mensajes con speaker ('agent' o 'user') y text.
+     * @returns {string} HTML de la conversación o cadena vacía si no hay mensajes.
+     */
+    function formatMessages(messages) {
+        if (!Array.isArray(messages) || messages.length === 0) return '';
+
+        return generateConversationHtml(messages);
+    }
+
     /**
      * Escapa caracteres HTML para prevenir XSS.
      * 
@@ -208,6 +496,9 @@ var TranscriptFormatter = (function () {
     // API pública
     return {
         format: format,
+        parse: parse,
+        formatMessages: formatMessages,
+        toPlainText: toPlainText,
         escapeHtml: escapeHtml
     };
 
@@ -0,0 +1,294 @@
+/**
+ * Transcript playback module.
+ * Plays the call recording inside the transcript modal, highlights the bubble and word
+ * being spoken, and seeks the audio when a timed bubble or word is clicked.
+ *
+ * @file TranscriptPlaybackModule.js
+ */
+
+var TranscriptPlaybackModule = (function () {
+    'use strict';
+
+    /** @type {HTMLAudioElement|null} */
+    var audioElement = null;
+    /** @type {HTMLElement|null} */
+    var attachedContainer = null;
+    /** @type {{ element: Element, start: number, end: number, words: Array<{ element: Element, start: number }> }[]} */
+    var timedBubbles = [];
+    /** @type {Element|null} */
+    var activeBubble = null;
+    /** @type {Element|null} */
+    var activeWord = null;
+    /** @type {number|null} */
+    var animationFrameId = null;
+    /** @type {boolean} */
+    var eventsAttached = false;
+
+    var TIMED_HINT = 'Pulsa una intervencion para escucharla desde ese momento';
+    var UNTIMED_HINT = 'Esta transcripcion no incluye tiempos por palabra: el audio no se sincroniza con el texto';
+
+    attachGlobalEvents();
+
+    function attachGlobalEvents() {
+        if (eventsAttached) {
+            return;
+        }
+
+        eventsAttached = true;
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            seekToTarget(target);
+        });
+
+        document.addEventListener('keydown', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element) || (event.key !== 'Enter' && event.key !== ' ')) {
+                return;
+            }
+
+            if (seekToTarget(target)) {
+                event.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * Loads the recording into the modal player and indexes the timed bubbles in the container.
+     *
+     * @param {HTMLElement} container - Element holding the formatted transcript.
+     * @param {string} audioUrl - Recording URL; empty hides the player.
+     */
+    function attach(container, audioUrl) {
+        detach();
+
+        var playerContainer = document.getElementById('transcript-modal-player');
+        if (!audioUrl || playerContainer === null) {
+            return;
+        }
+
+        if (audioElement === null) {
+            audioElement = document.createElement('audio');
+            audioElement.controls = true;
+            audioElement.preload = 'metadata';
+            audioElement.className = 'transcript-audio';
+            audioElement.addEventListener('play', startHighlightLoop);
+            audioElement.addEventListener('pause', stopHighlightLoop);
+            audioElement.addEventListener('ended', stopHighlightLoop);
+            audioElement.addEventListener('seeked', updateHighlight);
+            playerContainer.appendChild(audioElement);
+        }
+
+        attachedContainer = container;
+        timedBubbles = indexTimedBubbles(container);
+        container.classList.toggle('is-playback-enabled', timedBubbles.length > 0);
+
+        // Plain-text transcripts have no timings to follow; say so instead of offering clicks that do nothing.
+        var hintElement = playerContainer.querySelector('.transcript-modal-player-hint');
+        if (hintElement !== null) {
+            hintElement.textContent = timedBubbles.length > 0 ? TIMED_HINT : UNTIMED_HINT;
+        }
+
+        audioElement.src = audioUrl;
+        playerContainer.classList.remove('is-hidden');
+    }
+
+    function detach() {
+        stopHighlightLoop();
+        clearHighlight();
+
+        if (audioElement !== null) {
+            audioElement.pause();
+            audioElement.removeAttribute('src');
+            audioElement.load();
+        }
+
+        if (attachedContainer !== null) {
+            attachedContainer.classList.remove('is-playback-enabled');
+        }
+
+        var playerContainer = document.getElementById('transcript-modal-player');
+        if (playerContainer !== null) {
+            playerContainer.classList.add('is-hidden');
+        }
+
+        attachedContainer = null;
+        timedBubbles = [];
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @returns {{ element: Element, start: number, end: number, words: Array<{ element: Element, start: number }> }[]}
+     */
+    function indexTimedBubbles(container) {
+        var bubbles = container.querySelectorAll('.transcript-bubble[data-start]');
+        var indexed = [];
+
+        for (var i = 0; i < bubbles.length; i++) {
+            var bubble = bubbles[i];
+            bubble.setAttribute('tabindex', '0');
+            bubble.setAttribute('role', 'button');
+            bubble.setAttribute('aria-label', 'Reproducir desde ' + formatSeconds(readTime(bubble, 'data-start')));
+
+            var wordElements = bubble.querySelectorAll('.transcript-word[data-start]');
+            var words = [];
+            for (var j = 0; j < wordElements.length; j++) {
+                words.push({ element: wordElements[j], start: readTime(wordElements[j], 'data-start') });
+            }
+
+            indexed.push({
+                element: bubble,
+                start: readTime(bubble, 'data-start'),
+                end: readTime(bubble, 'data-end'),
+                words: words
+            });
+        }
+
+        return indexed;
+    }
+
+    /**
+     * Seeks to the clicked word, or to the start of the clicked bubble.
+     *
+     * @param {Element} target
+     * @returns {boolean} True when the target belonged to the attached transcript.
+     */
+    function seekToTarget(target) {
+        if (audioElement === null || attachedContainer === null || !attachedContainer.contains(target)) {
+            return false;
+        }
+
+        var timedElement = target.closest('.transcript-word[data-start]') || target.closest('.transcript-bubble[data-start]');
+        if (timedElement === null) {
+            return false;
+        }
+
+        audioElement.currentTime = readTime(timedElement, 'data-start');
+        audioElement.play().catch(function (error) {
+            console.error('Error reproduciendo grabacion:', error);
+        });
+
+        return true;
+    }
+
+    function startHighlightLoop() {
+        if (animationFrameId !== null) {
+            return;
+        }
+
+        var tick = function () {
+            updateHighlight();
+            animationFrameId = window.requestAnimationFrame(tick);
+        };
+
+        animationFrameId = window.requestAnimationFrame(tick);
+    }
+
+    function stopHighlightLoop() {
+        if (animationFrameId !== null) {
+            window.cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+    }
+
+    function updateHighlight() {
+        if (audioElement === null || timedBubbles.length === 0) {
+            return;
+        }
+
+        var currentTime = audioElement.currentTime;
+        var bubble = findLastStarted(timedBubbles, currentTime);
+        var isSpeaking = bubble !== null && currentTime <= bubble.end;
+
+        var nextBubble = isSpeaking && bubble !== null ? bubble.element : null;
+        var word = isSpeaking && bubble !== null ? findLastStarted(bubble.words, currentTime) : null;
+        var nextWord = word !== null ? word.element : null;
+
+        if (nextBubble !== activeBubble) {
+            if (activeBubble !== null) {
+                activeBubble.classList.remove('is-speaking');
+            }
+            if (nextBubble !== null) {
+                nextBubble.classList.add('is-speaking');
+                nextBubble.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+            activeBubble = nextBubble;
+        }
+
+        if (nextWord !== activeWord) {
+            if (activeWord !== null) {
+                activeWord.classList.remove('is-spoken');
+            }
+            if (nextWord !== null) {
+                nextWord.classList.add('is-spoken');
+            }
+            activeWord = nextWord;
+        }
+    }
+
+    function clearHighlight() {
+        if (activeBubble !== null) {
+            activeBubble.classList.remove('is-speaking');
+        }
+        if (activeWord !== null) {
+            activeWord.classList.remove('is-spoken');
+        }
+        activeBubble = null;
+        activeWord = null;
+    }
+
+    /**
+     * Binary search for the last item whose start is at or before the given time.
+     *
+     * @template {{ start: number }} T
+     * @param {T[]} items - Items sorted by start time.
+     * @param {number} time
+     * @returns {T|null}
+     */
+    function findLastStarted(items, time) {
+        var low = 0;
+        var high = items.length - 1;
+        var found = -1;
+
+        while (low <= high) {
+            var middle = (low + high) >> 1;
+            if (items[middle].start <= time) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found === -1 ? null : items[found];
+    }
+
+    /**
+     * @param {Element} element
+     * @param {string} attributeName
+     * @returns {number}
+     */
+    function readTime(element, attributeName) {
+        var value = parseFloat(element.getAttribute(attributeName) || '0');
+        return isNaN(value) ? 0 : value;
+    }
+
+    /**
+     * @param {number} totalSeconds
+     * @returns {string}
+     */
+    function formatSeconds(totalSeconds) {
+        var minutes = Math.floor(totalSeconds / 60);
+        var seconds = Math.floor(totalSeconds % 60);
+        return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+    }
+
+    return {
+        attach: attach,
+        detach: detach
+    };
+})();
@@ -0,0 +1,291 @@
+﻿/**
+ * Usage module.
+ * Renders the billing-cycle usage card with the month-end forecast from UsageForecast
+ * and the minutes of previous cycles, and hands the forecast to PricingModule for the
+ * upgrade popup. Usage is the sum of call durations within each cycle, so it restarts
+ * on renewal day whatever range the stats endpoint reports.
+ *
+ * @file UsageModule.js
+ */
+
+var UsageModule = (function () {
+    'use strict';
+
+    /** @type {HTMLElement|null} */
+    var usageCardElement = document.getElementById('usage-card');
+    /** @type {HTMLElement|null} */
+    var usageMeterElement = document.getElementById('usage-meter');
+    /** @type {HTMLElement|null} */
+    var usedBarElement = document.getElementById('usage-meter-used');
+    /** @type {HTMLElement|null} */
+    var projectedBarElement = document.getElementById('usage-meter-projected');
+    /** @type {HTMLElement|null} */
+    var historyElement = document.getElementById('usage-history');
+    /** @type {HTMLElement|null} */
+    var historyListElement = document.getElementById('usage-history-list');
+    /** @type {HTMLElement|null} */
+    var partialNoteElement = document.getElementById('usage-partial-note');
+
+    /** @type {UsageSnapshot|null} */
+    var lastSnapshot = null;
+
+    /**
+     * Recomputes cycle usage and the forecast, and refreshes the usage card and the upgrade popup.
+     * Without the call list the card keeps its last state: there is no usage to measure.
+     *
+     * @param {CallData[]|null} calls - Calls loaded by the dashboard, covering the current and previous cycles.
+     * @param {boolean} isComplete - False when the server did not return every call, so usage may be higher.
+     */
+    function update(calls, isComplete) {
+        var currentPlan = BillingService.getCurrentPlan();
+        if (currentPlan === null) {
+            lastSnapshot = null;
+            hideUsageCard();
+            PricingModule.updateUsageStatus(null);
+            return;
+        }
+
+        if (calls === null) {
+            return;
+        }
+
+        var minutesIncluded = currentPlan.minutesIncluded;
+        var cycle = BillingService.getCurrentCycle();
+        var usageEntries = buildUsageEntries(calls, cycle);
+
+        var forecast = UsageForecast.calculate({
+            usedMinutes: sumMinutes(usageEntries),
+            minutesIncluded: minutesIncluded,
+            overageRatePerMinute: currentPlan.overageRatePerMinute || 0,
+            cycle: cycle,
+            usageEntries: usageEntries,
+            trendDays: AppConfig.BILLING.FORECAST_TREND_DAYS
+        });
+
+        lastSnapshot = {
+            cycleStart: cycle.start.toISOString(),
+            cycleEnd: cycle.end.toISOString(),
+            usedMinutes: forecast.usedMinutes,
+            minutesIncluded: forecast.minutesIncluded,
+            projectedMinutes: forecast.projectedMinutes,
+            estimatedOverageCost: forecast.estimatedOverageCost
+        };
+
+        renderUsageCard(forecast, cycle);
+
+        if (partialNoteElement !== null) {
+            partialNoteElement.classList.toggle('is-hidden', isComplete);
+        }
+
+        // Each cycle is measured against its own plan; the current one may have started later.
+        renderHistory(BillingService.getPreviousCycles(AppConfig.BILLING.CYCLE_HISTORY_COUNT).map(function (previousCycle) {
+            return {
+                cycle: previousCycle,
+                usedMinutes: sumMinutes(buildUsageEntries(calls, previousCycle)),
+                minutesIncluded: BillingService.getIncludedMinutesForCycle(previousCycle)
+            };
+        }));
+        PricingModule.updateUsageStatus(forecast);
+    }
+
+    /**
+     * Usage of the current cycle as last rendered, sent along with upgrade requests.
+     *
+     * @returns {UsageSnapshot|null} Null until the dashboard has loaded the calls.
+     */
+    function getUsageSnapshot() {
+        return lastSnapshot;
+    }
+
+    /**
+     * @param {CallData[]} calls
+     * @param {BillingCycle} cycle
+     * @returns {UsageEntry[]}
+     */
+    function buildUsageEntries(calls, cycle) {
+        /** @type {UsageEntry[]} */
+        var usageEntries = [];
+
+        calls.forEach(function (call) {
+            var callDate = CallsModule.resolveCallDate(call);
+            if (callDate >= cycle.start && callDate < cycle.end) {
+                usageEntries.push({
+                    date: callDate,
+                    minutes: CallsModule.resolveCallDurationMs(call) / 60000
+                });
+            }
+        });
+
+        return usageEntries;
+    }
+
+    /**
+     * @param {UsageEntry[]} usageEntries
+     * @returns {number}
+     */
+    function sumMinutes(usageEntries) {
+        return usageEntries.reduce(function (total, entry) {
+            return total + entry.minutes;
+        }, 0);
+    }
+
+    /**
+     * @param {UsageForecastResult} forecast
+     * @param {BillingCycle} cycle
+     */
+    function renderUsageCard(forecast, cycle) {
+        if (usageCardElement === null) {
+            return;
+        }
+
+        var usedPercent = toPercent(forecast.usedMinutes, forecast.minutesIncluded);
+        var projectedPercent = toPercent(forecast.projectedMinutes, forecast.minutesIncluded);
+
+        DomHelper.setTextContent('usage-card-cycle', 'Ciclo ' + BillingService.describeCycle(cycle) +
+            ' · quedan ' + formatDays(forecast.daysRemaining));
+        DomHelper.setTextContent('usage-used', formatMinutes(forecast.usedMinutes) + ' de ' +
+            formatMinutes(forecast.minutesIncluded) + ' (' + usedPercent + '%)');
+        DomHelper.setTextContent('usage-projected', formatMinutes(forecast.projectedMinutes) + ' (' + projectedPercent + '%)');
+        DomHelper.setTextContent('usage-limit-date', describeLimit(forecast));
+        DomHelper.setTextContent('usage-overage', describeOverage(forecast));
+        DomHelper.setTextContent('usage-rate', 'Ritmo actual: ' + formatMinutes(forecast.dailyRate) +
+            ' al dia (ultimos ' + formatDays(forecast.trendDays) + ').');
+
+        if (usedBarElement !== null && projectedBarElement !== null) {
+            usedBarElement.style.width = Math.min(usedPercent, 100) + '%';
+            projectedBarElement.style.width = Math.min(projectedPercent, 100) + '%';
+        }
+
+        if (usageMeterElement !== null) {
+            usageMeterElement.setAttribute('aria-valuenow', String(Math.min(usedPercent, 100)));
+        }
+
+        usageCardElement.classList.toggle('usage-card--over', forecast.projectedRatio >= 1);
+        usageCardElement.classList.remove('is-hidden');
+    }
+
+    /**
+     * Lists previous cycles, most recent first, as minutes used against included minutes.
+     * Cycles whose plan is unknown only show the minutes used.
+     *
+     * @param {CycleUsage[]} cycleUsages
+     */
+    function renderHistory(cycleUsages) {
+        if (historyElement === null || historyListElement === null) {
+            return;
+        }
+
+        var itemsFragment = document.createDocumentFragment();
+
+        cycleUsages.forEach(function (cycleUsage) {
+            var minutesIncluded = cycleUsage.minutesIncluded;
+            var usedPercent = minutesIncluded !== null ? toPercent(cycleUsage.usedMinutes, minutesIncluded) : 0;
+
+            var itemElement = document.createElement('li');
+            itemElement.className = 'usage-history-item';
+            itemElement.classList.toggle('usage-history-item--over', usedPercent > 100);
+            itemElement.classList.toggle('usage-history-item--unknown-plan', minutesIncluded === null);
+
+            var cycleElement = document.createElement('span');
+            cycleElement.className = 'usage-history-cycle';
+            cycleElement.textContent = BillingService.describeCycle(cycleUsage.cycle);
+
+            var barElement = document.createElement('span');
+            barElement.className = 'usage-history-bar';
+            var fillElement = document.createElement('span');
+            fillElement.className = 'usage-history-fill';
+            fillElement.style.width = Math.min(usedPercent, 100) + '%';
+            barElement.appendChild(fillElement);
+
+            var valueElement = document.createElement('span');
+            valueElement.className = 'usage-history-value';
+            valueElement.textContent = minutesIncluded !== null
+                ? formatMinutes(cycleUsage.usedMinutes) + ' de ' + formatMinutes(minutesIncluded) + ' (' + usedPercent + '%)'
+                : formatMinutes(cycleUsage.usedMinutes);
+
+            itemElement.appendChild(cycleElement);
+            itemElement.appendChild(barElement);
+            itemElement.appendChild(valueElement);
+            itemsFragment.appendChild(itemElement);
+        });
+
+        historyListElement.textContent = '';
+        historyListElement.appendChild(itemsFragment);
+        historyElement.classList.toggle('is-hidden', cycleUsages.length === 0);
+    }
+
+    function hideUsageCard() {
+        if (usageCardElement !== null) {
+            usageCardElement.classList.add('is-hidden');
+        }
+    }
+
+    /**
+     * @param {UsageForecastResult} forecast
+     * @returns {string}
+     */
+    function describeLimit(forecast) {
+        if (forecast.isLimitReached) {
+            return 'Alcanzado';
+        }
+
+        if (forecast.limitReachedAt !== null) {
+            return 'Se alcanzara el ' + formatDate(forecast.limitReachedAt);
+        }
+
+        return 'No se alcanzara en este ciclo';
+    }
+
+    /**
+     * @param {UsageForecastResult} forecast
+     * @returns {string}
+     */
+    function describeOverage(forecast) {
+        if (forecast.projectedOverageMinutes <= 0) {
+            return 'Sin exceso previsto';
+        }
+
+        var overageText = formatMinutes(forecast.projectedOverageMinutes);
+        return forecast.estimatedOverageCost > 0
+            ? overageText + ' · ' + BillingService.formatAmount(forecast.estimatedOverageCost)
+            : overageText;
+    }
+
+    /**
+     * @param {number} minutes
+     * @returns {string}
+     */
+    function formatMinutes(minutes) {
+        return Math.round(minutes).toLocaleString('es-ES') + ' min';
+    }
+
+    /**
+     * @param {number} days
+     * @returns {string}
+     */
+    function formatDays(days) {
+        return days === 1 ? '1 dia' : days + ' dias';
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatDate(date) {
+        return date.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' });
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} total
+     * @returns {number}
+     */
+    function toPercent(value, total) {
+        return total > 0 ? Math.round((value / total) * 100) : 0;
+    }
+
+    return {
+        update: update,
+        getUsageSnapshot: getUsageSnapshot
+    };
+})();
@@ -0,0 +1,354 @@
+/**
+ * WhatsApp conversations module.
+ * Loads Twilio conversations and renders the conversation list and message thread.
+ *
+ * @file WhatsappModule.js
+ */
+
+var WhatsappModule = (function () {
+    'use strict';
+
+    /** @type {Conversation[]} */
+    var loadedConversations = [];
+    /** @type {number} */
+    var selectedConversationIndex = -1;
+    /** @type {number} */
+    var conversationsRequestId = 0;
+    /** @type {boolean} */
+    var eventsAttached = false;
+
+    attachGlobalEvents();
+
+    function attachGlobalEvents() {
+        if (eventsAttached) {
+            return;
+        }
+
+        eventsAttached = true;
+
+        document.addEventListener('click', function (event) {
+            var target = event.target;
+            if (!(target instanceof Element)) {
+                return;
+            }
+
+            var conversationItem = target.closest('.wa-conversation-item[data-conversation-index]');
+            if (conversationItem === null) {
+                return;
+            }
+
+            var index = parseInt(conversationItem.getAttribute('data-conversation-index') || '-1', 10);
+            if (index >= 0) {
+                selectConversation(index);
+            }
+        });
+    }
+
+    /**
+     * @param {ApiRequestOptions} [requestOptions]
+     * @returns {Promise<ApiResult<Conversation[]>>}
+     */
+    async function fetchConversations(requestOptions) {
+        /** @type {ApiResult<any>} */
+        var result = await ApiClient.get(AppConfig.API_ENDPOINTS.TWILIO_CONVERSATIONS, requestOptions);
+        if (!result.ok) {
+            return result;
+        }
+
+        return { ok: true, status: result.status, data: extractConversations(result.data) };
+    }
+
+    async function loadConversations() {
+        var listContainer = document.getElementById('wa-conversation-list');
+        if (listContainer === null) {
+            return;
+        }
+
+        clearContainer(listContainer);
+        appendEmptyMessage(listContainer, 'Cargando conversaciones...');
+        renderEmptyThread('Selecciona una conversacion para ver los mensajes.');
+
+        var requestId = ++conversationsRequestId;
+        var result = await fetchConversations({ requestKey: 'whatsapp-conversations' });
+
+        if (requestId !== conversationsRequestId || (!result.ok && result.error.kind === 'aborted')) {
+            return;
+        }
+
+        if (!result.ok) {
+            loadedConversations = [];
+            selectedConversationIndex = -1;
+            clearContainer(listContainer);
+            appendEmptyMessage(listContainer, 'Error al cargar las conversaciones: ' + result.error.message);
+
+            if (result.error.kind === 'unauthorized') {
+                AuthModule.handleUnauthorized();
+            }
+            return;
+        }
+
+        loadedConversations = result.data.slice().sort(function (first, second) {
+            return resolveConversationTimestamp(second) - resolveConversationTimestamp(first);
+        });
+        selectedConversationIndex = -1;
+
+        renderConversationList();
+    }
+
+    /**
+     * @param {any} response
+     * @returns {Conversation[]}
+     */
+    function extractConversations(response) {
+        var parsedResponse = response;
+        if (typeof parsedResponse === 'string') {
+            try {
+                parsedResponse = JSON.parse(parsedResponse);
+            } catch (parseError) {
+                return [];
+            }
+        }
+
+        if (parsedResponse && Array.isArray(parsedResponse.conversations)) {
+            return parsedResponse.conversations;
+        }
+
+        if (parsedResponse && Array.isArray(parsedResponse.data)) {
+            return parsedResponse.data;
+        }
+
+        if (Array.isArray(parsedResponse)) {
+            return parsedResponse;
+        }
+
+        return [];
+    }
+
+    function renderConversationList() {
+        var listContainer = document.getElementById('wa-conversation-list');
+        if (listContainer === null) {
+            return;
+        }
+
+        clearContainer(listContainer);
+
+        if (loadedConversations.length === 0) {
+            appendEmptyMessage(listContainer, 'No hay conversaciones de WhatsApp registradas.');
+            return;
+        }
+
+        for (var i = 0; i < loadedConversations.length; i++) {
+            listContainer.appendChild(buildConversationItem(loadedConversations[i], i));
+        }
+    }
+
+    /**
+     * @param {Conversation} conversation
+     * @param {number} index
+     * @returns {HTMLElement}
+     */
+    function buildConversationItem(conversation, index) {
+        var messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+        var lastMessage = messages.length > 0 ? messages[messages.length - 1] : null;
+
+        var item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'wa-conversation-item' + (index === selectedConversationIndex ? ' active' : '');
+        item.setAttribute('data-conversation-index', String(index));
+
+        var header = document.createElement('div');
+        header.className = 'wa-conversation-header';
+
+        var phone = document.createElement('span');
+        phone.className = 'wa-conversation-phone';
+        phone.textContent = PermissionService.formatPhoneNumber(conversation.phoneNumber) || 'Desconocido';
+        header.appendChild(phone);
+
+        var date = document.createElement('span');
+        date.className = 'wa-conversation-date';
+        date.textContent = formatShortDate(conversation.lastMessageDate || (lastMessage ? lastMessage.date : ''));
+        header.appendChild(date);
+
+        item.appendChild(header);
+
+        var preview = document.createElement('p');
+        preview.className = 'wa-conversation-preview';
+        preview.textContent = lastMessage && lastMessage.body ? lastMessage.body : 'Sin mensajes';
+        item.appendChild(preview);
+
+        var count = document.createElement('span');
+        count.className = 'wa-conversation-count';
+        count.textContent = messages.length + (messages.length === 1 ? ' mensaje' : ' mensajes');
+        item.appendChild(count);
+
+        return item;
+    }
+
+    /**
+     * @param {number} index
+     */
+    function selectConversation(index) {
+        var conversation = loadedConversations[index];
+        if (!conversation) {
+            return;
+        }
+
+        selectedConversationIndex = index;
+
+        var items = document.querySelectorAll('.wa-conversation-item[data-conversation-index]');
+        items.forEach(function (item) {
+            var itemIndex = parseInt(item.getAttribute('data-conversation-index') || '-1', 10);
+            item.classList.toggle('active', itemIndex === index);
+        });
+
+        renderThread(conversation);
+    }
+
+    /**
+     * @param {Conversation} conversation
+     */
+    function renderThread(conversation) {
+        DomHelper.setTextContent('wa-thread-title', PermissionService.formatPhoneNumber(conversation.phoneNumber) || 'Conversacion');
+
+        var threadBody = document.getElementById('wa-thread-body');
+        if (threadBody === null) {
+            return;
+        }
+
+        var messages = Array.isArray(conversation.messages) ? conversation.messages.slice() : [];
+        messages.sort(function (first, second) {
+            return parseTimestamp(first.date) - parseTimestamp(second.date);
+        });
+
+        var bubbleMessages = messages
+            .filter(function (message) {
+                return typeof message.body === 'string' && message.body.trim() !== '';
+            })
+            .map(function (message) {
+                /** @type {TranscriptMessage} */
+                var bubbleMessage = {
+                    type: 'message',
+                    speaker: message.direction === 'outbound' ? 'agent' : 'user',
+                    text: message.body
+                };
+                return bubbleMessage;
+            });
+
+        if (bubbleMessages.length === 0) {
+            renderEmptyThread('Esta conversacion no tiene mensajes de texto.');
+            return;
+        }
+
+        threadBody.innerHTML = TranscriptFormatter.formatMessages(bubbleMessages);
+        threadBody.scrollTop = threadBody.scrollHeight;
+    }
+
+    /**
+     * @param {string} text
+     */
+    function renderEmptyThread(text) {
+        DomHelper.setTextContent('wa-thread-title', 'Mensajes');
+
+        var threadBody = document.getElementById('wa-thread-body');
+        if (threadBody === null) {
+            return;
+        }
+
+        clearContainer(threadBody);
+        appendEmptyMessage(threadBody, text);
+    }
+
+    /**
+     * @param {Conversation} conversation
+     * @returns {number}
+     */
+    function resolveConversationTimestamp(conversation) {
+        if (conversation.lastMessageDate) {
+            return parseTimestamp(conversation.lastMessageDate);
+        }
+
+        var messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+        return messages.length > 0 ? parseTimestamp(messages[messages.length - 1].date) : 0;
+    }
+
+    /**
+     * Date of the first message, falling back to `lastMessageDate`.
+     *
+     * @param {Conversation} conversation
+     * @returns {Date|null}
+     */
+    function resolveConversationStartDate(conversation) {
+        var messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+        var earliestTimestamp = Infinity;
+
+        messages.forEach(function (message) {
+            var timestamp = new Date(message.date).getTime();
+            if (!isNaN(timestamp) && timestamp < earliestTimestamp) {
+                earliestTimestamp = timestamp;
+            }
+        });
+
+        if (earliestTimestamp === Infinity && conversation.lastMessageDate) {
+            earliestTimestamp = new Date(conversation.lastMessageDate).getTime();
+        }
+
+        if (earliestTimestamp === Infinity || isNaN(earliestTimestamp)) {
+            return null;
+        }
+
+        return new Date(earliestTimestamp);
+    }
+
+    /**
+     * @param {string|undefined} dateValue
+     * @returns {number}
+     */
+    function parseTimestamp(dateValue) {
+        var timestamp = new Date(dateValue || '').getTime();
+        return isNaN(timestamp) ? 0 : timestamp;
+    }
+
+    /**
+     * @param {string|undefined} dateValue
+     * @returns {string}
+     */
+    function formatShortDate(dateValue) {
+        var timestamp = parseTimestamp(dateValue);
+        if (timestamp === 0) {
+            return '';
+        }
+
+        return new Date(timestamp).toLocaleString('es-ES', {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * @param {HTMLElement} element
+     */
+    function clearContainer(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {string} text
+     */
+    function appendEmptyMessage(container, text) {
+        var paragraph = document.createElement('p');
+        paragraph.className = 'empty';
+        paragraph.textContent = text;
+        container.appendChild(paragraph);
+    }
+
+    return {
+        loadConversations: loadConversations,
+        fetchConversations: fetchConversations,
+        resolveConversationStartDate: resolveConversationStartDate
+    };
+})();
@@ -1,114 +1,661 @@
 ﻿/**
  * HTTP client for external APIs.
+ * `get` and `post` always resolve to an `ApiResult`: `{ ok: true, data }` or
+ * `{ ok: false, error }` with an error kind, HTTP status, message and raw body.
+ * Every request has a timeout; GETs retry with exponential backoff on network
+ * errors, timeouts and 5xx responses; a request started with a `requestKey`
+ * aborts the previous in-flight request that used the same key.
+ * Every request carries the session token as `Authorization: Bearer <token>`;
+ * after a 401 the token is renewed through `TokenRefreshService` and the request
+ * is retried once.
+ * Successful GETs are cached in memory per URL, whatever the order of its query
+ * params (see `AppConfig.NETWORK`), stale
+ * entries are served while they revalidate in the background, and identical GETs
+ * in flight share a single fetch.
  *
  * @file ApiClient.js
  */
 
+/**
+ * @typedef {Object} ApiRequestOptions
+ * @property {number} [timeoutMs] - Per-attempt timeout. Defaults to `AppConfig.NETWORK.REQUEST_TIMEOUT_MS`.
+ * @property {number} [retries] - Extra attempts after the first one. GET defaults to `AppConfig.NETWORK.GET_RETRIES`, POST to 0.
+ * @property {string} [requestKey] - Requests sharing a key cancel each other; only the newest one completes.
+ * @property {boolean} [cache] - GET only. False skips the cached response and always waits for the network.
+ * @property {boolean} [refreshOnUnauthorized] - False returns a 401 as is instead of renewing the token and retrying.
+ */
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {ApiResult<any>} result
+ * @property {number} storedAt - Timestamp (ms) of the response.
+ */
+
+/**
+ * One network fetch shared by every identical GET issued while it is in flight.
+ * It is only aborted once all the callers waiting on it have been cancelled.
+ *
+ * @typedef {Object} SharedGet
+ * @property {Promise<ApiResult<any>>} promise
+ * @property {AbortController} controller
+ * @property {number} subscribers
+ */
+
+/**
+ * @typedef {Object} RequestOutcome
+ * @property {'response'|'network'|'timeout'|'aborted'} kind
+ * @property {Response} [response]
+ * @property {any} [body]
+ * @property {string} [rawBody]
+ * @property {boolean} [isMalformed] - The body looked like JSON but could not be parsed.
+ * @property {any} [error]
+ */
+
 var ApiClient = (function () {
     'use strict';
 
+    /** @type {{ [requestKey: string]: AbortController }} */
+    var inFlightRequests = {};
+    /** @type {{ [cacheKey: string]: CachedResponse }} */
+    var responseCache = {};
+    /** @type {{ [cacheKey: string]: SharedGet }} */
+    var sharedGets = {};
+    /** @type {number} */
+    var cacheGeneration = 0;
+
     /**
      * @template T
      * @param {string} url
      * @param {Object} data
-     * @returns {Promise<T|ApiErrorResponse>}
+     * @param {ApiRequestOptions} [options]
+     * @returns {Promise<ApiResult<T>>}
      */
-    async function post(url, data) {
+    async function post(url, data, options) {
+        var requestKey = (options && options.requestKey) || '';
+        var requestController = trackRequest(requestKey);
+
         try {
-            var response = await fetch(url, {
+            var outcome = await request(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(data)
-            });
+            }, options, 0, requestController.signal);
 
-            var parsedBody = await parseResponseBody(response);
+            return toApiResult(outcome, 'ApiClient.post');
+        } finally {
+            releaseRequest(requestKey, requestController);
+        }
+    }
 
-            if (!response.ok) {
-                return {
-                    status: 'error',
-                    message: extractErrorMessage(parsedBody, response.status)
-                };
+    /**
+     * A request replaced by a newer one with the same `requestKey` resolves with
+     * an `aborted` error; callers should ignore it.
+     * Cached results are shared between callers and must be treated as read-only.
+     *
+     * @template T
+     * @param {string} url
+     * @param {ApiRequestOptions} [options]
+     * @returns {Promise<ApiResult<T>>}
+     */
+    async function get(url, options) {
+        var requestOptions = options || {};
+        var requestKey = requestOptions.requestKey || '';
+        var requestController = trackRequest(requestKey);
+
+        try {
+            if (requestOptions.cache !== false) {
+                var cachedEntry = responseCache[buildCacheKey(url)];
+                var cacheAge = cachedEntry ? Date.now() - cachedEntry.storedAt : Infinity;
+
+                if (cacheAge < AppConfig.NETWORK.CACHE_TTL_MS) {
+                    return cachedEntry.result;
+                }
+
+                if (cacheAge < AppConfig.NETWORK.CACHE_TTL_MS + AppConfig.NETWORK.CACHE_STALE_MS) {
+                    // Stale-while-revalidate: answer now, refresh the entry for the next caller.
+                    // The refresh holds its own subscription until it settles, so callers that
+                    // join and then give up cannot abort it.
+                    var revalidation = joinSharedGet(url, requestOptions);
+                    revalidation.promise.then(function () {
+                        leaveSharedGet(revalidation);
+                    });
+                    return cachedEntry.result;
+                }
             }
 
-            return /** @type {T} */ (parsedBody || {});
-        } catch (networkError) {
-            console.error('ApiClient.post: network error', networkError);
-            return {
-                status: 'error',
-                message: 'No se pudo conectar con el servidor. Verifica tu conexion a internet.'
-            };
+            var sharedGet = joinSharedGet(url, requestOptions);
+            var result = await waitUnlessAborted(sharedGet.promise, requestController.signal);
+
+            if (result === null) {
+                leaveSharedGet(sharedGet);
+                return buildErrorResult('aborted', null, null, '');
+            }
+
+            return result;
+        } finally {
+            releaseRequest(requestKey, requestController);
         }
     }
 
     /**
-     * @template T
+     * Drops cached GET responses so the next request goes to the network.
+     * Fetches already in flight still answer their callers but are not cached.
+     *
+     * @param {string} [urlPrefix] - Only drop URLs starting with this prefix. Omit to clear everything.
+     */
+    function invalidateCache(urlPrefix) {
+        cacheGeneration++;
+
+        Object.keys(responseCache).forEach(function (cacheKey) {
+            if (!urlPrefix || cacheKey.indexOf(urlPrefix) === 0) {
+                delete responseCache[cacheKey];
+            }
+        });
+
+        Object.keys(sharedGets).forEach(function (cacheKey) {
+            if (!urlPrefix || cacheKey.indexOf(urlPrefix) === 0) {
+                delete sharedGets[cacheKey];
+            }
+        });
+    }
+
+    /**
+     * Identifies a GET for the cache and the shared fetches: the URL with its query
+     * params sorted, so `?a=1&b=2` and `?b=2&a=1` are the same request.
+     *
      * @param {string} url
-     * @returns {Promise<T|null>}
+     * @returns {string}
      */
-    async function get(url) {
-        try {
-            var response = await fetch(url);
-            var parsedBody = await parseResponseBody(response);
+    function buildCacheKey(url) {
+        var queryIndex = url.indexOf('?');
+        if (queryIndex === -1) {
+            return url;
+        }
 
-            if (!response.ok) {
-                console.error('ApiClient.get: HTTP error', response.status, response.statusText);
-                return null;
+        var params = new URLSearchParams(url.slice(queryIndex + 1));
+        params.sort();
+
+        var query = params.toString();
+        return url.slice(0, queryIndex) + (query ? '?' + query : '');
+    }
+
+    /**
+     * Returns the in-flight fetch for `url`, starting one when there is none.
+     * Timeout and retry options only apply to the caller that starts the fetch.
+     *
+     * @param {string} url
+     * @param {ApiRequestOptions} requestOptions
+     * @returns {SharedGet}
+     */
+    function joinSharedGet(url, requestOptions) {
+        var cacheKey = buildCacheKey(url);
+        var sharedGet = sharedGets[cacheKey];
+
+        if (!sharedGet) {
+            var controller = new AbortController();
+            var startedGeneration = cacheGeneration;
+
+            var promise = request(url, { method: 'GET' }, requestOptions, AppConfig.NETWORK.GET_RETRIES, controller.signal)
+                .then(function (outcome) {
+                    var result = toApiResult(outcome, 'ApiClient.get');
+
+                    if (sharedGets[cacheKey] === sharedGet) {
+                        delete sharedGets[cacheKey];
+                    }
+
+                    if (result.ok && startedGeneration === cacheGeneration) {
+                        responseCache[cacheKey] = { result: result, storedAt: Date.now() };
+                    }
+
+                    return result;
+                });
+
+            sharedGet = { promise: promise, controller: controller, subscribers: 0 };
+            sharedGets[cacheKey] = sharedGet;
+        }
+
+        sharedGet.subscribers++;
+        return sharedGet;
+    }
+
+    /**
+     * @param {SharedGet} sharedGet
+     */
+    function leaveSharedGet(sharedGet) {
+        sharedGet.subscribers--;
+
+        if (sharedGet.subscribers <= 0) {
+            sharedGet.controller.abort();
+        }
+    }
+
+    /**
+     * @template T
+     * @param {Promise<T>} promise
+     * @param {AbortSignal} signal
+     * @returns {Promise<T|null>} Null when the signal aborts first.
+     */
+    function waitUnlessAborted(promise, signal) {
+        return new Promise(function (resolve) {
+            if (signal.aborted) {
+                resolve(null);
+                return;
             }
 
-            return /** @type {T} */ (parsedBody);
-        } catch (networkError) {
-            console.error('ApiClient.get: network error', networkError);
-            return null;
+            var onAbort = function () {
+                resolve(null);
+            };
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(function (value) {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            });
+        });
+    }
+
+    /**
+     * @template T
+     * @param {RequestOutcome} outcome
+     * @param {string} logPrefix
+     * @returns {ApiResult<T>}
+     */
+    function toApiResult(outcome, logPrefix) {
+        var response = outcome.response;
+
+        if (outcome.kind !== 'response' || !response) {
+            var failureKind = resolveFailureKind(outcome.kind);
+            if (failureKind !== 'aborted') {
+                console.error(logPrefix + ': ' + failureKind, outcome.error);
+            }
+            return buildErrorResult(failureKind, null, null, '');
+        }
+
+        if (!response.ok) {
+            console.error(logPrefix + ': HTTP error', response.status, response.statusText);
+            var errorResult = buildErrorResult(resolveHttpErrorKind(response.status), response.status, outcome.body, outcome.rawBody || '');
+            if (errorResult.error.kind === 'rate_limited') {
+                errorResult.error.retryAfterSeconds = resolveRetryAfterSeconds(response, outcome.body);
+            }
+            return errorResult;
+        }
+
+        if (outcome.isMalformed) {
+            console.error(logPrefix + ': malformed response body');
+            return buildErrorResult('parse', response.status, null, outcome.rawBody || '');
         }
+
+        return {
+            ok: true,
+            status: response.status,
+            data: /** @type {T} */ (outcome.body)
+        };
+    }
+
+    /**
+     * @param {RequestOutcome['kind']} outcomeKind
+     * @returns {ApiErrorKind}
+     */
+    function resolveFailureKind(outcomeKind) {
+        if (outcomeKind === 'timeout' || outcomeKind === 'aborted') {
+            return outcomeKind;
+        }
+
+        return navigator.onLine === false ? 'offline' : 'network';
+    }
+
+    /**
+     * @param {number} statusCode
+     * @returns {ApiErrorKind}
+     */
+    function resolveHttpErrorKind(statusCode) {
+        if (statusCode === 401) {
+            return 'unauthorized';
+        }
+
+        if (statusCode === 403) {
+            return 'forbidden';
+        }
+
+        if (statusCode === 404) {
+            return 'not_found';
+        }
+
+        if (statusCode === 429) {
+            return 'rate_limited';
+        }
+
+        return statusCode >= 500 ? 'server' : 'http';
+    }
+
+    /**
+     * @param {ApiErrorKind} kind
+     * @param {number|null} statusCode
+     * @param {any} responseBody
+     * @param {string} rawBody
+     * @returns {{ ok: false, status: number|null, error: ApiError }}
+     */
+    function buildErrorResult(kind, statusCode, responseBody, rawBody) {
+        return {
+            ok: false,
+            status: statusCode,
+            error: {
+                kind: kind,
+                status: statusCode,
+                message: buildErrorMessage(kind, statusCode, responseBody),
+                rawBody: rawBody,
+                retryAfterSeconds: null
+            }
+        };
     }
 
     /**
+     * Wait requested by a 429, from the `Retry-After` header (seconds or HTTP date) or a
+     * `retry_after` body field. Cross-origin APIs must list `Retry-After` in
+     * `Access-Control-Expose-Headers` for the header to be readable.
+     *
      * @param {Response} response
-     * @returns {Promise<any>}
+     * @param {any} responseBody
+     * @returns {number|null}
      */
-    async function parseResponseBody(response) {
-        var contentTypeHeader = response.headers.get('content-type') || '';
-        var isJson = contentTypeHeader.indexOf('application/json') !== -1;
+    function resolveRetryAfterSeconds(response, responseBody) {
+        var headerValue = response.headers.get('Retry-After');
+        var bodyValue = responseBody ? (responseBody.retry_after !== undefined ? responseBody.retry_after : responseBody.retryAfter) : undefined;
+
+        var seconds = Number(headerValue !== null ? headerValue : bodyValue);
+        if (headerValue !== null && isNaN(seconds)) {
+            seconds = (Date.parse(headerValue) - Date.now()) / 1000;
+        }
+
+        return isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : null;
+    }
 
-        if (isJson) {
-            try {
-                return await response.json();
-            } catch (jsonParseError) {
-                return null;
+    /**
+     * Server-provided messages are kept for 4xx answers (e.g. wrong credentials);
+     * other failures get a fixed message that tells the user what to do.
+     *
+     * @param {ApiErrorKind} kind
+     * @param {number|null} statusCode
+     * @param {any} responseBody
+     * @returns {string}
+     */
+    function buildErrorMessage(kind, statusCode, responseBody) {
+        var serverMessage = responseBody && typeof responseBody.message === 'string' && responseBody.message.trim() !== ''
+            ? responseBody.message
+            : '';
+
+        switch (kind) {
+            case 'offline':
+                return 'Sin conexion a internet. Revisa tu red e intentalo de nuevo.';
+            case 'network':
+                return 'No se pudo conectar con el servidor. Verifica tu conexion a internet.';
+            case 'timeout':
+                return 'El servidor tardo demasiado en responder. Intentalo de nuevo.';
+            case 'aborted':
+                return 'La solicitud se cancelo.';
+            case 'unauthorized':
+                return serverMessage || 'Tu sesion no es valida o ha caducado. Inicia sesion de nuevo.';
+            case 'forbidden':
+                return serverMessage || 'No tienes permiso para acceder a estos datos.';
+            case 'not_found':
+                return 'El servicio solicitado no existe (404). Revisa la configuracion de endpoints.';
+            case 'rate_limited':
+                return serverMessage || 'Demasiadas solicitudes. Espera un momento e intentalo de nuevo.';
+            case 'server':
+                return 'El servidor tuvo un error (' + statusCode + '). Intentalo de nuevo en unos minutos.';
+            case 'parse':
+                return 'El servidor devolvio una respuesta no valida. Contacta con soporte si persiste.';
+            default:
+                return serverMessage || 'Error en la comunicacion con el servidor. Codigo: ' + statusCode;
+        }
+    }
+
+    /**
+     * Aborts the in-flight request registered under `requestKey`, if any.
+     *
+     * @param {string} requestKey
+     */
+    function cancel(requestKey) {
+        var controller = inFlightRequests[requestKey];
+        if (controller) {
+            controller.abort();
+            delete inFlightRequests[requestKey];
+        }
+    }
+
+    /**
+     * Registers a caller under `requestKey`, cancelling the previous one with the same key.
+     *
+     * @param {string} requestKey - Empty means the request cannot be cancelled by key.
+     * @returns {AbortController}
+     */
+    function trackRequest(requestKey) {
+        var requestController = new AbortController();
+
+        if (requestKey) {
+            cancel(requestKey);
+            inFlightRequests[requestKey] = requestController;
+        }
+
+        return requestController;
+    }
+
+    /**
+     * @param {string} requestKey
+     * @param {AbortController} requestController
+     */
+    function releaseRequest(requestKey, requestController) {
+        if (requestKey && inFlightRequests[requestKey] === requestController) {
+            delete inFlightRequests[requestKey];
+        }
+    }
+
+    /**
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {ApiRequestOptions|undefined} options
+     * @param {number} defaultRetries
+     * @param {AbortSignal} requestSignal - Aborts every attempt and pending retry.
+     * @returns {Promise<RequestOutcome>}
+     */
+    async function request(url, init, options, defaultRetries, requestSignal) {
+        var requestOptions = options || {};
+        var outcome = await requestWithRetries(url, withAuthorization(init), requestOptions, defaultRetries, requestSignal);
+
+        var canRefresh = requestOptions.refreshOnUnauthorized !== false && typeof TokenRefreshService !== 'undefined';
+        if (!canRefresh || outcome.kind !== 'response' || !outcome.response || outcome.response.status !== 401) {
+            return outcome;
+        }
+
+        var isRenewed = await TokenRefreshService.refresh();
+        if (!isRenewed || requestSignal.aborted) {
+            return outcome;
+        }
+
+        return requestWithRetries(url, withAuthorization(init), requestOptions, defaultRetries, requestSignal);
+    }
+
+    /**
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {ApiRequestOptions} requestOptions
+     * @param {number} defaultRetries
+     * @param {AbortSignal} requestSignal
+     * @returns {Promise<RequestOutcome>}
+     */
+    async function requestWithRetries(url, init, requestOptions, defaultRetries, requestSignal) {
+        var timeoutMs = requestOptions.timeoutMs || AppConfig.NETWORK.REQUEST_TIMEOUT_MS;
+        var maxRetries = typeof requestOptions.retries === 'number' ? requestOptions.retries : defaultRetries;
+
+        for (var attempt = 0; ; attempt++) {
+            var outcome = await fetchOnce(url, init, timeoutMs, requestSignal);
+
+            if (outcome.kind === 'aborted' || attempt >= maxRetries || !isRetryable(outcome)) {
+                return outcome;
+            }
+
+            var shouldContinue = await waitForRetry(getRetryDelay(attempt), requestSignal);
+            if (!shouldContinue) {
+                return { kind: 'aborted' };
             }
         }
+    }
 
-        var textBody = await response.text();
-        if (!textBody) {
-            return null;
+    /**
+     * Adds the session token, when there is one. Pages without `SessionManager`
+     * (e.g. reset-password.html) send unauthenticated requests.
+     *
+     * @param {RequestInit} init
+     * @returns {RequestInit}
+     */
+    function withAuthorization(init) {
+        var accessToken = typeof SessionManager !== 'undefined' ? SessionManager.getAccessToken() : null;
+        if (!accessToken) {
+            return init;
+        }
+
+        var headers = new Headers(init.headers);
+        headers.set('Authorization', 'Bearer ' + accessToken);
+
+        return Object.assign({}, init, { headers: headers });
+    }
+
+    /**
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {number} timeoutMs
+     * @param {AbortSignal} requestSignal - Aborted when the whole request is cancelled.
+     * @returns {Promise<RequestOutcome>}
+     */
+    async function fetchOnce(url, init, timeoutMs, requestSignal) {
+        if (requestSignal.aborted) {
+            return { kind: 'aborted' };
         }
 
+        var attemptController = new AbortController();
+        var hasTimedOut = false;
+
+        var timeoutId = window.setTimeout(function () {
+            hasTimedOut = true;
+            attemptController.abort();
+        }, timeoutMs);
+
+        var abortAttempt = function () {
+            attemptController.abort();
+        };
+        requestSignal.addEventListener('abort', abortAttempt);
+
         try {
-            return JSON.parse(textBody);
-        } catch (parseError) {
+            var response = await fetch(url, Object.assign({}, init, { signal: attemptController.signal }));
+            var parsedBody = await parseResponseBody(response);
+
             return {
-                message: textBody
+                kind: 'response',
+                response: response,
+                body: parsedBody.body,
+                rawBody: parsedBody.rawBody,
+                isMalformed: parsedBody.isMalformed
             };
+        } catch (fetchError) {
+            if (hasTimedOut) {
+                return { kind: 'timeout', error: fetchError };
+            }
+
+            if (requestSignal.aborted) {
+                return { kind: 'aborted', error: fetchError };
+            }
+
+            return { kind: 'network', error: fetchError };
+        } finally {
+            window.clearTimeout(timeoutId);
+            requestSignal.removeEventListener('abort', abortAttempt);
         }
     }
 
     /**
-     * @param {any} responseBody
-     * @param {number} statusCode
-     * @returns {string}
+     * @param {RequestOutcome} outcome
+     * @returns {boolean}
      */
-    function extractErrorMessage(responseBody, statusCode) {
-        if (responseBody && typeof responseBody.message === 'string' && responseBody.message.trim() !== '') {
-            return responseBody.message;
+    function isRetryable(outcome) {
+        if (outcome.kind === 'network' || outcome.kind === 'timeout') {
+            return true;
         }
 
-        return 'Error en la comunicacion con el servidor. Codigo: ' + statusCode;
+        return outcome.kind === 'response' && !!outcome.response && outcome.response.status >= 500;
+    }
+
+    /**
+     * Exponential backoff with a little jitter so parallel retries do not line up.
+     *
+     * @param {number} attempt - Zero-based index of the attempt that just failed.
+     * @returns {number}
+     */
+    function getRetryDelay(attempt) {
+        var baseDelay = AppConfig.NETWORK.RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+        var cappedDelay = Math.min(baseDelay, AppConfig.NETWORK.RETRY_MAX_DELAY_MS);
+        return cappedDelay + Math.round(Math.random() * cappedDelay * 0.2);
+    }
+
+    /**
+     * @param {number} delayMs
+     * @param {AbortSignal} requestSignal
+     * @returns {Promise<boolean>} False when the request was cancelled while waiting.
+     */
+    function waitForRetry(delayMs, requestSignal) {
+        return new Promise(function (resolve) {
+            if (requestSignal.aborted) {
+                resolve(false);
+                return;
+            }
+
+            var onAbort = function () {
+                window.clearTimeout(timeoutId);
+                resolve(false);
+            };
+
+            var timeoutId = window.setTimeout(function () {
+                requestSignal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, delayMs);
+
+            requestSignal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * @param {Response} response
+     * @returns {Promise<{ body: any, rawBody: string, isMalformed: boolean }>}
+     */
+    async function parseResponseBody(response) {
+        var contentTypeHeader = response.headers.get('content-type') || '';
+        var isJson = contentTypeHeader.indexOf('application/json') !== -1;
+
+        var textBody = await response.text();
+        var trimmedBody = textBody.trim();
+        if (!trimmedBody) {
+            return { body: null, rawBody: textBody, isMalformed: false };
+        }
+
+        try {
+            return { body: JSON.parse(trimmedBody), rawBody: textBody, isMalformed: false };
+        } catch (parseError) {
+            // Plain-text answers are wrapped as a message; broken JSON is reported as malformed.
+            var looksLikeJson = trimmedBody.charAt(0) === '{' || trimmedBody.charAt(0) === '[';
+
+            return {
+                body: isJson || looksLikeJson ? null : { message: textBody },
+                rawBody: textBody,
+                isMalformed: isJson || looksLikeJson
+            };
+        }
     }
 
     return {
         post: post,
-        get: get
+        get: get,
+        cancel: cancel,
+        invalidateCache: invalidateCache
     };
 })();
@@ -1,6 +1,7 @@
 /**
  * Servicio de autenticacion.
- * Gestiona la comunicacion con el backend de n8n para validar credenciales.
+ * Gestiona la comunicacion con el backend de n8n para validar credenciales
+ * y, en cuentas con verificacion en dos pasos, el codigo TOTP o de recuperacion.
  * 
  * @file AuthenticationService.js
  * @description Encapsula toda la logica de autenticacion de usuarios.
@@ -9,6 +10,9 @@
 var AuthenticationService = (function () {
     'use strict';
 
+    // Validez del paso de verificacion si el servidor no envia `mfa_expires_in`
+    var DEFAULT_MFA_CHALLENGE_SECONDS = 300;
+
     /**
      * Autentica al usuario contra el servidor.
      * En modo desarrollo, permite bypass del login.
@@ -24,7 +28,7 @@ var AuthenticationService = (function () {
             return {
                 success: true,
                 message: 'Authentication successful (DEV MODE).',
-                userData: { username: username || 'dev_user' }
+                userData: { username: username || 'dev_user', role: 'owner' }
             };
         }
 
@@ -35,33 +39,214 @@ var AuthenticationService = (function () {
             clave: password
         };
 
-        var serverResponse = await ApiClient.post(authenticationEndpoint, requestPayload);
+        /** @type {ApiResult<any>} */
+        var serverResult = await ApiClient.post(authenticationEndpoint, requestPayload, { refreshOnUnauthorized: false });
+        var serverResponse = serverResult.ok ? serverResult.data : null;
+
+        if (serverResponse && (serverResponse.status === 'mfa_required' || serverResponse.mfa_required === true)) {
+            return buildMfaChallengeResult(username, serverResponse);
+        }
+
+        if (serverResponse && serverResponse.status === 'success') {
+            return buildSuccessResult(username, serverResponse);
+        }
+
+        return buildFailureResult(serverResult, 'Credenciales incorrectas.');
+    }
+
+    /**
+     * Completa el login de una cuenta con verificacion en dos pasos.
+     * 
+     * @param {MfaChallenge} mfaChallenge - Reto devuelto por `authenticate`.
+     * @param {string} code - Codigo TOTP de 6 digitos o codigo de recuperacion.
+     * @param {MfaMethod} method - Tipo de codigo introducido.
+     * @returns {Promise<AuthResult>} Resultado con la sesion si el codigo es valido.
+     */
+    async function verifyMfaCode(mfaChallenge, code, method) {
+        var requestPayload = {
+            usuario: mfaChallenge.username,
+            mfaToken: mfaChallenge.mfaToken,
+            mfa_token: mfaChallenge.mfaToken,
+            code: code,
+            method: method
+        };
+
+        /** @type {ApiResult<any>} */
+        var serverResult = await ApiClient.post(AppConfig.API_ENDPOINTS.VERIFY_MFA, requestPayload, { refreshOnUnauthorized: false });
+        var serverResponse = serverResult.ok ? serverResult.data : null;
+
+        if (serverResponse && serverResponse.status === 'success') {
+            return buildSuccessResult(mfaChallenge.username, serverResponse);
+        }
+
+        return buildFailureResult(serverResult, 'Codigo de verificacion incorrecto.');
+    }
+
+    /**
+     * @param {string} username - Usuario autenticado.
+     * @param {any} serverResponse - Respuesta de login o de verificacion con los tokens.
+     * @returns {AuthResult}
+     */
+    function buildSuccessResult(username, serverResponse) {
+        var tokens = extractTokens(serverResponse);
+
+        // Sin token las APIs rechazarian todas las peticiones: no abrir el panel
+        if (tokens === null) {
+            return {
+                success: false,
+                message: 'El servidor no devolvio un token de acceso. Contacta con soporte.'
+            };
+        }
+
+        /** @type {UserData} */
+        var userData = {
+            username: username,
+            role: resolveRole(serverResponse)
+        };
+
+        var accountPlan = BillingService.extractAccountPlan(serverResponse);
+        if (accountPlan !== null) {
+            userData.plan = accountPlan;
+        }
+
+        return {
+            success: true,
+            message: 'Autenticacion exitosa.',
+            userData: userData,
+            tokens: tokens
+        };
+    }
+
+    /**
+     * La contrasena es correcta pero la cuenta exige un segundo paso.
+     * 
+     * @param {string} username - Usuario que inicia sesion.
+     * @param {any} serverResponse - Respuesta `mfa_required` del login.
+     * @returns {AuthResult}
+     */
+    function buildMfaChallengeResult(username, serverResponse) {
+        var mfaToken = pickToken([serverResponse.mfaToken, serverResponse.mfa_token]);
 
-        if (serverResponse.status === 'success') {
+        if (mfaToken === null || !AppConfig.API_ENDPOINTS.VERIFY_MFA) {
             return {
-                success: true,
-                message: 'Autenticacion exitosa.',
-                userData: {
-                    username: username
-                }
+                success: false,
+                message: 'No se pudo iniciar la verificacion en dos pasos. Contacta con soporte.'
             };
         }
 
+        var expiresInSeconds = Number(serverResponse.mfa_expires_in);
+        if (!isFinite(expiresInSeconds) || expiresInSeconds <= 0) {
+            expiresInSeconds = DEFAULT_MFA_CHALLENGE_SECONDS;
+        }
+
+        return {
+            success: false,
+            message: 'Introduce el codigo de verificacion.',
+            mfaChallenge: {
+                username: username,
+                mfaToken: mfaToken,
+                expiresAt: Date.now() + expiresInSeconds * 1000
+            }
+        };
+    }
+
+    /**
+     * @param {ApiResult<any>} serverResult - Respuesta del servidor.
+     * @param {string} rejectedMessage - Mensaje si el servidor rechaza los datos sin explicar el motivo.
+     * @returns {AuthResult}
+     */
+    function buildFailureResult(serverResult, rejectedMessage) {
+        var serverResponse = serverResult.ok ? serverResult.data : null;
+
         // Determinar mensaje de error apropiado
-        var errorMessage = 'Credenciales incorrectas.';
-        if (serverResponse.message) {
+        var errorMessage = rejectedMessage;
+        if (!serverResult.ok && serverResult.error.kind !== 'unauthorized') {
+            // Fallos de red, del servidor o de formato: mostrar el motivo real
+            errorMessage = serverResult.error.message;
+        } else if (serverResponse && serverResponse.message) {
             errorMessage = serverResponse.message;
         }
 
         return {
             success: false,
-            message: errorMessage
+            message: errorMessage,
+            // Solo las respuestas del servidor a los datos cuentan para el bloqueo, no los fallos de red
+            isRejected: serverResult.ok || serverResult.error.kind === 'unauthorized' || serverResult.error.kind === 'forbidden',
+            retryAfterSeconds: serverResult.ok ? null : serverResult.error.retryAfterSeconds
+        };
+    }
+
+    /**
+     * Obtiene los tokens de una respuesta de login o de renovacion.
+     * 
+     * @param {any} serverResponse - Cuerpo de la respuesta del servidor.
+     * @returns {AuthTokens|null} Tokens o null si la respuesta no trae token de acceso.
+     */
+    function extractTokens(serverResponse) {
+        if (!serverResponse) {
+            return null;
+        }
+
+        var accessToken = pickToken([serverResponse.accessToken, serverResponse.access_token, serverResponse.token]);
+        if (accessToken === null) {
+            return null;
+        }
+
+        return {
+            accessToken: accessToken,
+            refreshToken: pickToken([serverResponse.refreshToken, serverResponse.refresh_token]),
+            expiresAt: resolveTokenExpiry(serverResponse)
         };
     }
 
+    /**
+     * Obtiene el rol del usuario de la respuesta de login (`role` o `user.role`).
+     * 
+     * @param {any} serverResponse - Cuerpo de la respuesta de autenticacion.
+     * @returns {string} Rol reconocido o el rol por defecto de la configuracion.
+     */
+    function resolveRole(serverResponse) {
+        var role = serverResponse.role !== undefined ? serverResponse.role : (serverResponse.user && serverResponse.user.role);
+        return PermissionService.normalizeRole(role);
+    }
+
+    /**
+     * Devuelve el primer token no vacio. Acepta los nombres de campo habituales del webhook.
+     * 
+     * @param {any[]} candidates - Valores posibles del token.
+     * @returns {string|null} Token o null si ninguno es valido.
+     */
+    function pickToken(candidates) {
+        for (var i = 0; i < candidates.length; i++) {
+            if (typeof candidates[i] === 'string' && candidates[i].trim() !== '') {
+                return candidates[i].trim();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Calcula la caducidad del token a partir de `expires_in` (segundos).
+     * 
+     * @param {any} serverResponse - Cuerpo de la respuesta de autenticacion.
+     * @returns {number|null} Timestamp de caducidad o null si el servidor no la indica.
+     */
+    function resolveTokenExpiry(serverResponse) {
+        var expiresInSeconds = Number(serverResponse.expires_in !== undefined ? serverResponse.expires_in : serverResponse.expiresIn);
+
+        if (!isFinite(expiresInSeconds) || expiresInSeconds <= 0) {
+            return null;
+        }
+
+        return Date.now() + expiresInSeconds * 1000;
+    }
+
     // API publica del modulo
     return {
-        authenticate: authenticate
+        authenticate: authenticate,
+        verifyMfaCode: verifyMfaCode,
+        extractTokens: extractTokens
     };
 
 })();
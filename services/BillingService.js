@@ -0,0 +1,727 @@
+/**
+ * Servicio de facturacion.
+ * Resuelve el plan contratado por la cuenta y el catalogo de planes.
+ * El plan, las fechas del ciclo y los minutos incluidos llegan en la respuesta
+ * del login o de las estadisticas y se guardan con el usuario de la sesion.
+ * El catalogo se pide a API_ENDPOINTS.PLANS_CATALOG; si no esta configurado
+ * o falla, se usa el array estatico AppConfig.BILLING.PLANS.
+ * Las solicitudes de cambio de plan se envian a API_ENDPOINTS.UPGRADE_REQUEST y
+ * quedan pendientes, por usuario, hasta que el plan de la cuenta cambia.
+ *
+ * @file BillingService.js
+ * @description Plan de la cuenta, catalogo de planes y solicitudes de cambio de plan.
+ */
+
+var BillingService = (function () {
+    'use strict';
+
+    var DEFAULT_PERIOD_LABEL = '/mes';
+    var ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+    /** @type {PlanDefinition[]|null} */
+    var remoteCatalog = null;
+
+    /**
+     * Lee el plan de la cuenta de una respuesta de login o de estadisticas.
+     * Acepta `plan` como clave o como objeto, en la raiz o dentro de `account`/`user`.
+     *
+     * @param {any} payload - Respuesta del servidor.
+     * @returns {AccountPlan|null} Plan de la cuenta o null si la respuesta no lo incluye.
+     */
+    function extractAccountPlan(payload) {
+        if (!payload || typeof payload !== 'object') {
+            return null;
+        }
+
+        var containers = [payload.account, payload.user, payload].filter(function (container) {
+            return container && typeof container === 'object';
+        });
+
+        for (var i = 0; i < containers.length; i++) {
+            var accountPlan = parseAccountPlan(containers[i]);
+            if (accountPlan !== null) {
+                return accountPlan;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {any} container - Objeto que puede llevar el campo `plan`.
+     * @returns {AccountPlan|null}
+     */
+    function parseAccountPlan(container) {
+        var planField = container.plan;
+        var isPlanObject = planField !== null && typeof planField === 'object';
+
+        if (typeof planField !== 'string' && !isPlanObject) {
+            return null;
+        }
+
+        // Con `plan` como clave, minutos y ciclo pueden venir junto a el en el mismo objeto
+        var planDetails = isPlanObject ? planField : {};
+        var planKey = isPlanObject
+            ? pickString([planDetails.key, planDetails.plan_key, planDetails.planKey, planDetails.id])
+            : pickString([planField]);
+
+        if (planKey === null) {
+            return null;
+        }
+
+        return {
+            key: planKey.toLowerCase(),
+            displayName: pickString([planDetails.display_name, planDetails.displayName, planDetails.name]),
+            minutesIncluded: pickPositiveNumber([
+                planDetails.minutes_included,
+                planDetails.minutesIncluded,
+                planDetails.included_minutes,
+                container.minutes_included,
+                container.minutesIncluded
+            ]),
+            overageRatePerMinute: pickPositiveNumber([
+                planDetails.overage_rate_per_minute,
+                planDetails.overageRatePerMinute,
+                container.overage_rate_per_minute,
+                container.overageRatePerMinute
+            ]),
+            cycleStart: pickDate([
+                planDetails.cycle_start,
+                planDetails.cycleStart,
+                planDetails.current_period_start,
+                container.billing_cycle_start,
+                container.billingCycleStart
+            ]),
+            cycleEnd: pickDate([
+                planDetails.cycle_end,
+                planDetails.cycleEnd,
+                planDetails.current_period_end,
+                container.billing_cycle_end,
+                container.billingCycleEnd
+            ]),
+            startedAt: pickDate([
+                planDetails.started_at,
+                planDetails.startedAt,
+                container.plan_started_at,
+                container.planStartedAt
+            ]),
+            cycleHistory: parseCycleHistory(planDetails.cycle_history || planDetails.cycleHistory ||
+                container.cycle_history || container.cycleHistory)
+        };
+    }
+
+    /**
+     * @param {any} rawHistory - Lista `[{ cycle_start, minutes_included }]` de ciclos anteriores.
+     * @returns {CycleIncludedMinutes[]} Entradas validas; vacia si no hay historial.
+     */
+    function parseCycleHistory(rawHistory) {
+        if (!Array.isArray(rawHistory)) {
+            return [];
+        }
+
+        /** @type {CycleIncludedMinutes[]} */
+        var history = [];
+
+        rawHistory.forEach(function (entry) {
+            if (!entry || typeof entry !== 'object') {
+                return;
+            }
+
+            var cycleStart = pickDate([entry.cycle_start, entry.cycleStart, entry.start]);
+            var minutesIncluded = pickPositiveNumber([entry.minutes_included, entry.minutesIncluded, entry.included_minutes]);
+
+            if (cycleStart !== null && minutesIncluded !== null) {
+                history.push({ cycleStart: cycleStart, minutesIncluded: minutesIncluded });
+            }
+        });
+
+        return history;
+    }
+
+    /**
+     * Guarda en la sesion el plan que venga en la respuesta.
+     *
+     * @param {any} payload - Respuesta de estadisticas u otra que incluya el plan.
+     * @returns {boolean} True si el plan de la cuenta ha cambiado.
+     */
+    function updateFromResponse(payload) {
+        var accountPlan = extractAccountPlan(payload);
+        if (accountPlan === null) {
+            return false;
+        }
+
+        var currentPlan = getAccountPlan();
+        if (currentPlan !== null && JSON.stringify(currentPlan) === JSON.stringify(accountPlan)) {
+            return false;
+        }
+
+        return SessionManager.updateUser({ plan: accountPlan });
+    }
+
+    /**
+     * @returns {AccountPlan|null} Plan guardado con el usuario de la sesion.
+     */
+    function getAccountPlan() {
+        var sessionData = SessionManager.getSession();
+        return sessionData !== null && sessionData.user.plan ? sessionData.user.plan : null;
+    }
+
+    /**
+     * Pide el catalogo de planes al servidor. Sin endpoint, con error o sin planes
+     * validos, el catalogo sigue siendo el estatico de la configuracion.
+     *
+     * @returns {Promise<boolean>} True si se cargo el catalogo del servidor.
+     */
+    async function loadPlanCatalog() {
+        var catalogEndpoint = AppConfig.API_ENDPOINTS.PLANS_CATALOG;
+        if (!catalogEndpoint) {
+            return false;
+        }
+
+        /** @type {ApiResult<any>} */
+        var result = await ApiClient.get(catalogEndpoint, { requestKey: 'plans-catalog' });
+        if (!result.ok) {
+            if (result.error.kind !== 'aborted') {
+                console.warn('BillingService.loadPlanCatalog: se usa el catalogo estatico', result.error.message);
+            }
+            return false;
+        }
+
+        var rawPlans = Array.isArray(result.data) ? result.data : (result.data && result.data.plans);
+        var plans = Array.isArray(rawPlans) ? rawPlans.map(normalizeCatalogPlan).filter(isPlanDefinition) : [];
+
+        if (plans.length === 0) {
+            console.warn('BillingService.loadPlanCatalog: el catalogo del servidor no tiene planes validos');
+            return false;
+        }
+
+        remoteCatalog = plans;
+        return true;
+    }
+
+    /**
+     * @param {any} rawPlan - Plan tal como llega del catalogo.
+     * @returns {PlanDefinition|null}
+     */
+    function normalizeCatalogPlan(rawPlan) {
+        if (!rawPlan || typeof rawPlan !== 'object') {
+            return null;
+        }
+
+        var planKey = pickString([rawPlan.key, rawPlan.plan_key, rawPlan.id]);
+        var minutesIncluded = pickPositiveNumber([rawPlan.minutes_included, rawPlan.minutesIncluded, rawPlan.included_minutes]);
+
+        if (!planKey || minutesIncluded === null) {
+            return null;
+        }
+
+        var priceLabel = pickString([rawPlan.price_label, rawPlan.priceLabel]);
+        if (priceLabel === null && typeof rawPlan.price === 'number') {
+            priceLabel = formatPrice(rawPlan.price, pickString([rawPlan.currency]) || 'EUR');
+        }
+
+        return {
+            key: planKey.trim().toLowerCase(),
+            displayName: pickString([rawPlan.display_name, rawPlan.displayName, rawPlan.name]) || planKey,
+            priceLabel: priceLabel || '',
+            periodLabel: pickString([rawPlan.period_label, rawPlan.periodLabel]) || DEFAULT_PERIOD_LABEL,
+            minutesIncluded: minutesIncluded,
+            overageRatePerMinute: pickPositiveNumber([rawPlan.overage_rate_per_minute, rawPlan.overageRatePerMinute]) || 0,
+            features: Array.isArray(rawPlan.features)
+                ? rawPlan.features.filter(function (/** @type {any} */ feature) { return typeof feature === 'string'; })
+                : []
+        };
+    }
+
+    /**
+     * @param {PlanDefinition|null} plan
+     * @returns {plan is PlanDefinition}
+     */
+    function isPlanDefinition(plan) {
+        return plan !== null;
+    }
+
+    /**
+     * @returns {PlanDefinition[]} Catalogo del servidor o, si no hay, el estatico.
+     */
+    function getPlans() {
+        if (remoteCatalog !== null) {
+            return remoteCatalog;
+        }
+
+        return Array.isArray(AppConfig.BILLING.PLANS) ? AppConfig.BILLING.PLANS : [];
+    }
+
+    /**
+     * @param {PlanKey} planKey - Clave del plan.
+     * @returns {PlanDefinition|null} Plan del catalogo o null si no existe.
+     */
+    function findPlan(planKey) {
+        var plans = getPlans();
+
+        for (var i = 0; i < plans.length; i++) {
+            if (plans[i].key === planKey) {
+                return plans[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Plan actual de la cuenta: el del catalogo con los datos que envie el servidor
+     * (nombre y minutos incluidos) por encima. Sin plan en la sesion se usa
+     * BILLING.CURRENT_PLAN_KEY, y si tampoco existe, el primer plan del catalogo.
+     *
+     * @returns {PlanDefinition|null}
+     */
+    function getCurrentPlan() {
+        var accountPlan = getAccountPlan();
+
+        if (accountPlan === null) {
+            return getConfiguredPlan();
+        }
+
+        var catalogPlan = findPlan(accountPlan.key);
+
+        // Planes a medida que no estan en el catalogo se muestran con los datos de la cuenta
+        if (catalogPlan === null && accountPlan.minutesIncluded === null) {
+            console.warn('BillingService.getCurrentPlan: plan "' + accountPlan.key + '" sin minutos incluidos ni entrada en el catalogo');
+            return getConfiguredPlan();
+        }
+
+        return {
+            key: accountPlan.key,
+            displayName: accountPlan.displayName || (catalogPlan !== null ? catalogPlan.displayName : accountPlan.key),
+            priceLabel: catalogPlan !== null ? catalogPlan.priceLabel : '',
+            periodLabel: catalogPlan !== null ? catalogPlan.periodLabel : DEFAULT_PERIOD_LABEL,
+            minutesIncluded: accountPlan.minutesIncluded !== null
+                ? accountPlan.minutesIncluded
+                : /** @type {PlanDefinition} */ (catalogPlan).minutesIncluded,
+            overageRatePerMinute: resolveOverageRate(accountPlan, catalogPlan),
+            features: catalogPlan !== null ? catalogPlan.features : []
+        };
+    }
+
+    /**
+     * Sesiones guardadas antes de existir la tarifa de exceso no tienen el campo.
+     *
+     * @param {AccountPlan} accountPlan - Plan de la cuenta.
+     * @param {PlanDefinition|null} catalogPlan - Plan del catalogo con la misma clave.
+     * @returns {number} Precio por minuto de exceso, 0 si no hay tarifa.
+     */
+    function resolveOverageRate(accountPlan, catalogPlan) {
+        if (typeof accountPlan.overageRatePerMinute === 'number') {
+            return accountPlan.overageRatePerMinute;
+        }
+
+        return catalogPlan !== null ? catalogPlan.overageRatePerMinute || 0 : 0;
+    }
+
+    /**
+     * @returns {PlanDefinition|null} Plan de BILLING.CURRENT_PLAN_KEY o el primero del catalogo.
+     */
+    function getConfiguredPlan() {
+        return findPlan(AppConfig.BILLING.CURRENT_PLAN_KEY) || getPlans()[0] || null;
+    }
+
+    /**
+     * Plan recomendado para mejorar: BILLING.RECOMMENDED_PLAN_KEY si ofrece mas minutos
+     * que el actual, o el siguiente plan del catalogo por minutos incluidos.
+     *
+     * @param {PlanDefinition} currentPlan - Plan actual de la cuenta.
+     * @returns {PlanDefinition} Plan recomendado, o el actual si no hay ninguno mayor.
+     */
+    function getRecommendedPlan(currentPlan) {
+        var configuredPlan = findPlan(AppConfig.BILLING.RECOMMENDED_PLAN_KEY);
+        if (configuredPlan !== null && configuredPlan.minutesIncluded > currentPlan.minutesIncluded) {
+            return configuredPlan;
+        }
+
+        var largerPlans = getPlans().filter(function (plan) {
+            return plan.minutesIncluded > currentPlan.minutesIncluded;
+        }).sort(function (planA, planB) {
+            return planA.minutesIncluded - planB.minutesIncluded;
+        });
+
+        return largerPlans.length > 0 ? largerPlans[0] : currentPlan;
+    }
+
+    /**
+     * Ciclo de facturacion actual: las fechas que envia el servidor o, si faltan,
+     * el ciclo que empieza el dia BILLING.CYCLE_ANCHOR_DAY.
+     * Si el ciclo del servidor ya termino (plan guardado antes de la renovacion)
+     * se calcula el siguiente con el mismo dia de inicio.
+     *
+     * @returns {BillingCycle}
+     */
+    function getCurrentCycle() {
+        var now = new Date();
+        var serverCycle = getServerCycle();
+
+        if (serverCycle !== null && now < serverCycle.end) {
+            return serverCycle;
+        }
+
+        return getCycleContaining(now, getCycleAnchorDay());
+    }
+
+    /**
+     * Ciclos anteriores al actual, del mas reciente al mas antiguo.
+     *
+     * @param {number} count - Numero de ciclos.
+     * @returns {BillingCycle[]}
+     */
+    function getPreviousCycles(count) {
+        var anchorDay = getCycleAnchorDay();
+        var cycleEnd = getCurrentCycle().start;
+        /** @type {BillingCycle[]} */
+        var previousCycles = [];
+
+        for (var index = 0; index < count; index++) {
+            var cycleStart = getAnchorDate(cycleEnd.getFullYear(), cycleEnd.getMonth() - 1, anchorDay);
+            previousCycles.push({ start: cycleStart, end: cycleEnd });
+            cycleEnd = cycleStart;
+        }
+
+        return previousCycles;
+    }
+
+    /**
+     * @returns {BillingCycle|null} Ciclo enviado por el servidor, si incluye ambas fechas.
+     */
+    function getServerCycle() {
+        var accountPlan = getAccountPlan();
+
+        if (accountPlan === null || accountPlan.cycleStart === null || accountPlan.cycleEnd === null) {
+            return null;
+        }
+
+        return {
+            start: new Date(accountPlan.cycleStart),
+            end: new Date(accountPlan.cycleEnd)
+        };
+    }
+
+    /**
+     * Minutos incluidos en un ciclo anterior. Mandan los del historial del servidor; si no
+     * los hay, valen los del plan actual solo si ya estaba contratado al empezar el ciclo.
+     * Comparar con el plan actual un ciclo anterior a un cambio de plan daria un porcentaje falso.
+     *
+     * @param {BillingCycle} cycle - Ciclo anterior.
+     * @returns {number|null} Minutos incluidos, o null si no se sabe que plan tenia el ciclo.
+     */
+    function getIncludedMinutesForCycle(cycle) {
+        var accountPlan = getAccountPlan();
+        if (accountPlan === null) {
+            return null;
+        }
+
+        var history = accountPlan.cycleHistory || [];
+        for (var i = 0; i < history.length; i++) {
+            // El servidor puede fijar el inicio a otra hora del mismo dia
+            if (Math.abs(new Date(history[i].cycleStart).getTime() - cycle.start.getTime()) < ONE_DAY_MS) {
+                return history[i].minutesIncluded;
+            }
+        }
+
+        var currentPlan = getCurrentPlan();
+        if (!accountPlan.startedAt || currentPlan === null || new Date(accountPlan.startedAt) > cycle.start) {
+            return null;
+        }
+
+        return currentPlan.minutesIncluded;
+    }
+
+    /**
+     * El dia de inicio del ciclo del servidor manda sobre el configurado.
+     *
+     * @returns {number} Dia del mes en que empieza cada ciclo.
+     */
+    function getCycleAnchorDay() {
+        var serverCycle = getServerCycle();
+        return serverCycle !== null ? serverCycle.start.getDate() : AppConfig.BILLING.CYCLE_ANCHOR_DAY;
+    }
+
+    /**
+     * @param {Date} date - Fecha de referencia.
+     * @param {number} anchorDay - Dia del mes en que empieza cada ciclo.
+     * @returns {BillingCycle} Ciclo que contiene la fecha.
+     */
+    function getCycleContaining(date, anchorDay) {
+        var cycleStart = getAnchorDate(date.getFullYear(), date.getMonth(), anchorDay);
+
+        if (date < cycleStart) {
+            cycleStart = getAnchorDate(date.getFullYear(), date.getMonth() - 1, anchorDay);
+        }
+
+        return {
+            start: cycleStart,
+            end: getAnchorDate(cycleStart.getFullYear(), cycleStart.getMonth() + 1, anchorDay)
+        };
+    }
+
+    /**
+     * Inicio del ciclo en un mes; los meses sin ese dia empiezan el ultimo dia.
+     *
+     * @param {number} year - Anio.
+     * @param {number} month - Mes (0-11; se admiten valores fuera de rango como en Date).
+     * @param {number} anchorDay - Dia del mes en que empieza cada ciclo.
+     * @returns {Date}
+     */
+    function getAnchorDate(year, month, anchorDay) {
+        var daysInMonth = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(anchorDay, daysInMonth));
+    }
+
+    /**
+     * @returns {boolean} True si hay endpoint para registrar las solicitudes de cambio de plan.
+     */
+    function isUpgradeRequestEnabled() {
+        return !!AppConfig.API_ENDPOINTS.UPGRADE_REQUEST;
+    }
+
+    /**
+     * Envia la solicitud de cambio de plan con el usuario y el consumo del ciclo.
+     * Si el servidor la acepta queda guardada como pendiente.
+     *
+     * @param {PlanDefinition} currentPlan - Plan actual de la cuenta.
+     * @param {PlanDefinition} targetPlan - Plan solicitado.
+     * @param {UpgradeChannel} channel - Canal elegido para continuar.
+     * @param {string} notes - Comentarios del usuario.
+     * @param {UsageSnapshot|null} usageSnapshot - Consumo del ciclo, si ya se calculo.
+     * @returns {Promise<UpgradeRequestResult>}
+     */
+    async function submitUpgradeRequest(currentPlan, targetPlan, channel, notes, usageSnapshot) {
+        var requestedAt = new Date().toISOString();
+
+        var result = await ApiClient.post(AppConfig.API_ENDPOINTS.UPGRADE_REQUEST, {
+            username: SessionManager.getCurrentUsername(),
+            role: PermissionService.getCurrentRole(),
+            current_plan: describePlanForRequest(currentPlan),
+            target_plan: describePlanForRequest(targetPlan),
+            channel: channel,
+            notes: notes,
+            usage: usageSnapshot === null ? null : {
+                cycle_start: usageSnapshot.cycleStart,
+                cycle_end: usageSnapshot.cycleEnd,
+                used_minutes: Math.round(usageSnapshot.usedMinutes * 100) / 100,
+                minutes_included: usageSnapshot.minutesIncluded,
+                projected_minutes: Math.round(usageSnapshot.projectedMinutes),
+                estimated_overage_cost: Math.round(usageSnapshot.estimatedOverageCost * 100) / 100
+            },
+            requested_at: requestedAt
+        });
+
+        if (!result.ok) {
+            return { success: false, message: result.error.message };
+        }
+
+        var responseData = result.data || {};
+        if (responseData.success === false || responseData.status === 'error') {
+            return {
+                success: false,
+                message: pickString([responseData.message]) || 'No se pudo registrar la solicitud. Intenta de nuevo.'
+            };
+        }
+
+        savePendingUpgradeRequest({
+            currentPlanKey: currentPlan.key,
+            targetPlanKey: targetPlan.key,
+            channel: channel,
+            requestedAt: requestedAt,
+            requestId: pickString([responseData.request_id, responseData.requestId, responseData.id])
+        });
+
+        return { success: true, message: '' };
+    }
+
+    /**
+     * @param {PlanDefinition} plan
+     * @returns {{ key: string, name: string, minutes_included: number }}
+     */
+    function describePlanForRequest(plan) {
+        return {
+            key: plan.key,
+            name: plan.displayName,
+            minutes_included: plan.minutesIncluded
+        };
+    }
+
+    /**
+     * Solicitud pendiente del usuario de la sesion. Se descarta cuando el plan
+     * de la cuenta ya no es el que tenia al solicitarla: el cambio se ha aplicado.
+     *
+     * @returns {PendingUpgradeRequest|null}
+     */
+    function getPendingUpgradeRequest() {
+        var username = SessionManager.getCurrentUsername();
+        if (username === null) {
+            return null;
+        }
+
+        var pendingRequests = readPendingUpgradeRequests();
+        var pendingRequest = pendingRequests[username] || null;
+        var currentPlan = getCurrentPlan();
+
+        if (pendingRequest !== null && currentPlan !== null && currentPlan.key !== pendingRequest.currentPlanKey) {
+            delete pendingRequests[username];
+            writePendingUpgradeRequests(pendingRequests);
+            return null;
+        }
+
+        return pendingRequest;
+    }
+
+    /**
+     * @param {PendingUpgradeRequest} pendingRequest
+     */
+    function savePendingUpgradeRequest(pendingRequest) {
+        var username = SessionManager.getCurrentUsername();
+        if (username === null) {
+            return;
+        }
+
+        var pendingRequests = readPendingUpgradeRequests();
+        pendingRequests[username] = pendingRequest;
+        writePendingUpgradeRequests(pendingRequests);
+    }
+
+    /**
+     * @returns {{ [username: string]: PendingUpgradeRequest }} Solicitudes pendientes por usuario.
+     */
+    function readPendingUpgradeRequests() {
+        try {
+            var parsedRequests = JSON.parse(localStorage.getItem(AppConfig.STORAGE_KEYS.UPGRADE_REQUEST) || '{}');
+            return parsedRequests && typeof parsedRequests === 'object' ? parsedRequests : {};
+        } catch (parseError) {
+            console.error('BillingService.readPendingUpgradeRequests: Error al parsear solicitudes', parseError);
+            return {};
+        }
+    }
+
+    /**
+     * @param {{ [username: string]: PendingUpgradeRequest }} pendingRequests
+     */
+    function writePendingUpgradeRequests(pendingRequests) {
+        if (Object.keys(pendingRequests).length === 0) {
+            localStorage.removeItem(AppConfig.STORAGE_KEYS.UPGRADE_REQUEST);
+            return;
+        }
+
+        localStorage.setItem(AppConfig.STORAGE_KEYS.UPGRADE_REQUEST, JSON.stringify(pendingRequests));
+    }
+
+    /**
+     * @param {BillingCycle} cycle - Ciclo de facturacion.
+     * @returns {string} Fechas del ciclo para mostrar (ej: 01 oct – 31 oct).
+     */
+    function describeCycle(cycle) {
+        // El fin puede ser el ultimo instante del ciclo o el primero del siguiente
+        var lastDay = new Date(cycle.end.getTime() - 1);
+        var dateFormat = { day: '2-digit', month: 'short' };
+
+        return cycle.start.toLocaleDateString('es-ES', /** @type {Intl.DateTimeFormatOptions} */ (dateFormat)) +
+            ' – ' + lastDay.toLocaleDateString('es-ES', /** @type {Intl.DateTimeFormatOptions} */ (dateFormat));
+    }
+
+    /**
+     * Importe con la moneda de BILLING.CURRENCY (ej: 12,50 €).
+     *
+     * @param {number} amount - Importe.
+     * @returns {string}
+     */
+    function formatAmount(amount) {
+        try {
+            return amount.toLocaleString('es-ES', { style: 'currency', currency: AppConfig.BILLING.CURRENCY });
+        } catch (formatError) {
+            return amount.toFixed(2) + ' ' + AppConfig.BILLING.CURRENCY;
+        }
+    }
+
+    /**
+     * @param {number} price - Importe numerico del catalogo.
+     * @param {string} currency - Codigo ISO de la moneda.
+     * @returns {string} Precio con el mismo formato que las etiquetas estaticas (ej: 1.495€).
+     */
+    function formatPrice(price, currency) {
+        try {
+            return new Intl.NumberFormat('es-ES', {
+                style: 'currency',
+                currency: currency,
+                maximumFractionDigits: 0,
+                useGrouping: true
+            }).format(price).replace(/\s/g, '');
+        } catch (formatError) {
+            return price + ' ' + currency;
+        }
+    }
+
+    /**
+     * @param {any[]} candidates
+     * @returns {string|null} Primer texto no vacio.
+     */
+    function pickString(candidates) {
+        for (var i = 0; i < candidates.length; i++) {
+            if (typeof candidates[i] === 'string' && candidates[i].trim() !== '') {
+                return candidates[i].trim();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {any[]} candidates
+     * @returns {number|null} Primer numero positivo, aunque llegue como texto.
+     */
+    function pickPositiveNumber(candidates) {
+        for (var i = 0; i < candidates.length; i++) {
+            var value = Number(candidates[i]);
+            if (candidates[i] !== null && candidates[i] !== '' && isFinite(value) && value > 0) {
+                return value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {any[]} candidates
+     * @returns {string|null} Primera fecha valida en formato ISO.
+     */
+    function pickDate(candidates) {
+        for (var i = 0; i < candidates.length; i++) {
+            if (typeof candidates[i] !== 'string' && typeof candidates[i] !== 'number') {
+                continue;
+            }
+
+            var parsedDate = new Date(candidates[i]);
+            if (!isNaN(parsedDate.getTime())) {
+                return parsedDate.toISOString();
+            }
+        }
+
+        return null;
+    }
+
+    // API publica del modulo
+    return {
+        extractAccountPlan: extractAccountPlan,
+        updateFromResponse: updateFromResponse,
+        loadPlanCatalog: loadPlanCatalog,
+        getPlans: getPlans,
+        findPlan: findPlan,
+        getCurrentPlan: getCurrentPlan,
+        getRecommendedPlan: getRecommendedPlan,
+        getCurrentCycle: getCurrentCycle,
+        getPreviousCycles: getPreviousCycles,
+        getIncludedMinutesForCycle: getIncludedMinutesForCycle,
+        describeCycle: describeCycle,
+        formatAmount: formatAmount,
+        isUpgradeRequestEnabled: isUpgradeRequestEnabled,
+        submitUpgradeRequest: submitUpgradeRequest,
+        getPendingUpgradeRequest: getPendingUpgradeRequest
+    };
+
+})();
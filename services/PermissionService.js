@@ -0,0 +1,116 @@
+/**
+ * Servicio de permisos.
+ * Traduce el rol del usuario de la sesion en permisos concretos segun
+ * AppConfig.ACCESS_CONTROL. Los modulos preguntan por permisos con `can()` y
+ * nunca comparan roles, asi cambiar lo que puede hacer un rol es solo configuracion.
+ * Es un control de interfaz: los endpoints deben validar el rol por su cuenta.
+ *
+ * @file PermissionService.js
+ * @description Comprobacion central de permisos por rol.
+ */
+
+var PermissionService = (function () {
+    'use strict';
+
+    // Digitos finales que se muestran de un telefono enmascarado
+    var VISIBLE_PHONE_DIGITS = 3;
+
+    // can() se llama por cada fila al pintar, filtrar y exportar: el rol se lee de la sesion
+    // una sola vez por revision en lugar de parsearla en cada llamada
+    /** @type {{ revision: number, role: string }|null} */
+    var cachedRole = null;
+
+    /**
+     * Obtiene el rol del usuario de la sesion actual.
+     *
+     * @returns {string} Rol configurado en ROLE_PERMISSIONS, o DEFAULT_ROLE si falta o no se reconoce.
+     */
+    function getCurrentRole() {
+        var revision = SessionManager.getSessionRevision();
+        if (cachedRole !== null && cachedRole.revision === revision) {
+            return cachedRole.role;
+        }
+
+        var sessionData = SessionManager.getSession();
+        if (sessionData === null) {
+            return normalizeRole(null);
+        }
+
+        cachedRole = { revision: revision, role: normalizeRole(sessionData.user.role) };
+        return cachedRole.role;
+    }
+
+    /**
+     * Valida un rol recibido del servidor contra los roles configurados.
+     *
+     * @param {any} role - Rol tal como llega en la respuesta de autenticacion.
+     * @returns {string} Rol en minusculas, o DEFAULT_ROLE si no existe en la configuracion.
+     */
+    function normalizeRole(role) {
+        var accessControl = AppConfig.ACCESS_CONTROL;
+        var normalizedRole = typeof role === 'string' ? role.trim().toLowerCase() : '';
+
+        if (Object.prototype.hasOwnProperty.call(accessControl.ROLE_PERMISSIONS, normalizedRole)) {
+            return normalizedRole;
+        }
+
+        return accessControl.DEFAULT_ROLE;
+    }
+
+    /**
+     * Comprueba si el usuario actual tiene un permiso.
+     *
+     * @param {Permission} permission - Permiso a comprobar.
+     * @returns {boolean} True si el rol del usuario incluye el permiso.
+     */
+    function can(permission) {
+        var permissions = AppConfig.ACCESS_CONTROL.ROLE_PERMISSIONS[getCurrentRole()] || [];
+        return permissions.indexOf(permission) !== -1;
+    }
+
+    /**
+     * Oculta los elementos marcados con `data-requires-permission` cuyo permiso no tiene el usuario.
+     * Se llama al entrar en el panel, antes de mostrarlo.
+     */
+    function applyToDocument() {
+        document.querySelectorAll('[data-requires-permission]').forEach(function (element) {
+            var permission = /** @type {Permission} */ (element.getAttribute('data-requires-permission') || '');
+            element.classList.toggle('is-hidden', !can(permission));
+        });
+    }
+
+    /**
+     * Devuelve el telefono tal como puede verlo el usuario: completo con el permiso
+     * `phones.view_full`, o con solo los ultimos digitos visibles.
+     *
+     * @param {string} phoneNumber - Telefono original.
+     * @returns {string} Telefono completo o enmascarado.
+     */
+    function formatPhoneNumber(phoneNumber) {
+        if (!phoneNumber || can('phones.view_full')) {
+            return phoneNumber;
+        }
+
+        var digits = phoneNumber.replace(/\D/g, '');
+
+        // Valores como "anonymous" o "Desconocido" no contienen datos que ocultar
+        if (digits.length === 0) {
+            return phoneNumber;
+        }
+
+        var prefix = phoneNumber.trim().charAt(0) === '+' ? '+' : '';
+        var visibleDigits = digits.length > VISIBLE_PHONE_DIGITS * 2 ? digits.slice(-VISIBLE_PHONE_DIGITS) : '';
+
+        return prefix + '••• ••• ' + (visibleDigits || '•••');
+    }
+
+    // API publica del modulo
+    return {
+        can: can,
+        getCurrentRole: getCurrentRole,
+        normalizeRole: normalizeRole,
+        applyToDocument: applyToDocument,
+        formatPhoneNumber: formatPhoneNumber
+    };
+
+})();
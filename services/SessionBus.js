@@ -0,0 +1,168 @@
+/**
+ * Bus de sesion entre pestanas.
+ * Propaga login, logout, renovaciones de token y actividad entre las pestanas
+ * abiertas del mismo origen mediante BroadcastChannel.
+ *
+ * @file SessionBus.js
+ * @description Sincroniza el estado de autenticacion entre pestanas del dashboard.
+ */
+
+/**
+ * @typedef {'login'|'logout'|'renewed'|'activity'|'request-session'|'session-snapshot'} SessionBusMessageType
+ */
+
+/**
+ * @typedef {Object} SessionBusMessage
+ * @property {SessionBusMessageType} type - Tipo de evento.
+ * @property {SessionData|null} sessionData - Sesion que acompana al evento, si aplica.
+ * @property {string} senderId - Identificador de la pestana que publica.
+ * @property {string} [requestId] - Empareja una respuesta `session-snapshot` con su peticion.
+ */
+
+var SessionBus = (function () {
+    'use strict';
+
+    var CHANNEL_NAME = 'dashboard-session';
+
+    /** @type {string} */
+    var tabId = createId();
+    /** @type {BroadcastChannel|null} */
+    var channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    /** @type {{ [type: string]: Array<(message: SessionBusMessage) => void> }} */
+    var listeners = {};
+
+    if (channel !== null) {
+        channel.addEventListener('message', function (event) {
+            handleMessage(event.data);
+        });
+    }
+
+    /**
+     * Publica un evento para el resto de pestanas. La pestana emisora no lo recibe.
+     *
+     * @param {SessionBusMessageType} type - Tipo de evento.
+     * @param {SessionData|null} [sessionData] - Sesion a compartir.
+     * @param {string} [requestId] - Identificador de la peticion a la que se responde.
+     */
+    function publish(type, sessionData, requestId) {
+        if (channel === null) {
+            return;
+        }
+
+        /** @type {SessionBusMessage} */
+        var message = {
+            type: type,
+            sessionData: sessionData || null,
+            senderId: tabId
+        };
+
+        if (requestId) {
+            message.requestId = requestId;
+        }
+
+        channel.postMessage(message);
+    }
+
+    /**
+     * Registra un listener para un tipo de evento.
+     *
+     * @param {SessionBusMessageType} type - Tipo de evento.
+     * @param {(message: SessionBusMessage) => void} listener - Funcion a ejecutar.
+     */
+    function subscribe(type, listener) {
+        if (!listeners[type]) {
+            listeners[type] = [];
+        }
+
+        listeners[type].push(listener);
+    }
+
+    /**
+     * Pide la sesion a las demas pestanas. Sirve para que una pestana nueva no
+     * obligue a iniciar sesion si ya hay otra autenticada.
+     *
+     * @param {number} timeoutMs - Espera maxima de respuesta.
+     * @returns {Promise<SessionData|null>} Sesion recibida o null si nadie responde.
+     */
+    function requestSession(timeoutMs) {
+        return new Promise(function (resolve) {
+            if (channel === null) {
+                resolve(null);
+                return;
+            }
+
+            var requestId = createId();
+            var isSettled = false;
+
+            /** @param {SessionBusMessage} message */
+            var onSnapshot = function (message) {
+                if (isSettled || message.requestId !== requestId) {
+                    return;
+                }
+
+                isSettled = true;
+                unsubscribe('session-snapshot', onSnapshot);
+                resolve(message.sessionData);
+            };
+
+            subscribe('session-snapshot', onSnapshot);
+            publish('request-session', null, requestId);
+
+            window.setTimeout(function () {
+                if (!isSettled) {
+                    isSettled = true;
+                    unsubscribe('session-snapshot', onSnapshot);
+                    resolve(null);
+                }
+            }, timeoutMs);
+        });
+    }
+
+    /**
+     * @param {SessionBusMessageType} type - Tipo de evento.
+     * @param {(message: SessionBusMessage) => void} listener - Listener a eliminar.
+     */
+    function unsubscribe(type, listener) {
+        if (listeners[type]) {
+            listeners[type] = listeners[type].filter(function (registered) {
+                return registered !== listener;
+            });
+        }
+    }
+
+    /**
+     * @param {any} message - Datos recibidos por el canal.
+     */
+    function handleMessage(message) {
+        if (!message || typeof message.type !== 'string' || message.senderId === tabId) {
+            return;
+        }
+
+        // Cualquier pestana autenticada responde a las pestanas nuevas
+        if (message.type === 'request-session') {
+            if (SessionManager.isSessionValid()) {
+                publish('session-snapshot', SessionManager.getSession(), message.requestId);
+            }
+            return;
+        }
+
+        (listeners[message.type] || []).slice().forEach(function (listener) {
+            listener(message);
+        });
+    }
+
+    /**
+     * @returns {string} Identificador aleatorio.
+     */
+    function createId() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    // API publica del modulo
+    return {
+        publish: publish,
+        subscribe: subscribe,
+        requestSession: requestSession
+    };
+
+})();
@@ -2,6 +2,10 @@
  * Gestor de sesiones de usuario.
  * Utiliza sessionStorage para mantener el estado de autenticacion.
  * La sesion se elimina automaticamente al cerrar el navegador.
+ * Con "Recordar este dispositivo" se guarda ademas en localStorage el usuario y el
+ * refresh token (nunca el token de acceso) durante REMEMBER_DEVICE_DAYS.
+ * Cualquier script que se ejecute en la pagina puede leer ese token, por eso la opcion
+ * solo funciona si el despliegue activa SECURITY.REMEMBER_DEVICE_ENABLED.
  * 
  * @file SessionManager.js
  * @description Maneja la creacion, validacion y destruccion de sesiones de usuario.
@@ -10,26 +14,217 @@
 var SessionManager = (function () {
     'use strict';
 
+    // Aumenta con cada cambio de la sesion; permite a otros servicios cachear datos derivados
+    var sessionRevision = 0;
+
     /**
      * Crea una nueva sesion para el usuario autenticado.
-     * Almacena los datos del usuario junto con marcas de tiempo.
+     * Almacena los datos del usuario y los tokens junto con marcas de tiempo.
      * 
      * @param {UserData} userData - Objeto con los datos del usuario a almacenar.
+     * @param {AuthTokens|null} [tokens] - Tokens devueltos por el login.
+     * @param {boolean} [rememberDevice] - Guarda la sesion para recuperarla al volver a abrir el navegador.
      * @returns {void}
      */
-    function createSession(userData) {
-        var sessionDurationMs = AppConfig.SECURITY.SESSION_DURATION_MINUTES * 60 * 1000;
-        var currentTimestamp = Date.now();
+    function createSession(userData, tokens, rememberDevice) {
+        /** @type {SessionData} */
+        var sessionData = {
+            user: userData,
+            createdAt: Date.now(),
+            expiresAt: resolveExpiresAt(tokens || null)
+        };
+
+        applyTokens(sessionData, tokens || null);
+        saveSession(sessionData);
 
+        // Un login sin recordar no debe heredar la sesion recordada de otro usuario
+        if (rememberDevice && AppConfig.SECURITY.REMEMBER_DEVICE_ENABLED && sessionData.refreshToken) {
+            saveRememberedSession(userData, sessionData.refreshToken, Date.now());
+        } else {
+            forgetDevice();
+        }
+    }
+
+    /**
+     * Crea la sesion recuperada con "Recordar este dispositivo".
+     * Conserva la fecha del login con contrasena: el dispositivo se olvida REMEMBER_DEVICE_DAYS
+     * despues de ese login aunque se vuelva a abrir a menudo.
+     * 
+     * @param {RememberedSession} rememberedSession - Sesion recordada que se ha renovado.
+     * @param {AuthTokens} tokens - Tokens devueltos por la renovacion.
+     * @returns {void}
+     */
+    function resumeRememberedSession(rememberedSession, tokens) {
         /** @type {SessionData} */
         var sessionData = {
+            user: rememberedSession.user,
+            createdAt: Date.now(),
+            expiresAt: resolveExpiresAt(tokens),
+            refreshToken: rememberedSession.refreshToken
+        };
+
+        applyTokens(sessionData, tokens);
+        saveSession(sessionData);
+        saveRememberedSession(rememberedSession.user, sessionData.refreshToken || '', rememberedSession.rememberedAt);
+    }
+
+    /**
+     * Guarda una sesion recibida de otra pestana del mismo origen.
+     * 
+     * @param {any} sessionData - Sesion publicada por la otra pestana.
+     * @returns {boolean} False si los datos no tienen forma de sesion.
+     */
+    function adoptSession(sessionData) {
+        if (!sessionData || typeof sessionData.expiresAt !== 'number' || !sessionData.user ||
+            typeof sessionData.user.username !== 'string') {
+            return false;
+        }
+
+        saveSession(/** @type {SessionData} */ (sessionData));
+        return true;
+    }
+
+    /**
+     * Actualiza datos del usuario de la sesion actual, como el plan leido de las estadisticas.
+     * 
+     * @param {Partial<UserData>} changes - Campos del usuario a sustituir.
+     * @returns {boolean} False si no hay sesion.
+     */
+    function updateUser(changes) {
+        var sessionData = getSession();
+        if (sessionData === null) {
+            return false;
+        }
+
+        sessionData.user = Object.assign({}, sessionData.user, changes);
+        saveSession(sessionData);
+        return true;
+    }
+
+    /**
+     * Sustituye los tokens de la sesion actual tras una renovacion y amplia su caducidad.
+     * Si el servidor no rota el refresh token, se conserva el anterior.
+     * 
+     * @param {AuthTokens} tokens - Tokens devueltos por la renovacion.
+     * @returns {boolean} False si no habia sesion que renovar.
+     */
+    function renewSession(tokens) {
+        var sessionData = getSession();
+        if (sessionData === null) {
+            return false;
+        }
+
+        sessionData.expiresAt = resolveExpiresAt(tokens);
+        applyTokens(sessionData, tokens);
+        saveSession(sessionData);
+
+        // Los refresh tokens se rotan: el recordado debe seguir al ultimo emitido
+        var rememberedSession = getRememberedSession();
+        if (rememberedSession !== null && sessionData.refreshToken) {
+            rememberedSession.refreshToken = sessionData.refreshToken;
+            localStorage.setItem(AppConfig.STORAGE_KEYS.REMEMBERED_SESSION, JSON.stringify(rememberedSession));
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {UserData} userData - Usuario de la sesion.
+     * @param {string} refreshToken - Token con el que se recuperara la sesion.
+     * @param {number} rememberedAt - Timestamp del login con contrasena que marco la opcion.
+     */
+    function saveRememberedSession(userData, refreshToken, rememberedAt) {
+        /** @type {RememberedSession} */
+        var rememberedSession = {
             user: userData,
-            createdAt: currentTimestamp,
-            expiresAt: currentTimestamp + sessionDurationMs
+            refreshToken: refreshToken,
+            rememberedAt: rememberedAt
         };
 
+        localStorage.setItem(AppConfig.STORAGE_KEYS.REMEMBERED_SESSION, JSON.stringify(rememberedSession));
+    }
+
+    /**
+     * Obtiene la sesion recordada en este dispositivo si no ha caducado.
+     * La caducidad se calcula con el REMEMBER_DEVICE_DAYS vigente, asi que reducirlo afecta
+     * tambien a los dispositivos ya recordados.
+     * Si el despliegue ha desactivado la opcion, borra el token que quedara guardado.
+     * 
+     * @returns {RememberedSession|null} Sesion recordada o null si no existe, ha caducado o la opcion esta desactivada.
+     */
+    function getRememberedSession() {
+        var rawData = localStorage.getItem(AppConfig.STORAGE_KEYS.REMEMBERED_SESSION);
+        if (rawData === null) {
+            return null;
+        }
+
+        if (!AppConfig.SECURITY.REMEMBER_DEVICE_ENABLED) {
+            forgetDevice();
+            return null;
+        }
+
+        try {
+            var rememberedSession = JSON.parse(rawData);
+            var rememberDeviceMs = AppConfig.SECURITY.REMEMBER_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+            if (rememberedSession && typeof rememberedSession.rememberedAt === 'number' &&
+                rememberedSession.rememberedAt + rememberDeviceMs > Date.now() && rememberedSession.refreshToken) {
+                return rememberedSession;
+            }
+        } catch (parseError) {
+            console.error('SessionManager.getRememberedSession: Error al parsear sesion recordada', parseError);
+        }
+
+        forgetDevice();
+        return null;
+    }
+
+    /**
+     * Elimina la sesion recordada en este dispositivo.
+     */
+    function forgetDevice() {
+        localStorage.removeItem(AppConfig.STORAGE_KEYS.REMEMBERED_SESSION);
+    }
+
+    /**
+     * La sesion dura SESSION_DURATION_MINUTES salvo que el token caduque antes.
+     * 
+     * @param {AuthTokens|null} tokens - Tokens de la sesion.
+     * @returns {number} Timestamp de caducidad de la sesion.
+     */
+    function resolveExpiresAt(tokens) {
+        var sessionDurationMs = AppConfig.SECURITY.SESSION_DURATION_MINUTES * 60 * 1000;
+        var expiresAt = Date.now() + sessionDurationMs;
+
+        if (tokens !== null && typeof tokens.expiresAt === 'number' && tokens.expiresAt < expiresAt) {
+            expiresAt = tokens.expiresAt;
+        }
+
+        return expiresAt;
+    }
+
+    /**
+     * @param {SessionData} sessionData - Sesion a modificar.
+     * @param {AuthTokens|null} tokens - Tokens a guardar.
+     */
+    function applyTokens(sessionData, tokens) {
+        if (tokens === null) {
+            return;
+        }
+
+        sessionData.accessToken = tokens.accessToken;
+
+        if (tokens.refreshToken) {
+            sessionData.refreshToken = tokens.refreshToken;
+        }
+    }
+
+    /**
+     * @param {SessionData} sessionData - Sesion a persistir.
+     */
+    function saveSession(sessionData) {
         var serializedData = JSON.stringify(sessionData);
         sessionStorage.setItem(AppConfig.STORAGE_KEYS.SESSION, serializedData);
+        sessionRevision++;
     }
 
     /**
@@ -73,11 +268,24 @@ var SessionManager = (function () {
     }
 
     /**
-     * Destruye la sesion actual eliminando los datos del almacenamiento.
+     * Destruye la sesion actual eliminando los datos del almacenamiento,
+     * incluida la sesion recordada en el dispositivo.
      */
     function destroySession() {
         var storageKey = AppConfig.STORAGE_KEYS.SESSION;
         sessionStorage.removeItem(storageKey);
+        sessionRevision++;
+        forgetDevice();
+    }
+
+    /**
+     * Numero que cambia cada vez que se guarda o destruye la sesion en esta pestana.
+     * Solo SessionManager escribe la sesion, asi que un valor igual garantiza la misma sesion.
+     * 
+     * @returns {number} Revision actual de la sesion.
+     */
+    function getSessionRevision() {
+        return sessionRevision;
     }
 
     /**
@@ -95,13 +303,52 @@ var SessionManager = (function () {
         return sessionData.user.username;
     }
 
+    /**
+     * Obtiene el token de acceso de la sesion actual.
+     * 
+     * @returns {string|null} Token o null si no hay sesion valida o no tiene token.
+     */
+    function getAccessToken() {
+        if (!isSessionValid()) {
+            return null;
+        }
+
+        var sessionData = getSession();
+        return sessionData !== null && sessionData.accessToken ? sessionData.accessToken : null;
+    }
+
+    /**
+     * Obtiene el refresh token aunque la sesion haya caducado: sirve para recuperarla.
+     * Sin sesion en la pestana, usa el de la sesion recordada en el dispositivo.
+     * 
+     * @returns {string|null} Refresh token o null si no hay ninguno.
+     */
+    function getRefreshToken() {
+        var sessionData = getSession();
+        if (sessionData !== null) {
+            return sessionData.refreshToken || null;
+        }
+
+        var rememberedSession = getRememberedSession();
+        return rememberedSession !== null ? rememberedSession.refreshToken : null;
+    }
+
     // API publica del modulo
     return {
         createSession: createSession,
+        resumeRememberedSession: resumeRememberedSession,
+        adoptSession: adoptSession,
+        renewSession: renewSession,
+        updateUser: updateUser,
         isSessionValid: isSessionValid,
         getSession: getSession,
+        getSessionRevision: getSessionRevision,
         destroySession: destroySession,
-        getCurrentUsername: getCurrentUsername
+        getCurrentUsername: getCurrentUsername,
+        getAccessToken: getAccessToken,
+        getRefreshToken: getRefreshToken,
+        getRememberedSession: getRememberedSession,
+        forgetDevice: forgetDevice
     };
 
 })();
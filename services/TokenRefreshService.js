@@ -0,0 +1,205 @@
+/**
+ * Servicio de renovacion de tokens.
+ * Renueva el token de acceso poco antes de que caduque la sesion y cuando una
+ * peticion recibe un 401, para que el usuario no vuelva al login mientras trabaja.
+ * Entre pestanas, un Web Lock evita renovaciones simultaneas con el mismo refresh
+ * token y la pestana que renueva comparte los tokens nuevos por SessionBus.
+ *
+ * @file TokenRefreshService.js
+ * @description Programa y ejecuta la renovacion silenciosa de la sesion con el refresh token.
+ */
+
+var TokenRefreshService = (function () {
+    'use strict';
+
+    // Espera antes de reintentar una renovacion que fallo por red o por el servidor
+    var RETRY_DELAY_MS = 30000;
+    var REFRESH_LOCK_NAME = 'dashboard-token-refresh';
+
+    /** @type {number|null} */
+    var renewalTimerId = null;
+    /** @type {Promise<boolean>|null} */
+    var pendingRefresh = null;
+
+    // Otra pestana renovo los tokens: adoptarlos y reprogramar la siguiente renovacion
+    SessionBus.subscribe('renewed', function (message) {
+        if (SessionManager.getSession() !== null && SessionManager.adoptSession(message.sessionData)) {
+            start();
+        }
+    });
+
+    /**
+     * Programa la renovacion de la sesion actual. Se llama tras el login o al recargar con sesion.
+     */
+    function start() {
+        stop();
+        scheduleRenewal();
+    }
+
+    /**
+     * Cancela la renovacion programada.
+     */
+    function stop() {
+        if (renewalTimerId !== null) {
+            window.clearTimeout(renewalTimerId);
+            renewalTimerId = null;
+        }
+    }
+
+    /**
+     * Renueva el token de acceso. Las llamadas simultaneas comparten la misma peticion.
+     * Si el servidor rechaza el refresh token, cierra la sesion y vuelve al login.
+     *
+     * @returns {Promise<boolean>} True si hay un token nuevo con el que reintentar.
+     */
+    function refresh() {
+        if (pendingRefresh === null) {
+            var startingRefreshToken = SessionManager.getRefreshToken();
+
+            pendingRefresh = withRefreshLock(function () {
+                return performRefresh(startingRefreshToken);
+            }).then(function (isRenewed) {
+                pendingRefresh = null;
+                return isRenewed;
+            });
+        }
+
+        return pendingRefresh;
+    }
+
+    /**
+     * Ejecuta la tarea en exclusiva entre pestanas cuando el navegador soporta Web Locks.
+     *
+     * @param {() => Promise<boolean>} task - Renovacion a ejecutar.
+     * @returns {Promise<boolean>}
+     */
+    async function withRefreshLock(task) {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            return task();
+        }
+
+        return await navigator.locks.request(REFRESH_LOCK_NAME, task);
+    }
+
+    /**
+     * @param {string|null} startingRefreshToken - Refresh token al pedir la renovacion.
+     * @returns {Promise<boolean>}
+     */
+    async function performRefresh(startingRefreshToken) {
+        var refreshEndpoint = AppConfig.API_ENDPOINTS.REFRESH_TOKEN;
+        var refreshToken = SessionManager.getRefreshToken();
+
+        // Sin renovacion configurada, el 401 llega al modulo que hizo la peticion
+        if (!refreshEndpoint || refreshToken === null) {
+            return false;
+        }
+
+        // Otra pestana renovo mientras se esperaba el lock: ya hay tokens nuevos
+        if (refreshToken !== startingRefreshToken && SessionManager.isSessionValid()) {
+            return true;
+        }
+
+        var result = await requestTokens(refreshEndpoint, refreshToken);
+        var tokens = result.ok ? AuthenticationService.extractTokens(result.data) : null;
+
+        if (tokens !== null && SessionManager.renewSession(tokens)) {
+            SessionBus.publish('renewed', SessionManager.getSession());
+            scheduleRenewal();
+            return true;
+        }
+
+        if (!result.ok && isTransientError(result.error) && SessionManager.isSessionValid()) {
+            scheduleAfter(RETRY_DELAY_MS);
+            return false;
+        }
+
+        stop();
+        if (SessionManager.getSession() !== null) {
+            AuthModule.handleUnauthorized();
+        }
+        return false;
+    }
+
+    /**
+     * Recupera la sesion guardada con "Recordar este dispositivo" pidiendo tokens nuevos.
+     *
+     * @returns {Promise<boolean>} True si hay una sesion nueva en la pestana.
+     */
+    async function restoreRememberedSession() {
+        var refreshEndpoint = AppConfig.API_ENDPOINTS.REFRESH_TOKEN;
+        var rememberedSession = SessionManager.getRememberedSession();
+
+        if (!refreshEndpoint || rememberedSession === null) {
+            return false;
+        }
+
+        var result = await requestTokens(refreshEndpoint, rememberedSession.refreshToken);
+        var tokens = result.ok ? AuthenticationService.extractTokens(result.data) : null;
+
+        if (tokens === null) {
+            // Un refresh token rechazado no volvera a servir; los fallos de red si se pueden reintentar
+            if (result.ok || !isTransientError(result.error)) {
+                SessionManager.forgetDevice();
+            }
+            return false;
+        }
+
+        SessionManager.resumeRememberedSession(rememberedSession, tokens);
+        return true;
+    }
+
+    /**
+     * @param {string} refreshEndpoint - URL de renovacion.
+     * @param {string} refreshToken - Refresh token vigente.
+     * @returns {Promise<ApiResult<any>>}
+     */
+    function requestTokens(refreshEndpoint, refreshToken) {
+        return ApiClient.post(refreshEndpoint, {
+            refreshToken: refreshToken,
+            refresh_token: refreshToken
+        }, { refreshOnUnauthorized: false });
+    }
+
+    /**
+     * Fallos que no significan que el refresh token sea invalido.
+     *
+     * @param {ApiError} error - Error devuelto por ApiClient.
+     * @returns {boolean} True si merece la pena reintentar mas tarde.
+     */
+    function isTransientError(error) {
+        return error.kind === 'network' || error.kind === 'offline' || error.kind === 'timeout' || error.kind === 'server';
+    }
+
+    function scheduleRenewal() {
+        var sessionData = SessionManager.getSession();
+        if (sessionData === null || !sessionData.refreshToken) {
+            return;
+        }
+
+        var remainingMs = sessionData.expiresAt - Date.now();
+        // Tokens de vida corta se renuevan a mitad de su vida en lugar de con la antelacion fija
+        var leadMs = Math.min(AppConfig.SECURITY.TOKEN_REFRESH_LEAD_SECONDS * 1000, remainingMs / 2);
+
+        scheduleAfter(Math.max(0, remainingMs - leadMs));
+    }
+
+    /**
+     * @param {number} delayMs - Espera hasta la renovacion.
+     */
+    function scheduleAfter(delayMs) {
+        stop();
+        renewalTimerId = window.setTimeout(function () {
+            renewalTimerId = null;
+            refresh();
+        }, delayMs);
+    }
+
+    // API publica del modulo
+    return {
+        start: start,
+        stop: stop,
+        refresh: refresh,
+        restoreRememberedSession: restoreRememberedSession
+    };
+
+})();
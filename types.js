@@ -17,13 +17,35 @@
  * @property {string} RETELL_CALLS - URL de grabaciones y transcripciones de Retell AI
  * @property {string} REQUEST_PASSWORD_RESET - URL del webhook para solicitar recuperaciÃ³n de contraseÃ±a
  * @property {string} CONFIRM_PASSWORD_RESET - URL del webhook para confirmar nueva contraseÃ±a
+ * @property {string} REFRESH_TOKEN - URL para renovar el token de acceso (vacia desactiva la renovacion)
+ * @property {string} VERIFY_MFA - URL que valida el codigo TOTP o de recuperacion del segundo paso del login
+ * @property {string} PLANS_CATALOG - URL del catalogo de planes (vacia usa BILLING.PLANS)
+ * @property {string} UPGRADE_REQUEST - URL que registra las solicitudes de cambio de plan (vacia deja solo WhatsApp)
  */
 
 /**
  * @typedef {Object} SecurityConfig
  * @property {number} MAX_LOGIN_ATTEMPTS - MÃ¡ximo de intentos de login
  * @property {number} LOCKOUT_DURATION_MINUTES - DuraciÃ³n del bloqueo en minutos
+ * @property {number} MAX_LOCKOUT_DURATION_MINUTES - Duracion maxima de un bloqueo tras duplicarse por bloqueos repetidos
+ * @property {number} LOCKOUT_HISTORY_HOURS - Horas sin intentos tras las que se olvidan los bloqueos anteriores
+ * @property {number} MAX_RECOVERY_REQUESTS - Solicitudes de recuperacion de contrasena por usuario antes del bloqueo
  * @property {number} SESSION_DURATION_MINUTES - DuraciÃ³n de la sesiÃ³n en minutos
+ * @property {number} TOKEN_REFRESH_LEAD_SECONDS - Antelacion con la que se renueva el token antes de caducar
+ * @property {number} IDLE_TIMEOUT_MINUTES - Minutos sin actividad tras los que se cierra la sesion
+ * @property {number} IDLE_WARNING_SECONDS - Segundos de cuenta atras del aviso antes del cierre por inactividad
+ * @property {boolean} REMEMBER_DEVICE_ENABLED - Ofrece "Recordar este dispositivo" (guarda el refresh token en localStorage); desactivado por defecto
+ * @property {number} REMEMBER_DEVICE_DAYS - Dias que se recuerda la sesion con "Recordar este dispositivo"
+ */
+
+/**
+ * @typedef {'recordings.play'|'transcripts.view'|'phones.view_full'|'calls.export'|'billing.upgrade'} Permission
+ */
+
+/**
+ * @typedef {Object} AccessControlConfig
+ * @property {string} DEFAULT_ROLE - Rol asignado si el login no devuelve uno conocido
+ * @property {{ [role: string]: Permission[] }} ROLE_PERMISSIONS - Permisos concedidos a cada rol
  */
 
 /**
@@ -36,7 +58,28 @@
 /**
  * @typedef {Object} StorageKeys
  * @property {string} SESSION - Clave para datos de sesiÃ³n
- * @property {string} LOGIN_ATTEMPTS - Clave para intentos de login
+ * @property {string} LOGIN_ATTEMPTS - Clave para intentos de login (por usuario)
+ * @property {string} RECOVERY_ATTEMPTS - Clave para solicitudes de recuperacion de contrasena (por usuario)
+ * @property {string} LOGOUT_NOTICE - Clave del aviso que se muestra en el login tras un cierre de sesion automatico
+ * @property {string} REMEMBERED_SESSION - Clave de localStorage de la sesion recordada en el dispositivo
+ * @property {string} UPGRADE_REQUEST - Clave de localStorage de las solicitudes de cambio de plan pendientes (por usuario)
+ */
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {number} REQUEST_TIMEOUT_MS - Tiempo maximo por intento de peticion HTTP
+ * @property {number} GET_RETRIES - Reintentos de peticiones GET tras errores de red, timeouts o 5xx
+ * @property {number} RETRY_BASE_DELAY_MS - Espera inicial del backoff exponencial
+ * @property {number} RETRY_MAX_DELAY_MS - Espera maxima entre reintentos
+ * @property {number} CACHE_TTL_MS - Tiempo durante el que una respuesta GET en cache se considera fresca
+ * @property {number} CACHE_STALE_MS - Tiempo extra en que se sirve la respuesta caducada mientras se revalida
+ */
+
+/**
+ * @typedef {Object} CallsTableConfig
+ * @property {number} PAGE_SIZE - Llamadas solicitadas por pagina al endpoint de Retell
+ * @property {number} ROW_HEIGHT_PX - Altura fija de cada fila de la tabla virtualizada
+ * @property {number} OVERSCAN_ROWS - Filas extra renderizadas fuera de la zona visible
  */
 
 /**
@@ -45,7 +88,8 @@
  * @property {boolean} BYPASS_VALIDATION - Bypass de validaciÃ³n de credenciales
  */
 /**
- * @typedef {'starter'|'professional'|'business'|'enterprise'} PlanKey
+ * Clave del plan en minusculas (starter, professional, business, enterprise o las del catalogo del servidor).
+ * @typedef {string} PlanKey
  */
 
 /**
@@ -55,16 +99,84 @@
  * @property {string} priceLabel - Precio del plan (ej: 1.495€)
  * @property {string} periodLabel - Periodo de cobro (ej: /mes)
  * @property {number} minutesIncluded - Minutos incluidos en el plan
+ * @property {number} [overageRatePerMinute] - Precio de cada minuto por encima de los incluidos (0 o ausente: sin tarifa)
  * @property {string[]} features - Lista de beneficios del plan
  */
 
+/**
+ * Plan contratado por la cuenta, tal como lo envian el login o las estadisticas.
+ * @typedef {Object} AccountPlan
+ * @property {PlanKey} key - Plan de la cuenta
+ * @property {string|null} displayName - Nombre del plan si el servidor lo envia
+ * @property {number|null} minutesIncluded - Minutos incluidos si difieren del catalogo
+ * @property {number|null} [overageRatePerMinute] - Tarifa de exceso si difiere del catalogo
+ * @property {string|null} cycleStart - Inicio del ciclo de facturacion actual (ISO 8601)
+ * @property {string|null} cycleEnd - Fin del ciclo de facturacion actual (ISO 8601)
+ * @property {string|null} [startedAt] - Desde cuando se tiene el plan actual (ISO 8601)
+ * @property {CycleIncludedMinutes[]} [cycleHistory] - Minutos incluidos en ciclos anteriores, si el servidor los envia
+ */
+
+/**
+ * @typedef {Object} CycleIncludedMinutes
+ * @property {string} cycleStart - Inicio del ciclo (ISO 8601)
+ * @property {number} minutesIncluded - Minutos incluidos en el plan de ese ciclo
+ */
+
+/**
+ * @typedef {Object} BillingCycle
+ * @property {Date} start - Inicio del ciclo
+ * @property {Date} end - Fin del ciclo (ultimo instante o inicio del siguiente)
+ */
+
+/**
+ * @typedef {'request'|'whatsapp'} UpgradeChannel
+ */
+
+/**
+ * Solicitud de cambio de plan enviada y aun no aplicada a la cuenta.
+ * @typedef {Object} PendingUpgradeRequest
+ * @property {PlanKey} currentPlanKey - Plan de la cuenta al enviar la solicitud
+ * @property {PlanKey} targetPlanKey - Plan solicitado
+ * @property {UpgradeChannel} channel - Canal elegido por el usuario
+ * @property {string} requestedAt - Fecha de envio (ISO)
+ * @property {string|null} requestId - Identificador devuelto por el servidor, si lo hay
+ */
+
+/**
+ * @typedef {Object} UpgradeRequestResult
+ * @property {boolean} success - True si el servidor registro la solicitud
+ * @property {string} message - Motivo del fallo para mostrar al usuario (vacio si hubo exito)
+ */
+
+/**
+ * Consumo del ciclo que acompana a la solicitud de cambio de plan.
+ * @typedef {Object} UsageSnapshot
+ * @property {string} cycleStart - Inicio del ciclo (ISO)
+ * @property {string} cycleEnd - Fin del ciclo (ISO)
+ * @property {number} usedMinutes - Minutos consumidos en el ciclo
+ * @property {number} minutesIncluded - Minutos incluidos en el plan
+ * @property {number} projectedMinutes - Minutos previstos al cierre del ciclo
+ * @property {number} estimatedOverageCost - Coste estimado del exceso
+ */
+
+/**
+ * @typedef {Object} CycleUsage
+ * @property {BillingCycle} cycle - Ciclo de facturacion
+ * @property {number} usedMinutes - Minutos de llamadas dentro del ciclo
+ * @property {number|null} minutesIncluded - Minutos incluidos en el plan del ciclo; null si no se conoce
+ */
+
 /**
  * @typedef {Object} BillingConfig
- * @property {PlanKey} CURRENT_PLAN_KEY - Plan actual configurado
- * @property {PlanKey} RECOMMENDED_PLAN_KEY - Plan recomendado para upgrade
+ * @property {PlanKey} CURRENT_PLAN_KEY - Plan que se muestra si el servidor no envia el de la cuenta
+ * @property {PlanKey} RECOMMENDED_PLAN_KEY - Plan recomendado para upgrade si supera al actual
  * @property {string} WHATSAPP_BASE_URL - URL base de WhatsApp
  * @property {string} WHATSAPP_NUMBER - Numero de WhatsApp comercial
- * @property {PlanDefinition[]} PLANS - Catalogo de planes
+ * @property {string} CURRENCY - Moneda ISO 4217 de la tarifa de exceso (ej: EUR)
+ * @property {number} FORECAST_TREND_DAYS - Dias recientes que marcan el ritmo de la prevision de uso
+ * @property {number} CYCLE_ANCHOR_DAY - Dia del mes en que empieza cada ciclo si el servidor no envia las fechas
+ * @property {number} CYCLE_HISTORY_COUNT - Ciclos anteriores que muestra el historial de consumo
+ * @property {PlanDefinition[]} PLANS - Catalogo de planes si PLANS_CATALOG no esta configurado o falla
  */
 
 /**
@@ -72,8 +184,11 @@
  * @property {ApiEndpoints} API_ENDPOINTS - Endpoints de APIs
  * @property {string} RETELL_AGENT_ID - ID del agente de Retell AI
  * @property {SecurityConfig} SECURITY - ConfiguraciÃ³n de seguridad
+ * @property {AccessControlConfig} ACCESS_CONTROL - Permisos de cada rol de usuario
  * @property {ValidationConfig} VALIDATION - Reglas de validaciÃ³n
  * @property {StorageKeys} STORAGE_KEYS - Claves de almacenamiento
+ * @property {NetworkConfig} NETWORK - Timeouts y reintentos de las peticiones HTTP
+ * @property {CallsTableConfig} CALLS_TABLE - Paginacion y virtualizacion del historial de llamadas
  * @property {BillingConfig} BILLING - Configuracion comercial de planes y upgrade
  * @property {DevModeConfig} [DEV_MODE] - ConfiguraciÃ³n de modo desarrollo (opcional)
  */
@@ -85,6 +200,8 @@
 /**
  * @typedef {Object} UserData
  * @property {string} username - Nombre de usuario
+ * @property {string} [role] - Rol devuelto por el login (owner, manager, viewer...)
+ * @property {AccountPlan} [plan] - Plan de la cuenta, del login o de las estadisticas
  */
 
 /**
@@ -92,6 +209,28 @@
  * @property {boolean} success - Si la autenticaciÃ³n fue exitosa
  * @property {string} message - Mensaje descriptivo
  * @property {UserData} [userData] - Datos del usuario (solo si success=true)
+ * @property {AuthTokens} [tokens] - Tokens devueltos por el servidor (solo si success=true)
+ * @property {MfaChallenge} [mfaChallenge] - Segundo paso pendiente (contrasena correcta en cuenta con 2FA)
+ * @property {boolean} [isRejected] - El servidor rechazo las credenciales o el codigo (cuenta para el bloqueo)
+ * @property {number|null} [retryAfterSeconds] - Bloqueo impuesto por el servidor, en segundos
+ */
+
+/**
+ * @typedef {'totp'|'recovery'} MfaMethod
+ */
+
+/**
+ * @typedef {Object} MfaChallenge
+ * @property {string} username - Usuario que supero el paso de contrasena
+ * @property {string} mfaToken - Token del reto que se envia junto al codigo
+ * @property {number} expiresAt - Timestamp a partir del cual hay que volver a introducir la contrasena
+ */
+
+/**
+ * @typedef {Object} AuthTokens
+ * @property {string} accessToken - Token enviado como cabecera Authorization: Bearer
+ * @property {string|null} refreshToken - Token para renovar la sesion sin pedir credenciales
+ * @property {number|null} expiresAt - Timestamp de caducidad del token de acceso, si se conoce
  */
 
 /**
@@ -99,6 +238,15 @@
  * @property {UserData} user - Datos del usuario
  * @property {number} createdAt - Timestamp de creaciÃ³n
  * @property {number} expiresAt - Timestamp de expiraciÃ³n
+ * @property {string} [accessToken] - Token enviado como cabecera Authorization: Bearer
+ * @property {string} [refreshToken] - Token para renovar la sesion antes de que caduque
+ */
+
+/**
+ * @typedef {Object} RememberedSession
+ * @property {UserData} user - Usuario que marco "Recordar este dispositivo"
+ * @property {string} refreshToken - Ultimo refresh token emitido; el token de acceso no se guarda
+ * @property {number} rememberedAt - Timestamp del login con contrasena; el dispositivo se olvida REMEMBER_DEVICE_DAYS despues, aunque se recupere la sesion
  */
 
 /**
@@ -109,16 +257,26 @@
  * @property {string} sanitizedPassword - ContraseÃ±a saneada
  */
 
+/**
+ * @typedef {Object} MfaCodeValidationResult
+ * @property {boolean} isValid - Si el codigo tiene el formato esperado
+ * @property {string[]} errors - Array de mensajes de error
+ * @property {string} sanitizedCode - Codigo sin espacios
+ */
+
 /**
  * @typedef {Object} LockoutStatus
  * @property {boolean} isLocked - Si el usuario estÃ¡ bloqueado
  * @property {number} remainingMinutes - Minutos restantes de bloqueo
+ * @property {number|null} lockoutUntil - Timestamp a partir del cual puede volver a intentarlo
  */
 
 /**
  * @typedef {Object} AttemptState
  * @property {number} count - NÃºmero de intentos fallidos
  * @property {number|null} lockoutUntil - Timestamp de fin de bloqueo
+ * @property {number} lockoutCount - Bloqueos recientes; cada uno duplica la duracion del siguiente
+ * @property {number} updatedAt - Timestamp del ultimo intento registrado
  */
 
 // =============================================================================
@@ -149,6 +307,53 @@
  * @property {Conversation[]} conversations - Array de conversaciones
  */
 
+// =============================================================================
+// TRANSCRIPCIONES
+// =============================================================================
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} word - Palabra tal como la devuelve Retell
+ * @property {number} start - Segundo de inicio dentro de la grabacion
+ * @property {number} end - Segundo de fin dentro de la grabacion
+ */
+
+/**
+ * @typedef {'agent'|'user'} TranscriptSpeaker
+ */
+
+/**
+ * @typedef {Object} TranscriptMessage
+ * @property {'message'} type - Tipo de entrada
+ * @property {TranscriptSpeaker} speaker - Hablante normalizado
+ * @property {string} text - Texto de la intervencion
+ * @property {number} [start] - Segundo de inicio de la intervencion (solo con tiempos de Retell)
+ * @property {number} [end] - Segundo de fin de la intervencion
+ * @property {TranscriptWord[]} [words] - Palabras con tiempos para resaltar durante la reproduccion
+ */
+
+/**
+ * @typedef {Object} TranscriptToolCall
+ * @property {'tool_call'} type - Tipo de entrada
+ * @property {string} toolCallId - ID que enlaza la invocacion con su resultado
+ * @property {string} name - Nombre de la funcion invocada (vacio si solo llego el resultado)
+ * @property {string} arguments - Argumentos tal como los envia Retell (normalmente JSON)
+ * @property {string|null} result - Resultado devuelto por la funcion, o null si no hay
+ */
+
+/**
+ * @typedef {TranscriptMessage|TranscriptToolCall} TranscriptEntry
+ */
+
+/**
+ * @typedef {Object} ParsedTranscript
+ * @property {'retell'|'text'|'plain'|'empty'} format - Formato detectado
+ * @property {TranscriptEntry[]} entries - Intervenciones y llamadas a herramientas en orden
+ * @property {TranscriptMessage[]} messages - Solo las intervenciones habladas
+ * @property {TranscriptToolCall[]} toolCalls - Solo las llamadas a herramientas
+ * @property {string} rawText - Transcripcion original como texto (para el formato plano)
+ */
+
 /**
  * @typedef {Object} CallsData
  * @property {number|string} inbound - Llamadas entrantes
@@ -175,9 +380,21 @@
 // =============================================================================
 
 /**
- * @typedef {Object} ApiErrorResponse
- * @property {'error'} status - Estado de error
- * @property {string} message - Mensaje de error
+ * @typedef {'offline'|'network'|'timeout'|'aborted'|'unauthorized'|'forbidden'|'not_found'|'rate_limited'|'server'|'http'|'parse'} ApiErrorKind
+ */
+
+/**
+ * @typedef {Object} ApiError
+ * @property {ApiErrorKind} kind - Tipo de fallo
+ * @property {number|null} status - Codigo HTTP (null si no hubo respuesta)
+ * @property {string} message - Mensaje para mostrar al usuario
+ * @property {string} rawBody - Cuerpo original de la respuesta (vacio si no hubo respuesta)
+ * @property {number|null} retryAfterSeconds - Espera pedida por el servidor en un 429 (Retry-After o `retry_after`)
+ */
+
+/**
+ * @template T
+ * @typedef {{ ok: true, status: number, data: T } | { ok: false, status: number|null, error: ApiError }} ApiResult
  */
 
 // Exportar vacÃ­o para que el archivo sea tratado como mÃ³dulo
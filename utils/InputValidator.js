@@ -82,10 +82,40 @@ var InputValidator = (function () {
         };
     }
 
+    /**
+     * Valida el codigo del segundo paso del login.
+     * Los codigos TOTP tienen 6 digitos; los de recuperacion, de 8 a 16 letras
+     * o numeros que pueden venir agrupados con guiones.
+     * 
+     * @param {string} code - Codigo introducido por el usuario.
+     * @param {MfaMethod} method - Tipo de codigo esperado.
+     * @returns {MfaCodeValidationResult} Resultado de la validacion.
+     */
+    function validateMfaCode(code, method) {
+        // Las apps de autenticacion muestran el codigo como "123 456"
+        var sanitizedCode = sanitizeString(code).replace(/\s+/g, '');
+        var validationErrors = [];
+
+        if (method === 'totp' && !/^\d{6}$/.test(sanitizedCode)) {
+            validationErrors.push('El codigo debe tener 6 digitos.');
+        }
+
+        if (method === 'recovery' && !/^[A-Za-z0-9]{8,16}$/.test(sanitizedCode.replace(/-/g, ''))) {
+            validationErrors.push('El codigo de recuperacion no tiene un formato valido.');
+        }
+
+        return {
+            isValid: validationErrors.length === 0,
+            errors: validationErrors,
+            sanitizedCode: sanitizedCode
+        };
+    }
+
     // API publica del modulo
     return {
         sanitizeString: sanitizeString,
-        validateLoginCredentials: validateLoginCredentials
+        validateLoginCredentials: validateLoginCredentials,
+        validateMfaCode: validateMfaCode
     };
 
 })();
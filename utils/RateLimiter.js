@@ -1,142 +1,318 @@
 /**
- * Limitador de tasa de intentos de login.
+ * Limitador de tasa de intentos.
  * Protege contra ataques de fuerza bruta bloqueando temporalmente
- * tras demasiados intentos fallidos.
- * 
+ * tras demasiados intentos fallidos. Los intentos se cuentan por usuario y
+ * cada bloqueo repetido dura el doble que el anterior, hasta un maximo.
+ *
+ * Es una proteccion de interfaz: borrar el almacenamiento del navegador la reinicia,
+ * por eso tambien se respetan los bloqueos que impone el servidor (HTTP 429).
+ *
  * @file RateLimiter.js
- * @description Implementa logica de rate limiting para el proceso de login.
+ * @description Implementa logica de rate limiting para el login y la recuperacion de contrasena.
+ */
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @property {string} storageKey - Clave de localStorage donde se guardan los intentos.
+ * @property {number} maxAttempts - Intentos permitidos antes del bloqueo.
+ * @property {number} lockoutMinutes - Duracion del primer bloqueo.
+ */
+
+/**
+ * @typedef {Object} RateLimiterController
+ * @property {(key: string) => LockoutStatus} checkLockoutStatus - Estado del bloqueo de un usuario.
+ * @property {(key: string) => LockoutStatus} recordAttempt - Cuenta un intento y devuelve el estado resultante.
+ * @property {(key: string, durationMs: number) => LockoutStatus} lockFor - Aplica un bloqueo indicado por el servidor.
+ * @property {(key: string) => void} resetAttempts - Olvida los intentos de un usuario tras un acceso correcto.
+ * @property {(key: string) => number} getRemainingAttempts - Intentos disponibles antes del bloqueo.
  */
 
 var RateLimiter = (function () {
     'use strict';
 
     /**
-     * Obtiene el estado actual de intentos de login desde localStorage.
-     * 
-     * @returns {AttemptState} Estado de intentos con count y lockoutUntil.
+     * Crea un limitador de intentos con su propio almacenamiento.
+     *
+     * @param {RateLimiterOptions} options - Configuracion del limitador.
+     * @returns {RateLimiterController} Controlador para consultar y registrar intentos.
      */
-    function getAttemptState() {
-        var storageKey = AppConfig.STORAGE_KEYS.LOGIN_ATTEMPTS;
-        var rawData = localStorage.getItem(storageKey);
+    function create(options) {
 
-        if (rawData === null) {
-            return {
-                count: 0,
-                lockoutUntil: null
-            };
+        /**
+         * Obtiene los intentos de todos los usuarios desde localStorage.
+         *
+         * @returns {{ [key: string]: AttemptState }} Estados indexados por usuario.
+         */
+        function getAllAttemptStates() {
+            var rawData = localStorage.getItem(options.storageKey);
+            if (rawData === null) {
+                return {};
+            }
+
+            try {
+                var parsedStates = JSON.parse(rawData);
+
+                // El formato anterior guardaba un unico contador global: se descarta
+                if (!parsedStates || typeof parsedStates !== 'object' || typeof parsedStates.count === 'number') {
+                    return {};
+                }
+
+                return parsedStates;
+            } catch (parseError) {
+                console.error('RateLimiter.getAllAttemptStates: Error al parsear estado', parseError);
+                return {};
+            }
         }
 
-        try {
-            var parsedState = JSON.parse(rawData);
-            return parsedState;
-        } catch (parseError) {
-            console.error('RateLimiter.getAttemptState: Error al parsear estado', parseError);
-            return {
-                count: 0,
-                lockoutUntil: null
-            };
+        /**
+         * @param {string} key - Usuario normalizado.
+         * @returns {AttemptState} Estado del usuario, vacio si no tiene intentos.
+         */
+        function getAttemptState(key) {
+            var attemptStates = getAllAttemptStates();
+            pruneStaleStates(attemptStates);
+
+            return attemptStates[key] || createEmptyState();
+        }
+
+        /**
+         * Guarda el estado de un usuario y elimina los que ya no aportan nada.
+         *
+         * @param {string} key - Usuario normalizado.
+         * @param {AttemptState|null} attemptState - Estado a guardar o null para borrarlo.
+         */
+        function saveAttemptState(key, attemptState) {
+            var attemptStates = getAllAttemptStates();
+
+            if (attemptState === null) {
+                delete attemptStates[key];
+            } else {
+                attemptStates[key] = attemptState;
+            }
+
+            pruneStaleStates(attemptStates);
+
+            if (Object.keys(attemptStates).length === 0) {
+                localStorage.removeItem(options.storageKey);
+                return;
+            }
+
+            localStorage.setItem(options.storageKey, JSON.stringify(attemptStates));
+        }
+
+        /**
+         * Verifica si el usuario esta actualmente bloqueado.
+         * Si el bloqueo ha expirado, reinicia el contador pero recuerda el bloqueo
+         * para que el siguiente dure mas.
+         *
+         * @param {string} key - Usuario.
+         * @returns {LockoutStatus} Estado del bloqueo.
+         */
+        function checkLockoutStatus(key) {
+            var normalizedKey = normalizeKey(key);
+            var attemptState = getAttemptState(normalizedKey);
+
+            if (attemptState.lockoutUntil !== null && Date.now() >= attemptState.lockoutUntil) {
+                attemptState.count = 0;
+                attemptState.lockoutUntil = null;
+                saveAttemptState(normalizedKey, attemptState);
+            }
+
+            return buildLockoutStatus(attemptState);
+        }
+
+        /**
+         * Registra un intento. Si se alcanza el limite, bloquea al usuario durante
+         * el doble que en su bloqueo anterior.
+         *
+         * @param {string} key - Usuario.
+         * @returns {LockoutStatus} Estado tras registrar el intento.
+         */
+        function recordAttempt(key) {
+            var normalizedKey = normalizeKey(key);
+            var attemptState = getAttemptState(normalizedKey);
+
+            attemptState.count = attemptState.count + 1;
+            attemptState.updatedAt = Date.now();
+
+            if (attemptState.count >= options.maxAttempts) {
+                var lockoutMinutes = getLockoutMinutes(attemptState.lockoutCount);
+                attemptState.lockoutUntil = Date.now() + lockoutMinutes * 60 * 1000;
+                attemptState.lockoutCount = attemptState.lockoutCount + 1;
+            }
+
+            saveAttemptState(normalizedKey, attemptState);
+            return buildLockoutStatus(attemptState);
+        }
+
+        /**
+         * Bloquea al usuario el tiempo que indica el servidor, si es mayor que el bloqueo local.
+         *
+         * @param {string} key - Usuario.
+         * @param {number} durationMs - Duracion del bloqueo.
+         * @returns {LockoutStatus} Estado tras aplicar el bloqueo.
+         */
+        function lockFor(key, durationMs) {
+            var normalizedKey = normalizeKey(key);
+            var attemptState = getAttemptState(normalizedKey);
+            var lockoutUntil = Date.now() + durationMs;
+
+            if (attemptState.lockoutUntil === null || attemptState.lockoutUntil < lockoutUntil) {
+                attemptState.lockoutUntil = lockoutUntil;
+                attemptState.updatedAt = Date.now();
+                saveAttemptState(normalizedKey, attemptState);
+            }
+
+            return buildLockoutStatus(attemptState);
+        }
+
+        /**
+         * Reinicia los intentos y el historial de bloqueos del usuario.
+         * Se debe llamar tras un acceso correcto.
+         *
+         * @param {string} key - Usuario.
+         */
+        function resetAttempts(key) {
+            saveAttemptState(normalizeKey(key), null);
+        }
+
+        /**
+         * Obtiene el numero de intentos restantes antes del bloqueo.
+         *
+         * @param {string} key - Usuario.
+         * @returns {number} Numero de intentos disponibles.
+         */
+        function getRemainingAttempts(key) {
+            var attemptState = getAttemptState(normalizeKey(key));
+            return Math.max(0, options.maxAttempts - attemptState.count);
+        }
+
+        /**
+         * Duracion del bloqueo: se duplica con cada bloqueo previo reciente.
+         *
+         * @param {number} previousLockouts - Bloqueos anteriores del usuario.
+         * @returns {number} Minutos de bloqueo.
+         */
+        function getLockoutMinutes(previousLockouts) {
+            var lockoutMinutes = options.lockoutMinutes * Math.pow(2, previousLockouts);
+            return Math.min(lockoutMinutes, AppConfig.SECURITY.MAX_LOCKOUT_DURATION_MINUTES);
         }
+
+        return {
+            checkLockoutStatus: checkLockoutStatus,
+            recordAttempt: recordAttempt,
+            lockFor: lockFor,
+            resetAttempts: resetAttempts,
+            getRemainingAttempts: getRemainingAttempts
+        };
     }
 
     /**
-     * Guarda el estado de intentos en localStorage.
-     * 
-     * @param {AttemptState} attemptState - Estado a guardar.
-     * @returns {void}
+     * @returns {AttemptState} Estado sin intentos ni bloqueos.
      */
-    function saveAttemptState(attemptState) {
-        var storageKey = AppConfig.STORAGE_KEYS.LOGIN_ATTEMPTS;
-        var serializedState = JSON.stringify(attemptState);
-        localStorage.setItem(storageKey, serializedState);
+    function createEmptyState() {
+        return {
+            count: 0,
+            lockoutUntil: null,
+            lockoutCount: 0,
+            updatedAt: Date.now()
+        };
     }
 
     /**
-     * Verifica si el usuario esta actualmente bloqueado.
-     * Si el bloqueo ha expirado, reinicia automaticamente el estado.
-     * 
-     * @returns {LockoutStatus} Estado del bloqueo.
+     * Elimina los usuarios sin bloqueo activo cuya ultima actividad supera
+     * LOCKOUT_HISTORY_HOURS: sus bloqueos anteriores dejan de alargar los siguientes.
+     *
+     * @param {{ [key: string]: AttemptState }} attemptStates - Estados a depurar.
      */
-    function checkLockoutStatus() {
-        var attemptState = getAttemptState();
+    function pruneStaleStates(attemptStates) {
+        var historyMs = AppConfig.SECURITY.LOCKOUT_HISTORY_HOURS * 60 * 60 * 1000;
+        var currentTimestamp = Date.now();
 
-        // Si no hay timestamp de bloqueo, el usuario no esta bloqueado
-        if (attemptState.lockoutUntil === null) {
-            return {
-                isLocked: false,
-                remainingMinutes: 0
-            };
-        }
+        Object.keys(attemptStates).forEach(function (key) {
+            var attemptState = attemptStates[key];
+            var isLocked = attemptState.lockoutUntil !== null && attemptState.lockoutUntil > currentTimestamp;
 
-        var currentTimestamp = Date.now();
+            if (!isLocked && currentTimestamp - attemptState.updatedAt > historyMs) {
+                delete attemptStates[key];
+            }
+        });
+    }
 
-        // Verificar si el bloqueo sigue activo
-        if (currentTimestamp < attemptState.lockoutUntil) {
-            var remainingMilliseconds = attemptState.lockoutUntil - currentTimestamp;
-            var remainingMinutes = Math.ceil(remainingMilliseconds / 60000);
+    /**
+     * @param {AttemptState} attemptState - Estado del usuario.
+     * @returns {LockoutStatus} Estado del bloqueo.
+     */
+    function buildLockoutStatus(attemptState) {
+        var currentTimestamp = Date.now();
 
+        if (attemptState.lockoutUntil === null || attemptState.lockoutUntil <= currentTimestamp) {
             return {
-                isLocked: true,
-                remainingMinutes: remainingMinutes
+                isLocked: false,
+                remainingMinutes: 0,
+                lockoutUntil: null
             };
         }
 
-        // El bloqueo ha expirado, reiniciar estado
-        resetAttempts();
-
         return {
-            isLocked: false,
-            remainingMinutes: 0
+            isLocked: true,
+            remainingMinutes: Math.ceil((attemptState.lockoutUntil - currentTimestamp) / 60000),
+            lockoutUntil: attemptState.lockoutUntil
         };
     }
 
     /**
-     * Registra un intento de login fallido.
-     * Si se alcanza el limite, establece el timestamp de bloqueo.
+     * Los usuarios no distinguen mayusculas ni espacios alrededor.
+     *
+     * @param {string} key - Usuario introducido.
+     * @returns {string} Usuario normalizado.
      */
-    function recordFailedAttempt() {
-        var attemptState = getAttemptState();
-        attemptState.count = attemptState.count + 1;
-
-        var maxAttempts = AppConfig.SECURITY.MAX_LOGIN_ATTEMPTS;
-
-        // Verificar si se alcanzo el limite de intentos
-        if (attemptState.count >= maxAttempts) {
-            var lockoutDurationMinutes = AppConfig.SECURITY.LOCKOUT_DURATION_MINUTES;
-            var lockoutDurationMs = lockoutDurationMinutes * 60 * 1000;
-            attemptState.lockoutUntil = Date.now() + lockoutDurationMs;
-        }
-
-        saveAttemptState(attemptState);
+    function normalizeKey(key) {
+        return String(key || '').trim().toLowerCase();
     }
 
     /**
-     * Reinicia el contador de intentos.
-     * Se debe llamar tras un login exitoso.
+     * Mensaje con la hora exacta a la que se puede volver a intentar.
+     *
+     * @param {LockoutStatus} lockoutStatus - Estado de un usuario bloqueado.
+     * @returns {string} Mensaje para mostrar al usuario.
      */
-    function resetAttempts() {
-        var storageKey = AppConfig.STORAGE_KEYS.LOGIN_ATTEMPTS;
-        localStorage.removeItem(storageKey);
+    function describeLockout(lockoutStatus) {
+        if (!lockoutStatus.isLocked || lockoutStatus.lockoutUntil === null) {
+            return '';
+        }
+
+        var retryDate = new Date(lockoutStatus.lockoutUntil);
+        var retryTime = retryDate.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+
+        var retryMoment = 'a las ' + retryTime;
+
+        // Los bloqueos largos pueden terminar otro dia
+        if (retryDate.toDateString() !== new Date().toDateString()) {
+            retryMoment = 'el ' + retryDate.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' }) + ' ' + retryMoment;
+        }
+
+        return 'Demasiados intentos. Podras intentarlo de nuevo ' + retryMoment +
+            ' (dentro de ' + formatWaitTime(lockoutStatus.remainingMinutes) + ').';
     }
 
     /**
-     * Obtiene el numero de intentos restantes antes del bloqueo.
-     * 
-     * @returns {number} Numero de intentos disponibles.
+     * @param {number} minutes - Minutos de espera.
+     * @returns {string} Espera en minutos, o en horas si pasa de una hora.
      */
-    function getRemainingAttempts() {
-        var attemptState = getAttemptState();
-        var maxAttempts = AppConfig.SECURITY.MAX_LOGIN_ATTEMPTS;
-        var remainingAttempts = maxAttempts - attemptState.count;
+    function formatWaitTime(minutes) {
+        if (minutes < 60) {
+            return minutes === 1 ? '1 minuto' : minutes + ' minutos';
+        }
 
-        return Math.max(0, remainingAttempts);
+        var hours = Math.ceil(minutes / 60);
+        return hours === 1 ? '1 hora' : hours + ' horas';
     }
 
     // API publica del modulo
     return {
-        checkLockoutStatus: checkLockoutStatus,
-        recordFailedAttempt: recordFailedAttempt,
-        resetAttempts: resetAttempts,
-        getRemainingAttempts: getRemainingAttempts
+        create: create,
+        describeLockout: describeLockout
     };
 
 })();
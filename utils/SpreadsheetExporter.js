@@ -0,0 +1,359 @@
+/**
+ * Exportador de tablas a hojas de calculo.
+ * Genera ficheros CSV y XLSX en el navegador, sin dependencias externas.
+ *
+ * @file SpreadsheetExporter.js
+ * @description El XLSX se empaqueta como ZIP sin compresion con una unica hoja de texto.
+ */
+
+var SpreadsheetExporter = (function () {
+    'use strict';
+
+    // Excel en configuracion regional espanola usa ';' como separador de listas
+    var CSV_SEPARATOR = ';';
+    var UTF8_BOM = '\uFEFF';
+    // Limite de caracteres por celda en Excel
+    var XLSX_MAX_CELL_LENGTH = 32767;
+
+    /** @type {Uint32Array|null} */
+    var crcTable = null;
+
+    /**
+     * Descarga las filas como CSV en UTF-8 con BOM para que Excel detecte la codificacion.
+     *
+     * @param {string} fileName - Nombre del fichero sin extension.
+     * @param {string[]} headers - Cabeceras de columna.
+     * @param {Array<Array<string|number>>} rows - Filas de datos.
+     * @returns {void}
+     */
+    function downloadCsv(fileName, headers, rows) {
+        var lines = getAllRows(headers, rows).map(function (row) {
+            return row.map(escapeCsvCell).join(CSV_SEPARATOR);
+        });
+
+        var blob = new Blob([UTF8_BOM + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        triggerDownload(blob, fileName + '.csv');
+    }
+
+    /**
+     * Descarga las filas como libro XLSX con una sola hoja.
+     *
+     * @param {string} fileName - Nombre del fichero sin extension.
+     * @param {string} sheetName - Nombre de la hoja.
+     * @param {string[]} headers - Cabeceras de columna.
+     * @param {Array<Array<string|number>>} rows - Filas de datos.
+     * @returns {void}
+     */
+    function downloadXlsx(fileName, sheetName, headers, rows) {
+        var encoder = new TextEncoder();
+
+        var files = [
+            { name: '[Content_Types].xml', content: buildContentTypesXml() },
+            { name: '_rels/.rels', content: buildRootRelsXml() },
+            { name: 'xl/workbook.xml', content: buildWorkbookXml(sheetName) },
+            { name: 'xl/_rels/workbook.xml.rels', content: buildWorkbookRelsXml() },
+            { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(getAllRows(headers, rows)) }
+        ].map(function (file) {
+            return { name: file.name, data: encoder.encode(file.content) };
+        });
+
+        var blob = new Blob([/** @type {BlobPart} */ (buildZip(files))], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+        triggerDownload(blob, fileName + '.xlsx');
+    }
+
+    /**
+     * @param {string[]} headers
+     * @param {Array<Array<string|number>>} rows
+     * @returns {Array<Array<string|number>>} Cabecera seguida de las filas de datos.
+     */
+    function getAllRows(headers, rows) {
+        /** @type {Array<Array<string|number>>} */
+        var allRows = [headers];
+        return allRows.concat(rows);
+    }
+
+    /**
+     * Escapa una celda CSV y neutraliza valores que Excel interpretaria como formula.
+     * Los telefonos y numeros con signo (+34..., -5) se conservan tal cual.
+     *
+     * @param {string|number} value - Valor de la celda.
+     * @returns {string} Celda lista para el CSV.
+     */
+    function escapeCsvCell(value) {
+        var text = value === null || value === undefined ? '' : String(value);
+
+        if (/^[=+\-@\t\r]/.test(text) && !/^[+\-]?[\d\s().-]+$/.test(text)) {
+            text = "'" + text;
+        }
+
+        if (/["\r\n]/.test(text) || text.indexOf(CSV_SEPARATOR) !== -1) {
+            text = '"' + text.replace(/"/g, '""') + '"';
+        }
+
+        return text;
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fullFileName
+     */
+    function triggerDownload(blob, fullFileName) {
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+
+        link.href = url;
+        link.download = fullFileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Dar tiempo al navegador a iniciar la descarga antes de liberar la URL
+        window.setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    }
+
+    // =========================================================================
+    // PARTES DEL LIBRO XLSX
+    // =========================================================================
+
+    /**
+     * @returns {string}
+     */
+    function buildContentTypesXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>';
+    }
+
+    /**
+     * @returns {string}
+     */
+    function buildRootRelsXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    /**
+     * @param {string} sheetName
+     * @returns {string}
+     */
+    function buildWorkbookXml(sheetName) {
+        // Excel no admite estos caracteres en nombres de hoja y limita la longitud a 31
+        var safeSheetName = (sheetName || 'Hoja1').replace(/[\\\/?*\[\]:]/g, ' ').substring(0, 31);
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets><sheet name="' + escapeXml(safeSheetName) + '" sheetId="1" r:id="rId1"/></sheets>' +
+            '</workbook>';
+    }
+
+    /**
+     * @returns {string}
+     */
+    function buildWorkbookRelsXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '</Relationships>';
+    }
+
+    /**
+     * Genera la hoja con celdas de texto en linea y celdas numericas.
+     *
+     * @param {Array<Array<string|number>>} rows - Filas incluyendo la cabecera.
+     * @returns {string}
+     */
+    function buildSheetXml(rows) {
+        var rowsXml = rows.map(function (row, rowIndex) {
+            var rowNumber = rowIndex + 1;
+
+            var cellsXml = row.map(function (value, columnIndex) {
+                var reference = getColumnName(columnIndex) + rowNumber;
+
+                if (typeof value === 'number' && isFinite(value)) {
+                    return '<c r="' + reference + '"><v>' + value + '</v></c>';
+                }
+
+                var text = value === null || value === undefined ? '' : String(value);
+                if (text.length > XLSX_MAX_CELL_LENGTH) {
+                    text = text.substring(0, XLSX_MAX_CELL_LENGTH);
+                }
+
+                return '<c r="' + reference + '" t="inlineStr"><is><t xml:space="preserve">' +
+                    escapeXml(text) + '</t></is></c>';
+            });
+
+            return '<row r="' + rowNumber + '">' + cellsXml.join('') + '</row>';
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetData>' + rowsXml.join('') + '</sheetData>' +
+            '</worksheet>';
+    }
+
+    /**
+     * Convierte un indice de columna (0 = A) a su nombre en Excel.
+     *
+     * @param {number} columnIndex
+     * @returns {string}
+     */
+    function getColumnName(columnIndex) {
+        var name = '';
+        var index = columnIndex + 1;
+
+        while (index > 0) {
+            var remainder = (index - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            index = Math.floor((index - 1) / 26);
+        }
+
+        return name;
+    }
+
+    /**
+     * Escapa texto para XML y elimina caracteres de control no permitidos.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeXml(text) {
+        return text
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // =========================================================================
+    // EMPAQUETADO ZIP (SIN COMPRESION)
+    // =========================================================================
+
+    /**
+     * Empaqueta los ficheros en un ZIP con metodo "store".
+     *
+     * @param {Array<{name: string, data: Uint8Array}>} files
+     * @returns {Uint8Array}
+     */
+    function buildZip(files) {
+        var encoder = new TextEncoder();
+        /** @type {Uint8Array[]} */
+        var localParts = [];
+        /** @type {Uint8Array[]} */
+        var centralParts = [];
+        var offset = 0;
+
+        files.forEach(function (file) {
+            var nameBytes = encoder.encode(file.name);
+            var checksum = crc32(file.data);
+
+            var localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);
+            localHeader.setUint16(4, 20, true);
+            localHeader.setUint16(6, 0x0800, true);
+            localHeader.setUint16(8, 0, true);
+            localHeader.setUint16(10, 0, true);
+            localHeader.setUint16(12, 0x21, true);
+            localHeader.setUint32(14, checksum, true);
+            localHeader.setUint32(18, file.data.length, true);
+            localHeader.setUint32(22, file.data.length, true);
+            localHeader.setUint16(26, nameBytes.length, true);
+            localHeader.setUint16(28, 0, true);
+
+            var centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true);
+            centralHeader.setUint16(4, 20, true);
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(8, 0x0800, true);
+            centralHeader.setUint16(10, 0, true);
+            centralHeader.setUint16(12, 0, true);
+            centralHeader.setUint16(14, 0x21, true);
+            centralHeader.setUint32(16, checksum, true);
+            centralHeader.setUint32(20, file.data.length, true);
+            centralHeader.setUint32(24, file.data.length, true);
+            centralHeader.setUint16(28, nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(localHeader.buffer), nameBytes, file.data);
+            centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + file.data.length;
+        });
+
+        var centralSize = centralParts.reduce(function (total, part) {
+            return total + part.length;
+        }, 0);
+
+        var endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054b50, true);
+        endRecord.setUint16(8, files.length, true);
+        endRecord.setUint16(10, files.length, true);
+        endRecord.setUint32(12, centralSize, true);
+        endRecord.setUint32(16, offset, true);
+
+        return concatBytes(localParts.concat(centralParts, [new Uint8Array(endRecord.buffer)]));
+    }
+
+    /**
+     * @param {Uint8Array[]} parts
+     * @returns {Uint8Array}
+     */
+    function concatBytes(parts) {
+        var totalLength = parts.reduce(function (total, part) {
+            return total + part.length;
+        }, 0);
+
+        var result = new Uint8Array(totalLength);
+        var position = 0;
+
+        parts.forEach(function (part) {
+            result.set(part, position);
+            position += part.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {number}
+     */
+    function crc32(data) {
+        if (crcTable === null) {
+            crcTable = new Uint32Array(256);
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // API publica del modulo
+    return {
+        downloadCsv: downloadCsv,
+        downloadXlsx: downloadXlsx
+    };
+
+})();
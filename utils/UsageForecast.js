@@ -0,0 +1,132 @@
+/**
+ * Prevision de consumo de minutos.
+ * Proyecta los minutos al cierre del ciclo de facturacion a partir del ritmo
+ * diario de los ultimos dias, estima cuando se alcanzara el limite del plan
+ * y el coste del exceso con la tarifa por minuto del plan.
+ *
+ * @file UsageForecast.js
+ * @description Calculo puro de la prevision de uso; no accede al DOM ni a la red.
+ */
+
+/**
+ * @typedef {Object} UsageEntry
+ * @property {Date} date - Momento del consumo (inicio de la llamada).
+ * @property {number} minutes - Minutos consumidos.
+ */
+
+/**
+ * @typedef {Object} UsageForecastInput
+ * @property {number} usedMinutes - Minutos consumidos en el ciclo hasta ahora.
+ * @property {number} minutesIncluded - Minutos incluidos en el plan.
+ * @property {number} overageRatePerMinute - Precio de cada minuto por encima de los incluidos.
+ * @property {BillingCycle} cycle - Ciclo de facturacion actual.
+ * @property {UsageEntry[]|null} usageEntries - Consumos del ciclo para calcular el ritmo; null si no hay detalle.
+ * @property {number} trendDays - Dias recientes que marcan el ritmo diario.
+ * @property {Date} [now] - Momento de referencia (por defecto, ahora).
+ */
+
+/**
+ * @typedef {Object} UsageForecastResult
+ * @property {number} usedMinutes - Minutos consumidos en el ciclo.
+ * @property {number} minutesIncluded - Minutos incluidos en el plan.
+ * @property {number} dailyRate - Minutos por dia segun la tendencia reciente.
+ * @property {number} trendDays - Dias usados para el ritmo (menos al principio del ciclo).
+ * @property {number} projectedMinutes - Minutos previstos al cierre del ciclo.
+ * @property {number} projectedRatio - Minutos previstos respecto a los incluidos (1 = limite).
+ * @property {boolean} isLimitReached - Ya se han consumido todos los minutos incluidos.
+ * @property {Date|null} limitReachedAt - Fecha prevista del limite dentro del ciclo, si aun no se alcanzo.
+ * @property {number} projectedOverageMinutes - Minutos previstos por encima de los incluidos.
+ * @property {number} estimatedOverageCost - Coste estimado del exceso.
+ * @property {number} daysRemaining - Dias que faltan para el cierre del ciclo.
+ */
+
+var UsageForecast = (function () {
+    'use strict';
+
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Calcula la prevision del ciclo actual.
+     *
+     * @param {UsageForecastInput} input - Consumo y plan del ciclo.
+     * @returns {UsageForecastResult}
+     */
+    function calculate(input) {
+        var now = input.now || new Date();
+        var cycleStartMs = input.cycle.start.getTime();
+        var cycleEndMs = input.cycle.end.getTime();
+        var currentMs = Math.min(Math.max(now.getTime(), cycleStartMs), cycleEndMs);
+
+        var elapsedMs = Math.max(currentMs - cycleStartMs, 0);
+        var remainingMs = cycleEndMs - currentMs;
+        var trendWindowMs = Math.min(input.trendDays * DAY_MS, elapsedMs);
+
+        var dailyRate = calculateDailyRate(input, currentMs, trendWindowMs, elapsedMs);
+        var projectedMinutes = input.usedMinutes + dailyRate * (remainingMs / DAY_MS);
+        var projectedOverageMinutes = Math.max(0, projectedMinutes - input.minutesIncluded);
+        var isLimitReached = input.usedMinutes >= input.minutesIncluded;
+
+        return {
+            usedMinutes: input.usedMinutes,
+            minutesIncluded: input.minutesIncluded,
+            dailyRate: dailyRate,
+            trendDays: Math.max(1, Math.round(trendWindowMs / DAY_MS)),
+            projectedMinutes: projectedMinutes,
+            projectedRatio: input.minutesIncluded > 0 ? projectedMinutes / input.minutesIncluded : 0,
+            isLimitReached: isLimitReached,
+            limitReachedAt: isLimitReached ? null : estimateLimitDate(input, dailyRate, currentMs, cycleEndMs),
+            projectedOverageMinutes: projectedOverageMinutes,
+            estimatedOverageCost: projectedOverageMinutes * Math.max(0, input.overageRatePerMinute || 0),
+            daysRemaining: Math.ceil(remainingMs / DAY_MS)
+        };
+    }
+
+    /**
+     * Ritmo diario: minutos de la ventana reciente entre su duracion en dias.
+     * Sin detalle de consumos se usa la media de todo el ciclo.
+     *
+     * @param {UsageForecastInput} input
+     * @param {number} currentMs - Momento de referencia dentro del ciclo.
+     * @param {number} trendWindowMs - Duracion de la ventana reciente.
+     * @param {number} elapsedMs - Tiempo transcurrido del ciclo.
+     * @returns {number} Minutos por dia.
+     */
+    function calculateDailyRate(input, currentMs, trendWindowMs, elapsedMs) {
+        // En las primeras horas del ciclo cualquier ritmo seria ruido: se cuenta como un dia completo
+        var minimumWindowMs = DAY_MS;
+
+        if (input.usageEntries === null) {
+            return input.usedMinutes / (Math.max(elapsedMs, minimumWindowMs) / DAY_MS);
+        }
+
+        var windowStartMs = currentMs - trendWindowMs;
+        var windowMinutes = input.usageEntries.reduce(function (total, entry) {
+            var entryMs = entry.date.getTime();
+            return entryMs > windowStartMs && entryMs <= currentMs ? total + entry.minutes : total;
+        }, 0);
+
+        return windowMinutes / (Math.max(trendWindowMs, minimumWindowMs) / DAY_MS);
+    }
+
+    /**
+     * @param {UsageForecastInput} input
+     * @param {number} dailyRate - Minutos por dia.
+     * @param {number} currentMs - Momento de referencia.
+     * @param {number} cycleEndMs - Cierre del ciclo.
+     * @returns {Date|null} Fecha prevista del limite, o null si no se alcanza en este ciclo.
+     */
+    function estimateLimitDate(input, dailyRate, currentMs, cycleEndMs) {
+        if (dailyRate <= 0) {
+            return null;
+        }
+
+        var limitMs = currentMs + ((input.minutesIncluded - input.usedMinutes) / dailyRate) * DAY_MS;
+        return limitMs <= cycleEndMs ? new Date(limitMs) : null;
+    }
+
+    // API publica del modulo
+    return {
+        calculate: calculate
+    };
+
+})();
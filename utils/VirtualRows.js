@@ -0,0 +1,131 @@
+/**
+ * Renderizado virtualizado de filas de tabla.
+ * Solo mantiene en el DOM las filas visibles dentro del contenedor con scroll,
+ * rellenando el resto con filas espaciadoras de altura equivalente.
+ *
+ * @file VirtualRows.js
+ * @description Evita construir miles de filas cuando la tabla tiene muchos registros.
+ */
+
+/**
+ * @typedef {Object} VirtualRowsOptions
+ * @property {HTMLElement} scrollContainer - Elemento con overflow que genera el scroll.
+ * @property {HTMLElement} tableBody - tbody donde se pintan las filas.
+ * @property {number} rowHeight - Altura fija de cada fila en pixeles.
+ * @property {number} columnCount - Numero de columnas para las filas espaciadoras.
+ * @property {number} [overscan] - Filas extra a renderizar por encima y por debajo.
+ * @property {(index: number) => string} renderRow - Devuelve el HTML de la fila indicada.
+ */
+
+/**
+ * @typedef {Object} VirtualRowsController
+ * @property {(itemCount: number) => void} setItemCount - Actualiza el total de filas y repinta.
+ * @property {() => void} refresh - Fuerza el repintado del rango visible.
+ * @property {() => void} destroy - Elimina el listener de scroll.
+ */
+
+var VirtualRows = (function () {
+    'use strict';
+
+    var DEFAULT_OVERSCAN = 8;
+
+    /**
+     * Crea un controlador de filas virtualizadas.
+     *
+     * @param {VirtualRowsOptions} options - Configuracion del renderizado.
+     * @returns {VirtualRowsController} Controlador para actualizar o destruir la tabla virtual.
+     */
+    function create(options) {
+        var overscan = typeof options.overscan === 'number' ? options.overscan : DEFAULT_OVERSCAN;
+        var itemCount = 0;
+        var renderedStart = -1;
+        var renderedEnd = -1;
+        /** @type {number|null} */
+        var pendingFrame = null;
+
+        function handleScroll() {
+            if (pendingFrame !== null) {
+                return;
+            }
+
+            pendingFrame = window.requestAnimationFrame(function () {
+                pendingFrame = null;
+                renderVisibleRange(false);
+            });
+        }
+
+        /**
+         * @param {boolean} force - Repinta aunque el rango no haya cambiado.
+         */
+        function renderVisibleRange(force) {
+            var viewportHeight = options.scrollContainer.clientHeight || options.rowHeight * 20;
+            var scrollTop = options.scrollContainer.scrollTop;
+
+            // Si la lista se ha reducido (por ejemplo al filtrar), recolocar el scroll dentro del nuevo total
+            var maxScrollTop = Math.max(0, itemCount * options.rowHeight - viewportHeight);
+            if (scrollTop > maxScrollTop) {
+                scrollTop = maxScrollTop;
+                options.scrollContainer.scrollTop = maxScrollTop;
+            }
+
+            var start = Math.max(0, Math.floor(scrollTop / options.rowHeight) - overscan);
+            var end = Math.min(itemCount, Math.ceil((scrollTop + viewportHeight) / options.rowHeight) + overscan);
+
+            if (!force && start === renderedStart && end === renderedEnd) {
+                return;
+            }
+
+            renderedStart = start;
+            renderedEnd = end;
+
+            var rowsHtml = [];
+            rowsHtml.push(buildSpacerRow(start * options.rowHeight));
+
+            for (var i = start; i < end; i++) {
+                rowsHtml.push(options.renderRow(i));
+            }
+
+            rowsHtml.push(buildSpacerRow((itemCount - end) * options.rowHeight));
+
+            options.tableBody.innerHTML = rowsHtml.join('');
+        }
+
+        /**
+         * @param {number} height
+         * @returns {string}
+         */
+        function buildSpacerRow(height) {
+            if (height <= 0) {
+                return '';
+            }
+
+            return '<tr class="virtual-spacer" aria-hidden="true" style="height:' + height + 'px">' +
+                '<td colspan="' + options.columnCount + '"></td></tr>';
+        }
+
+        options.scrollContainer.addEventListener('scroll', handleScroll);
+
+        return {
+            setItemCount: function (count) {
+                itemCount = count;
+                renderVisibleRange(true);
+            },
+            refresh: function () {
+                renderVisibleRange(true);
+            },
+            destroy: function () {
+                options.scrollContainer.removeEventListener('scroll', handleScroll);
+                if (pendingFrame !== null) {
+                    window.cancelAnimationFrame(pendingFrame);
+                    pendingFrame = null;
+                }
+            }
+        };
+    }
+
+    // API publica del modulo
+    return {
+        create: create
+    };
+
+})();